@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useMemo, useEffect, useRef, useCallback, useContext, useImperativeHandle } from 'react';
 import {
   FileText,
   Search,
@@ -15,28 +15,110 @@ import {
   Maximize2,
   PanelLeftClose,
   PanelLeftOpen,
-  Navigation
+  SlidersHorizontal,
+  FileDown,
+  FileDiff,
+  Navigation,
+  Rows2,
+  Columns2,
+  ListFilter,
+  ImageIcon,
+  GitMerge,
+  FileArchive,
+  MessageSquare,
+  MessageSquarePlus,
+  ChevronUp,
+  ChevronDown,
+  FolderTree,
+  Keyboard,
+  Link2,
+  FileCode,
+  Loader2,
+  Braces,
+  AlertTriangle,
+  GitBranch,
+  GitCompare,
+  Pilcrow,
+  Check,
+  CheckCheck,
+  Undo2,
+  FileCheck,
+  PackageCheck
 } from 'lucide-react';
+import { chunkifyDiff, isEquivalent, withFileLanguage, DEFAULT_DIFF_OPTIONS } from './lib/diff';
+import { INTRA_LINE_GRANULARITIES } from './lib/tokenize';
+import { ENCODINGS, EOL_LABELS, encodingLabel, describeTextFormat, formatTextFormat, compareTextFormats, hasEncodingChange, applyEncodingOverrides } from './lib/textFormat';
+import { buildDiffRows } from './lib/diffRows';
+import { useVirtualizer } from './hooks/useVirtualizer';
+import { useDiff } from './hooks/useDiff';
+import { detectLanguage, highlightLines } from './lib/highlight';
+import { createFilePatch, createWorkspacePatch, toRepoPath } from './lib/patch';
+import { parsePatch, diffFromPatch } from './lib/parsePatch';
+import { matchFiles, getFileSlug, getPairId, DEFAULT_RENAME_THRESHOLD } from './lib/matching';
+import { downloadFile } from './lib/download';
+import { useChangeStats } from './hooks/useChangeStats';
+import { FileTree } from './components/FileTree';
+import { BinarySummary, ImageDiff } from './components/BinaryDiff';
+import { readFileEntry, isBinaryFile, isSameBinary, getImageMime, getBinaryBytes } from './lib/binary';
+import { mergePair, buildMergedFile, buildMergedTree } from './lib/merge3';
+import { createZip } from './lib/zip';
+import { MergeView } from './components/MergeView';
+import { StructureView } from './components/StructureView';
+import { STRUCTURED_FORMATS, detectStructuredFormat, compareStructured } from './lib/structured';
+import { createThread, addReply, reanchorThreads, countThreads, exportReviewMarkdown, exportReviewJson, SIDE_LABELS } from './lib/review';
+import { ReviewThread, CommentComposer } from './components/ReviewThread';
+import { findMatches } from './lib/search';
+import { useContentSearch } from './hooks/useContentSearch';
+import { useReportExport } from './hooks/useReportExport';
+import { SearchPanel } from './components/SearchPanel';
+import { COMMANDS, resolveBindings } from './lib/keybindings';
+import { parseLink, formatLink, findLinkedPair } from './lib/deepLink';
+import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
+import { CommandPalette } from './components/CommandPalette';
+import { ShortcutsHelp } from './components/ShortcutsHelp';
+import { GitRefPicker } from './components/GitRefPicker';
+import { findGitDir, openRepository, readCommitFiles } from './lib/git';
+import { FILE_DECISION, getChunkKeys, getDecisionScope, buildDecidedFile, buildDecidedTree } from './lib/hunks';
+import { SESSION_ID, saveWorkspace, loadWorkspace, createWorkspaceId } from './lib/workspaceStore';
+import { WorkspaceManager } from './components/WorkspaceManager';
+import { DiffMiniMap } from './components/DiffMiniMap';
+import { buildIgnoreRules, createIgnoreMatcher, isExcludedBy, describeRuleSource, loadIgnoreFiles, upgradeLegacyPatterns } from './lib/ignore';
 
 // --- CONFIG & CONSTANTS ---
 
+// gitignore syntax: globs, "!" negation, leading "/" anchors, trailing "/" matches directories only.
+// Images are not excluded: they are detected as binary and get the image comparison view.
 const DEFAULT_IGNORE = [
-  'png', 'jpg', 'jpeg', 'gif', 'svg', 'ico', 'pdf', 'zip', 'tar', 'gz',
-  'exe', 'dll', 'so', 'dylib', 'bin', 'woff', 'woff2', 'ttf', 'eot',
-  'node_modules', '.git', '.DS_Store', 'dist', 'build', '__pycache__', '.next'
+  '*.ico', '*.pdf', '*.zip', '*.tar', '*.gz',
+  '*.exe', '*.dll', '*.so', '*.dylib', '*.bin', '*.woff', '*.woff2', '*.ttf', '*.eot',
+  'node_modules/', '.git/', '.DS_Store', 'dist/', 'build/', '__pycache__/', '.next/'
 ];
 
-const CONTEXT_LINES = 3;
-
 const STORAGE_KEYS = {
-  V1_FILES: 'versionLens_v1Files',
-  V2_FILES: 'versionLens_v2Files',
   IGNORE_LIST: 'versionLens_ignoreList',
   SIDEBAR_WIDTH: 'versionLens_sidebarWidth',
   SIDEBAR_COLLAPSED: 'versionLens_sidebarCollapsed',
-  SELECTED_SLUG: 'versionLens_selectedSlug',
+  SELECTED_PAIR: 'versionLens_selectedPair',
+  DIFF_OPTIONS: 'versionLens_diffOptions',
+  RENAME_THRESHOLD: 'versionLens_renameThreshold',
+  VIEW_MODE: 'versionLens_viewMode',
+  ONLY_CHANGED: 'versionLens_onlyChanged',
+  SHOW_WHITESPACE: 'versionLens_showWhitespace',
+  USE_IGNORE_FILES: 'versionLens_useIgnoreFiles',
+  KEY_BINDINGS: 'versionLens_keyBindings',
 };
 
+// Workspace contents used to live in localStorage; they are moved into IndexedDB on first load
+const LEGACY_WORKSPACE_KEYS = {
+  V1_FILES: 'versionLens_v1Files',
+  V2_FILES: 'versionLens_v2Files',
+  PATCH: 'versionLens_patch',
+  IGNORE_REPORTS: 'versionLens_ignoreReports',
+};
+
+const EMPTY_IGNORE_REPORTS = { base: null, target: null, ancestor: null };
+const EMPTY_ENCODING_OVERRIDES = { base: {}, target: {} };
+
 // --- STORAGE HELPERS ---
 
 const saveToStorage = (key, value) => {
@@ -57,6 +139,27 @@ const loadFromStorage = (key, defaultValue) => {
   }
 };
 
+// Read only: the keys are removed once the migrated session is safely in IndexedDB
+const readLegacyWorkspace = () => {
+  const legacy = {
+    v1Files: loadFromStorage(LEGACY_WORKSPACE_KEYS.V1_FILES, []),
+    v2Files: loadFromStorage(LEGACY_WORKSPACE_KEYS.V2_FILES, []),
+    patch: loadFromStorage(LEGACY_WORKSPACE_KEYS.PATCH, null),
+    ignoreReports: loadFromStorage(LEGACY_WORKSPACE_KEYS.IGNORE_REPORTS, EMPTY_IGNORE_REPORTS),
+  };
+  return legacy.v1Files.length || legacy.v2Files.length || legacy.patch ? legacy : null;
+};
+
+const clearLegacyWorkspace = () => {
+  Object.values(LEGACY_WORKSPACE_KEYS).forEach(key => {
+    try {
+      localStorage.removeItem(key);
+    } catch (e) {
+      console.warn('Failed to clear localStorage:', e);
+    }
+  });
+};
+
 const clearAllStorage = () => {
   Object.values(STORAGE_KEYS).forEach(key => {
     try {
@@ -67,313 +170,493 @@ const clearAllStorage = () => {
   });
 };
 
-// --- UTILS ---
-
-const getFileSlug = (path) => {
-  const segments = path.split('/');
-  const filename = segments[segments.length - 1];
-  return filename
-    .toLowerCase()
-    .replace(/[._-]v?\d+(\.\d+)*/g, '')
-    .replace(/[._-](legacy|modern|old|new|final|latest)/g, '')
-    .replace(/\.[^/.]+$/, "")
-    .trim();
+// --- COMPONENTS ---
+
+const DiffProgressOverlay = ({ progress, stage, error }) => (
+  <div className="absolute inset-0 bg-[#0d1117]/90 backdrop-blur-sm z-10 flex flex-col items-center justify-center">
+    {error ? (
+      <>
+        <p className="text-rose-400 font-black tracking-widest uppercase text-xs mb-2">Diff Failed</p>
+        <p className="text-slate-500 text-[10px] font-mono">{error}</p>
+      </>
+    ) : (
+      <>
+        <p className="text-white font-black tracking-widest uppercase text-xs mb-4">{stage === 'words' ? 'Highlighting Changes' : 'Running Myers-diff engine'}</p>
+        <div className="w-64 h-1.5 bg-white/5 rounded-full overflow-hidden mb-2">
+          <div className="h-full bg-blue-500 shadow-[0_0_8px_rgba(59,130,246,0.6)] transition-[width] duration-150" style={{ width: `${Math.round(progress * 100)}%` }} />
+        </div>
+        <p className="text-slate-500 text-[10px] font-mono">{Math.round(progress * 100)}%</p>
+      </>
+    )}
+  </div>
+);
+
+const LINE_TYPE_STYLES = {
+  added: 'bg-emerald-500/10 text-emerald-300 border-l-4 border-emerald-500',
+  removed: 'bg-rose-500/10 text-rose-300 border-l-4 border-rose-500',
+  unchanged: 'text-slate-400 border-l-4 border-transparent'
 };
 
-/**
- * Shared LCS (Longest Common Subsequence) table builder.
- * Returns the DP table for backtracking.
- */
-const buildLCSTable = (oldArr, newArr) => {
-  const m = oldArr.length;
-  const n = newArr.length;
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      dp[i][j] = oldArr[i - 1] === newArr[j - 1]
-        ? dp[i - 1][j - 1] + 1
-        : Math.max(dp[i - 1][j], dp[i][j - 1]);
-    }
-  }
-  return dp;
+const SYNTAX_CLASSES = {
+  comment: 'text-slate-500 italic',
+  string: 'text-sky-300',
+  number: 'text-orange-300',
+  keyword: 'text-violet-400',
+  literal: 'text-orange-300',
+  function: 'text-indigo-300',
+  type: 'text-amber-200',
+  property: 'text-cyan-300',
+  meta: 'text-pink-300',
 };
 
+// Supplies per-line syntax token ranges for the base ('old') and target ('new') files
+const SyntaxContext = React.createContext(null);
+
+// Lets rows look up other diff lines, scroll to them and select one: { diff, jumpToLine, targetLine, selectLine }
+const DiffNavContext = React.createContext(null);
+
+// Review comment state for the rendered lines: { draft, threadLines, onLineComment }
+const ReviewContext = React.createContext(null);
+
+// Active content search, highlighted in the lines it covers: { regex, scope }
+const SearchContext = React.createContext(null);
+
+// Whether whitespace characters are drawn visibly
+const WhitespaceContext = React.createContext(false);
+
+const WHITESPACE_RUNS = /( +|\t|\r|[\u00a0\u2000-\u200b\u3000\ufeff])/;
+const WHITESPACE_MARKS = { '\t': '→', '\r': '␍' };
+
 /**
- * Shared LCS backtracking to produce diff operations.
- * @param {Function} makeOp - Factory: (type, oldIdx, newIdx, content) => operation object
+ * Draws a dot over each space, an arrow over tabs, ␍ over carriage returns and ⍽ over other invisible
+ * spaces. The characters themselves stay in place, so widths, search overlays and copied text don't change.
  */
-const backtrackLCS = (dp, oldArr, newArr, makeOp) => {
-  const result = [];
-  let i = oldArr.length, j = newArr.length;
-  while (i > 0 || j > 0) {
-    if (i > 0 && j > 0 && oldArr[i - 1] === newArr[j - 1]) {
-      result.unshift(makeOp('equal', i, j, oldArr[i - 1]));
-      i--; j--;
-    } else if (j > 0 && (i === 0 || dp[i][j - 1] >= dp[i - 1][j])) {
-      result.unshift(makeOp('added', null, j, newArr[j - 1]));
-      j--;
-    } else {
-      result.unshift(makeOp('removed', i, null, oldArr[i - 1]));
-      i--;
-    }
-  }
-  return result;
+const markWhitespace = (text, keyPrefix) => {
+  const parts = text.split(WHITESPACE_RUNS);
+  if (parts.length === 1) return text;
+  // With a capturing split, odd entries are the whitespace runs
+  return parts.map((part, idx) => {
+    if (idx % 2 === 0) return part;
+    const mark = part[0] === ' ' ? '·'.repeat(part.length) : WHITESPACE_MARKS[part] || '⍽';
+    return <span key={`${keyPrefix}-w${idx}`} data-ws={mark} className="relative before:content-[attr(data-ws)] before:absolute before:left-0 before:text-slate-600 before:pointer-events-none">{part}</span>;
+  });
 };
 
 /**
- * Word-level diffing logic using LCS.
+ * Splits `text` (starting at `offset` within its line) into spans coloured by the syntax ranges.
  */
-const getWordDiff = (oldStr, newStr) => {
-  const tokenize = (s) => s.split(/(\s+|\b)/).filter(Boolean);
-  const oldTokens = tokenize(oldStr);
-  const newTokens = tokenize(newStr);
-  const dp = buildLCSTable(oldTokens, newTokens);
-  return backtrackLCS(dp, oldTokens, newTokens, (type, _oi, _ni, value) => ({ value, type }));
+const renderSyntax = (text, offset, ranges, keyPrefix, showWhitespace = false) => {
+  const plain = (slice, key) => (showWhitespace ? markWhitespace(slice, key) : slice);
+  if (!ranges || ranges.length === 0) return plain(text, keyPrefix);
+  const nodes = [];
+  const end = offset + text.length;
+  let pos = offset;
+  for (const range of ranges) {
+    if (range.end <= pos) continue;
+    if (range.start >= end) break;
+    if (range.start > pos) nodes.push(plain(text.slice(pos - offset, range.start - offset), `${keyPrefix}-p${pos}`));
+    const sliceEnd = Math.min(range.end, end);
+    nodes.push(<span key={`${keyPrefix}-${pos}`} className={SYNTAX_CLASSES[range.type]}>{plain(text.slice(Math.max(range.start, pos) - offset, sliceEnd - offset), `${keyPrefix}-${pos}`)}</span>);
+    pos = sliceEnd;
+  }
+  if (pos < end) nodes.push(plain(text.slice(pos - offset), `${keyPrefix}-p${pos}`));
+  return nodes;
 };
 
-const calculateDiff = (oldText, newText) => {
-  const oldLines = (oldText || '').split('\n');
-  const newLines = (newText || '').split('\n');
-  const dp = buildLCSTable(oldLines, newLines);
-
-  // Backtrack using shared helper
-  const ops = backtrackLCS(dp, oldLines, newLines, (type, oldIdx, newIdx, content) => ({
-    type: type === 'equal' ? 'unchanged' : type,
-    oldIdx,
-    newIdx,
-    content
-  }));
-
-  // Build diff with interleaved removed/added pairs
-  // Group consecutive non-unchanged ops and output: all removed first, then all added
-  const diff = [];
-  let opIdx = 0;
-
-  while (opIdx < ops.length) {
-    const op = ops[opIdx];
-
-    if (op.type === 'unchanged') {
-      diff.push({ type: 'unchanged', oldLine: op.oldIdx, newLine: op.newIdx, content: op.content });
-      opIdx++;
-    } else {
-      // Collect consecutive removed and added operations
-      const removed = [];
-      const added = [];
-
-      while (opIdx < ops.length && ops[opIdx].type !== 'unchanged') {
-        if (ops[opIdx].type === 'removed') {
-          removed.push(ops[opIdx]);
-        } else {
-          added.push(ops[opIdx]);
-        }
-        opIdx++;
-      }
-
-      // Interleave: pair up removed[i] with added[i], output remaining
-      const maxPairs = Math.max(removed.length, added.length);
-      for (let k = 0; k < maxPairs; k++) {
-        if (k < removed.length) {
-          diff.push({ type: 'removed', oldLine: removed[k].oldIdx, newLine: null, content: removed[k].content });
-        }
-        if (k < added.length) {
-          diff.push({ type: 'added', oldLine: null, newLine: added[k].newIdx, content: added[k].content });
-        }
-      }
-    }
+// `side` picks which file's text and tokens to show; it only matters for ignored lines whose two sides differ
+const LineContent = ({ line, side }) => {
+  const syntax = useContext(SyntaxContext);
+  const showWhitespace = useContext(WhitespaceContext);
+  const showNew = line.type === 'added' || (side === 'new' && line.newContent !== undefined);
+  const ranges = syntax && (showNew
+    ? syntax.new?.[line.newLine - 1]
+    : syntax.old?.[line.oldLine - 1]);
+
+  // Optimization: Use pre-calculated segments if available
+  if (line.segments) {
+    // Skip segments meant for the opposite line type
+    // On 'added' line: skip 'removed' segments (they show on the removed line)
+    // On 'removed' line: skip 'added' segments (they show on the added line)
+    const visible = line.segments.filter(segment => segment.type === 'equal' || segment.type === line.type);
+    // Equal segments can differ in ignored ways; the added line shows its own text
+    const textOf = (segment) => (line.type === 'added' && segment.newValue !== undefined ? segment.newValue : segment.value);
+    const starts = [];
+    for (let i = 0, offset = 0; i < visible.length; offset += textOf(visible[i]).length, i++) starts.push(offset);
+
+    return visible.map((segment, idx) => {
+      const start = starts[idx];
+      if (segment.type === 'equal' || segment.ignored) return <span key={idx}>{renderSyntax(textOf(segment), start, ranges, idx, showWhitespace)}</span>;
+
+      // Highlight the changed segment
+      return (
+        <span
+          key={idx}
+          className={line.type === 'added'
+            ? 'bg-emerald-400/30 text-emerald-100 font-bold rounded-sm'
+            : 'bg-rose-400/30 text-rose-100 font-bold rounded-sm'
+          }
+        >
+          {renderSyntax(segment.value, start, ranges, idx, showWhitespace)}
+        </span>
+      );
+    });
   }
 
-  // Symmetric pairing for intra-line diffing AND Pre-calculation
-  for (let k = 0; k < diff.length - 1; k++) {
-    const current = diff[k];
-    const next = diff[k + 1];
-    const isChangePair = (current.type === 'removed' && next.type === 'added') ||
-      (current.type === 'added' && next.type === 'removed');
-
-    if (isChangePair && !current.pairedWith && !next.pairedWith) {
-      current.pairedWith = next;
-      next.pairedWith = current;
-
-      // OPTIMIZATION: Calculate word diffs ONCE here, not during render
-      const oldStr = current.type === 'removed' ? current.content : next.content;
-      const newStr = current.type === 'added' ? current.content : next.content;
-      const rawSegments = getWordDiff(oldStr, newStr);
-
-      // Coalesce adjacent tokens
-      const coalesced = [];
-      rawSegments.forEach(seg => {
-        const last = coalesced[coalesced.length - 1];
-        if (last && last.type === seg.type) {
-          last.value += seg.value;
-        } else {
-          coalesced.push({ ...seg });
-        }
-      });
+  return renderSyntax(showNew && line.newContent !== undefined ? line.newContent : line.content, 0, ranges, 'c', showWhitespace);
+};
 
-      // Attach segments to both lines so simple renderers can use them
-      current.segments = coalesced;
-      next.segments = coalesced;
-    }
-  }
+// Text a row shows for a line; mirrors the choice LineContent makes
+const displayedText = (line, side) => ((line.type === 'added' || side === 'new') && line.newContent !== undefined ? line.newContent : line.content);
 
-  return diff;
+const SEARCH_SCOPE_LINES = {
+  changed: (line) => line.type !== 'unchanged',
+  old: (line) => line.type !== 'added',
+  new: (line) => line.type !== 'removed',
 };
 
-const chunkifyDiff = (diff) => {
-  if (diff.length === 0) return [];
-  const chunks = [];
-  let currentChunk = { type: diff[0].type, lines: [diff[0]] };
-
-  for (let i = 1; i < diff.length; i++) {
-    if (diff[i].type === currentChunk.type || (diff[i].type !== 'unchanged' && currentChunk.type !== 'unchanged')) {
-      currentChunk.lines.push(diff[i]);
-    } else {
-      chunks.push(currentChunk);
-      currentChunk = { type: diff[i].type, lines: [diff[i]] };
-    }
-  }
-  chunks.push(currentChunk);
-  return chunks;
+// Marks search matches by drawing the same text, transparent, over the line with highlighted backgrounds
+const SearchHighlights = ({ line, side }) => {
+  const search = useContext(SearchContext);
+  if (!search?.regex || !SEARCH_SCOPE_LINES[search.scope](line)) return null;
+  const text = displayedText(line, side);
+  const ranges = findMatches(search.regex, text);
+  if (ranges.length === 0) return null;
+  const nodes = [];
+  let pos = 0;
+  ranges.forEach(([start, end], idx) => {
+    if (start > pos) nodes.push(text.slice(pos, start));
+    nodes.push(<mark key={idx} className="bg-amber-400/35 text-transparent rounded-sm ring-1 ring-amber-400/60">{text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  return <span aria-hidden="true" className="absolute left-0 top-0 text-transparent pointer-events-none select-none">{nodes}</span>;
 };
 
-// --- COMPONENTS ---
+const linePrefix = (line) => line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
 
-const DiffMiniMap = React.memo(({ diff, onJump }) => {
-  if (!diff.length) return null;
+// Lines whose differences are all ignored by the diff options keep a faint marker
+const IGNORED_LINE_STYLE = 'text-slate-400 border-l-4 border-amber-500/30 bg-amber-500/[0.03]';
+const IGNORED_LINE_TITLE = 'Differs only in ways ignored by the diff options';
 
+const MOVED_LINE_STYLES = {
+  from: 'bg-violet-500/10 text-violet-300 border-l-4 border-violet-500',
+  to: 'bg-cyan-500/10 text-cyan-300 border-l-4 border-cyan-500',
+};
+
+const lineStyle = (line) => {
+  if (line.ignored) return IGNORED_LINE_STYLE;
+  if (line.moved) return MOVED_LINE_STYLES[line.moved.role];
+  return LINE_TYPE_STYLES[line.type];
+};
+
+// Link from one end of a moved block to the other
+const MovedBadge = ({ line }) => {
+  const nav = useContext(DiffNavContext);
+  if (!line.moved || !nav) return null;
+  const partner = nav.diff[line.moved.partner];
+  if (!partner) return null;
+  const label = line.moved.role === 'from' ? `moved to L${partner.newLine}` : `moved from L${partner.oldLine}`;
   return (
-    <div className="w-5 h-full bg-slate-900/50 border-l border-white/5 flex flex-col shrink-0 select-none cursor-pointer group relative">
-      <div className="absolute inset-0 z-10 opacity-0 group-hover:opacity-100 transition-opacity bg-blue-500/5 pointer-events-none" />
-      {diff.map((line, idx) => {
-        let color = 'transparent';
-        if (line.type === 'added') color = '#10b981';
-        if (line.type === 'removed') color = '#f43f5e';
-        return (
-          <div key={idx} onClick={() => onJump(idx)} className="w-full flex-1 min-h-[1px]" style={{ backgroundColor: color }} />
-        );
-      })}
-    </div>
+    <button
+      onClick={() => nav.jumpToLine(line.moved.partner)}
+      title={line.moved.edited ? 'Moved and edited; click to jump to the other end' : 'Moved; click to jump to the other end'}
+      className={`ml-3 shrink-0 self-center px-1.5 rounded text-[10px] font-sans font-bold leading-4 opacity-60 hover:opacity-100 transition-opacity ${line.moved.role === 'from' ? 'bg-violet-500/20 text-violet-300' : 'bg-cyan-500/20 text-cyan-300'}`}
+    >
+      {label}{line.moved.edited ? ' · edited' : ''}
+    </button>
   );
-});
+};
 
-// Memoized to prevent re-renders when sidebar resizes
-const DiffLine = React.memo(({ line }) => {
-  const typeStyles = {
-    added: 'bg-emerald-500/10 text-emerald-300 border-l-4 border-emerald-500',
-    removed: 'bg-rose-500/10 text-rose-300 border-l-4 border-rose-500',
-    unchanged: 'text-slate-400 border-l-4 border-transparent'
-  };
+// Unified rows comment on the target side unless the line only exists in the base
+const commentSide = (line) => (line.type === 'removed' ? 'old' : 'new');
 
-  const renderContent = () => {
-    // Optimization: Use pre-calculated segments if available
-    if (line.segments) {
-      return line.segments.map((segment, idx) => {
-        if (segment.type === 'equal') return <span key={idx}>{segment.value}</span>;
-
-        // Skip segments meant for the opposite line type
-        // On 'added' line: skip 'removed' segments (they show on the removed line)
-        // On 'removed' line: skip 'added' segments (they show on the added line)
-        if (segment.type !== line.type) {
-          return null;
-        }
+// An outline rather than a background, so the line's own change colour stays visible
+const SELECTED_LINE_STYLE = 'outline outline-1 -outline-offset-1 outline-blue-500/60';
 
-        // Highlight the changed segment
-        return (
-          <span
-            key={idx}
-            className={line.type === 'added'
-              ? 'bg-emerald-400/30 text-emerald-100 font-bold rounded-sm'
-              : 'bg-rose-400/30 text-rose-100 font-bold rounded-sm'
-            }
-          >
-            {segment.value}
-          </span>
-        );
-      });
-    }
+const isInDraft = (draft, side, lineNo) => !!draft && draft.side === side && lineNo >= draft.startLine && lineNo <= draft.endLine;
 
-    return line.content;
-  };
+// Gutter button that starts a comment on a line, or extends the pending one with Shift
+const CommentGutter = ({ line, side }) => {
+  const review = useContext(ReviewContext);
+  const lineNo = side === 'old' ? line.oldLine : line.newLine;
+  if (!review || !lineNo) return <div className="w-5 shrink-0" />;
+  const hasThread = review.threadLines.has(`${side}:${lineNo}`);
+  return (
+    <button
+      onClick={(e) => review.onLineComment(side, lineNo, e.shiftKey)}
+      title="Comment on this line (Shift+click to extend the range)"
+      className={`w-5 shrink-0 flex items-center justify-center transition-opacity ${hasThread ? 'text-amber-400/80 hover:text-amber-300' : 'text-blue-400 opacity-0 group-hover:opacity-100'}`}
+    >
+      {hasThread ? <MessageSquare size={11} /> : <MessageSquarePlus size={11} />}
+    </button>
+  );
+};
 
-  const prefix = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+// Lines in the pending comment range, and the line last navigated to, are outlined
+// Clicking a line number selects that line, which also puts it in the URL
+const LineNumber = ({ side, lineNo, className = '' }) => {
+  const nav = useContext(DiffNavContext);
+  const canSelect = !!lineNo && !!nav;
+  return (
+    <div
+      onClick={canSelect ? () => nav.selectLine(side, lineNo) : undefined}
+      title={canSelect ? 'Select line (link to it)' : undefined}
+      className={`w-10 text-right pr-3 text-slate-600 select-none opacity-40 shrink-0 ${canSelect ? 'cursor-pointer hover:opacity-100 hover:text-blue-400' : ''} ${className}`}
+    >
+      {lineNo || ''}
+    </div>
+  );
+};
+
+const useIsLineSelected = (line, side) => {
+  const review = useContext(ReviewContext);
+  const nav = useContext(DiffNavContext);
+  return !!line && (nav?.targetLine === line || isInDraft(review?.draft, side, side === 'old' ? line.oldLine : line.newLine));
+};
 
+// Memoized to prevent re-renders when sidebar resizes
+const DiffLine = React.memo(({ line }) => {
+  const side = commentSide(line);
+  const isSelected = useIsLineSelected(line, side);
   return (
-    <div className={`flex font-mono text-[13px] leading-6 group transition-colors duration-75 ${typeStyles[line.type]} hover:bg-white/5`}>
-      <div className="w-10 text-right pr-3 text-slate-600 select-none opacity-40 shrink-0">{line.oldLine || ''}</div>
-      <div className="w-10 text-right pr-3 text-slate-600 select-none opacity-40 border-r border-white/5 shrink-0">{line.newLine || ''}</div>
+    <div className={`flex font-mono text-[13px] leading-6 group transition-colors duration-75 ${lineStyle(line)} ${isSelected ? SELECTED_LINE_STYLE : ''} hover:bg-white/5`} title={line.ignored ? IGNORED_LINE_TITLE : undefined}>
+      <CommentGutter line={line} side={side} />
+      <LineNumber side="old" lineNo={line.oldLine} />
+      <LineNumber side="new" lineNo={line.newLine} className="border-r border-white/5" />
       <div className="px-4 whitespace-pre flex-1 min-w-0 overflow-hidden">
-        <span className="mr-3 opacity-30 select-none w-4 inline-block">{prefix}</span>
-        {renderContent()}
+        <span className="mr-3 opacity-30 select-none w-4 inline-block">{linePrefix(line)}</span>
+        <span className="relative"><LineContent line={line} side="new" /><SearchHighlights line={line} side="new" /></span>
       </div>
+      <MovedBadge line={line} />
     </div>
   );
 });
 DiffLine.displayName = 'DiffLine';
 
-// Memoized ChunkBlock
-const ChunkBlock = React.memo(({ chunk }) => {
-  const [isExpanded, setIsExpanded] = useState(false);
-  const isUnchanged = chunk.type === 'unchanged';
-  const shouldFold = isUnchanged && chunk.lines.length > (CONTEXT_LINES * 2 + 2);
-
-  if (!shouldFold || isExpanded) {
-    return chunk.lines.map((line, idx) => <DiffLine key={idx} line={line} />);
+// One half of a split row; `line` is null for filler rows
+const SplitHalf = ({ line, side }) => {
+  const lineSide = side === 'left' ? 'old' : 'new';
+  const isSelected = useIsLineSelected(line, lineSide);
+  if (!line) {
+    return <div className={`flex-1 min-w-0 bg-[repeating-linear-gradient(135deg,transparent,transparent_6px,rgba(255,255,255,0.02)_6px,rgba(255,255,255,0.02)_12px)] ${side === 'left' ? 'border-r border-white/5' : ''}`} />;
   }
+  const lineNumber = side === 'left' ? line.oldLine : line.newLine;
+  return (
+    <div className={`flex flex-1 min-w-0 ${lineStyle(line)} ${isSelected ? SELECTED_LINE_STYLE : ''} ${side === 'left' ? 'border-r border-r-white/5' : ''}`} title={line.ignored ? IGNORED_LINE_TITLE : undefined}>
+      <CommentGutter line={line} side={lineSide} />
+      <LineNumber side={lineSide} lineNo={lineNumber} className="border-r border-white/5" />
+      <div className="px-4 whitespace-pre flex-1 min-w-0 overflow-hidden">
+        <span className="mr-3 opacity-30 select-none w-4 inline-block">{linePrefix(line)}</span>
+        <span className="relative"><LineContent line={line} side={lineSide} /><SearchHighlights line={line} side={lineSide} /></span>
+      </div>
+      <MovedBadge line={line} />
+    </div>
+  );
+};
 
-  const startLines = chunk.lines.slice(0, CONTEXT_LINES);
-  const endLines = chunk.lines.slice(-CONTEXT_LINES);
-  const foldedCount = chunk.lines.length - (CONTEXT_LINES * 2);
+const SplitDiffRow = React.memo(({ row }) => (
+  <div className="flex font-mono text-[13px] leading-6 group transition-colors duration-75 hover:bg-white/5">
+    <SplitHalf line={row.left} side="left" />
+    <SplitHalf line={row.right} side="right" />
+  </div>
+));
+SplitDiffRow.displayName = 'SplitDiffRow';
+
+// Lines between the hunks of a loaded patch; their content is not available
+const GapRow = ({ count }) => (
+  <div className="w-full flex items-center justify-center gap-3 py-2 bg-slate-800/20 text-slate-600 border-y border-white/5 select-none">
+    <div className="h-[1px] flex-1 bg-white/5" />
+    <div className="flex items-center gap-2 px-4 py-1 rounded-full bg-slate-900 border border-white/5 text-[11px] font-bold uppercase tracking-wider">
+      {count} Lines Not in Patch
+    </div>
+    <div className="h-[1px] flex-1 bg-white/5" />
+  </div>
+);
+
+// Stands in for a folded run of unchanged lines
+const FoldRow = ({ count, onExpand }) => (
+  <button
+    onClick={onExpand}
+    className="w-full flex items-center justify-center gap-3 py-2 bg-slate-800/30 hover:bg-blue-500/10 text-slate-500 hover:text-blue-400 transition-all border-y border-white/5 group"
+  >
+    <div className="h-[1px] flex-1 bg-white/5 group-hover:bg-blue-500/20" />
+    <div className="flex items-center gap-2 px-4 py-1 rounded-full bg-slate-900 border border-white/10 text-[11px] font-bold uppercase tracking-wider">
+      <Maximize2 size={12} />
+      Expand {count} Unchanged Lines
+    </div>
+    <div className="h-[1px] flex-1 bg-white/5 group-hover:bg-blue-500/20" />
+  </button>
+);
+
+// Initial row heights for the virtualizer; mounted rows are measured
+const LINE_ROW_HEIGHT = 24;
+const BANNER_ROW_HEIGHT = 44;
+const ANNOTATION_ROW_HEIGHT = 120;
+// Unchanged rows kept above a hunk when jumping to it
+const HUNK_CONTEXT_ROWS = 3;
+const BODY_PADDING = 16;
+
+const EMPTY_SET = new Set();
+const EMPTY_RESOLUTIONS = {};
+const EMPTY_DECISIONS = {};
+const EMPTY_DECISION_COUNTS = new Map();
+const EMPTY_THREADS = [];
+const EMPTY_HITS = [];
+
+const IGNORE_SIDES = [
+  { key: 'base', label: 'Base', color: 'text-blue-400' },
+  { key: 'target', label: 'Target', color: 'text-emerald-400' },
+  { key: 'ancestor', label: 'Ancestor', color: 'text-violet-400' },
+];
+
+const IgnoreRuleTester = ({ ignoreList, ignoreReports }) => {
+  const [testPath, setTestPath] = useState('');
+  const path = testPath.trim().replace(/^\/+/, '');
+  const results = useMemo(() => {
+    if (!path) return [];
+    return IGNORE_SIDES.map(side => {
+      const matcher = createIgnoreMatcher(buildIgnoreRules(ignoreList, ignoreReports[side.key]?.ignoreFiles));
+      return { ...side, rule: matcher(path) };
+    });
+  }, [path, ignoreList, ignoreReports]);
 
   return (
-    <>
-      {startLines.map((line, idx) => <DiffLine key={`start-${idx}`} line={line} />)}
-      <button
-        onClick={() => setIsExpanded(true)}
-        className="w-full flex items-center justify-center gap-3 py-2 bg-slate-800/30 hover:bg-blue-500/10 text-slate-500 hover:text-blue-400 transition-all border-y border-white/5 group"
-      >
-        <div className="h-[1px] flex-1 bg-white/5 group-hover:bg-blue-500/20" />
-        <div className="flex items-center gap-2 px-4 py-1 rounded-full bg-slate-900 border border-white/10 text-[11px] font-bold uppercase tracking-wider">
-          <Maximize2 size={12} />
-          Expand {foldedCount} Unchanged Lines
-        </div>
-        <div className="h-[1px] flex-1 bg-white/5 group-hover:bg-blue-500/20" />
-      </button>
-      {endLines.map((line, idx) => <DiffLine key={`end-${idx}`} line={line} />)}
-    </>
+    <div>
+      <input type="text" placeholder="Test a path, e.g. src/assets/logo.png" className="w-full bg-[#0d1117] border border-white/10 rounded-lg px-3 py-2 text-xs font-mono outline-none focus:border-blue-500 transition-all text-slate-200" value={testPath} onChange={(e) => setTestPath(e.target.value)} />
+      {results.map(({ key, label, color, rule }) => (
+        <p key={key} className="text-[10px] mt-1.5 flex gap-2">
+          <span className={`font-black uppercase w-16 shrink-0 ${color}`}>{label}</span>
+          {!rule && <span className="text-slate-500">Included (no rule matches)</span>}
+          {rule && (
+            <span className={isExcludedBy(rule) ? 'text-rose-400' : 'text-emerald-400'}>
+              {isExcludedBy(rule) ? 'Excluded' : 'Re-included'} by <code className="font-mono text-slate-200">{rule.pattern}</code> <span className="text-slate-500">({describeRuleSource(rule)})</span>
+            </span>
+          )}
+        </p>
+      ))}
+    </div>
   );
-});
-ChunkBlock.displayName = 'ChunkBlock';
+};
 
-const SettingsModal = ({ isOpen, onClose, ignoreList, setIgnoreList }) => {
+const IgnoreFileRules = ({ ignoreReports }) => {
+  const sides = IGNORE_SIDES.filter(side => ignoreReports[side.key]?.ignoreFiles.length);
+  if (sides.length === 0) return <p className="text-[10px] text-slate-600">No .gitignore / .ignore files were applied in the selected folders.</p>;
+  return sides.map(side => {
+    const report = ignoreReports[side.key];
+    const rules = buildIgnoreRules([], report.ignoreFiles).filter(rule => report.ruleCounts[rule.id]);
+    return (
+      <div key={side.key} className="mb-2">
+        <p className="text-[10px] text-slate-500 mb-1"><span className={`font-black uppercase ${side.color}`}>{side.label}</span> · {report.ignoreFiles.length} ignore file{report.ignoreFiles.length === 1 ? '' : 's'}</p>
+        {rules.map(rule => (
+          <div key={rule.id} className="flex items-center gap-2 text-[10px] font-mono pl-2">
+            <span className="text-slate-300 truncate">{rule.pattern}</span>
+            <span className="text-slate-600 truncate flex-1">{describeRuleSource(rule)}</span>
+            <span className="text-slate-400 shrink-0">{report.ruleCounts[rule.id]}</span>
+          </div>
+        ))}
+      </div>
+    );
+  });
+};
+
+const SettingsModal = ({ isOpen, onClose, ignoreList, setIgnoreList, useIgnoreFiles, setUseIgnoreFiles, ignoreReports, renameThreshold, setRenameThreshold }) => {
   const [newTag, setNewTag] = useState('');
   if (!isOpen) return null;
   const addTag = (e) => {
     e.preventDefault();
-    if (newTag && !ignoreList.includes(newTag)) {
-      setIgnoreList([...ignoreList, newTag.toLowerCase()]);
+    const tag = newTag.trim();
+    if (tag && !ignoreList.includes(tag)) {
+      setIgnoreList([...ignoreList, tag]);
       setNewTag('');
     }
   };
+  // Files filtered by each policy pattern, summed over both sides
+  const policyCount = (tag) => IGNORE_SIDES.reduce((sum, side) => sum + (ignoreReports[side.key]?.ruleCounts[`policy:${tag}`] || 0), 0);
+  const hasReports = IGNORE_SIDES.some(side => ignoreReports[side.key]);
   return (
     <div className="absolute inset-0 bg-black/70 backdrop-blur-md z-[60] flex items-center justify-center p-6">
-      <div className="bg-[#161b22] border border-white/10 rounded-2xl w-full max-w-md shadow-2xl overflow-hidden animate-in fade-in zoom-in duration-200">
+      <div className="bg-[#161b22] border border-white/10 rounded-2xl w-full max-w-lg shadow-2xl overflow-hidden animate-in fade-in zoom-in duration-200">
         <div className="px-6 py-4 border-b border-white/5 flex items-center justify-between bg-slate-900/40">
           <div className="flex items-center gap-2"><ShieldAlert size={18} className="text-blue-500" /><h3 className="font-bold text-white text-sm uppercase tracking-wider">Workspace Policy</h3></div>
           <button onClick={onClose} className="text-slate-500 hover:text-white transition-colors"><X size={18} /></button>
         </div>
-        <div className="p-6">
+        <div className="p-6 max-h-[70vh] overflow-y-auto custom-scrollbar">
           <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest mb-2 block">Exclude Patterns</label>
-          <form onSubmit={addTag} className="flex gap-2 mb-4">
-            <input type="text" placeholder="e.g. .env, build/, .tmp" className="flex-1 bg-[#0d1117] border border-white/10 rounded-lg px-3 py-2 text-xs outline-none focus:border-blue-500 transition-all text-slate-200" value={newTag} onChange={(e) => setNewTag(e.target.value)} />
+          <form onSubmit={addTag} className="flex gap-2 mb-2">
+            <input type="text" placeholder="e.g. .env, build/, *.min.js, !keep.png" className="flex-1 bg-[#0d1117] border border-white/10 rounded-lg px-3 py-2 text-xs font-mono outline-none focus:border-blue-500 transition-all text-slate-200" value={newTag} onChange={(e) => setNewTag(e.target.value)} />
             <button className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-xs font-bold transition-colors">Add</button>
           </form>
+          <p className="text-[10px] text-slate-600 mb-3">.gitignore syntax: <code>*</code>, <code>**</code>, <code>!</code> to re-include, leading <code>/</code> to anchor, trailing <code>/</code> for directories. Later patterns win.</p>
           <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto custom-scrollbar p-1">
             {ignoreList.map(tag => (
-              <span key={tag} className="flex items-center gap-2 bg-slate-800 text-slate-300 px-2 py-1 rounded-md text-[10px] font-mono border border-white/5 group hover:border-rose-500/30 transition-colors">{tag}<button onClick={() => setIgnoreList(ignoreList.filter(t => t !== tag))} className="text-slate-500 hover:text-rose-400"><X size={12} /></button></span>
+              <span key={tag} className="flex items-center gap-2 bg-slate-800 text-slate-300 px-2 py-1 rounded-md text-[10px] font-mono border border-white/5 group hover:border-rose-500/30 transition-colors">
+                {tag}
+                {hasReports && <span className="text-slate-500" title="Files excluded by this pattern">{policyCount(tag)}</span>}
+                <button onClick={() => setIgnoreList(ignoreList.filter(t => t !== tag))} className="text-slate-500 hover:text-rose-400"><X size={12} /></button>
+              </span>
             ))}
           </div>
+          <label className="flex items-center gap-2 mt-6 mb-2 cursor-pointer">
+            <input type="checkbox" checked={useIgnoreFiles} onChange={(e) => setUseIgnoreFiles(e.target.checked)} className="accent-blue-500" />
+            <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">Apply .gitignore / .ignore files</span>
+          </label>
+          {useIgnoreFiles && <IgnoreFileRules ignoreReports={ignoreReports} />}
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest mt-6 mb-2 block">Why is a file excluded?</label>
+          <IgnoreRuleTester ignoreList={ignoreList} ignoreReports={ignoreReports} />
+          {hasReports && <p className="text-[10px] text-slate-600 mt-2">Counts are from the last folder selection; pick the folders again to apply changed rules.</p>}
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest mt-6 mb-2 flex justify-between"><span>Rename Detection Threshold</span><span className="text-blue-400">{renameThreshold}%</span></label>
+          <input type="range" min="10" max="100" step="5" value={renameThreshold} onChange={(e) => setRenameThreshold(Number(e.target.value))} className="w-full accent-blue-500" />
+          <p className="text-[10px] text-slate-600 mt-1">Minimum content similarity for differently named files to be paired as a rename.</p>
+        </div>
+        <div className="px-6 py-4 bg-black/20 border-t border-white/5 flex justify-between items-center">
+          <button onClick={() => { setIgnoreList(DEFAULT_IGNORE); setUseIgnoreFiles(true); setRenameThreshold(DEFAULT_RENAME_THRESHOLD); }} className="text-[10px] font-bold text-slate-500 hover:text-slate-300 transition-colors">Reset to Defaults</button>
+          <button onClick={onClose} className="bg-slate-800 hover:bg-slate-700 text-white px-6 py-2 rounded-lg text-xs font-bold transition-all">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DIFF_OPTION_FIELDS = [
+  { key: 'ignoreWhitespace', label: 'Ignore Whitespace', hint: 'git diff -w' },
+  { key: 'ignoreCase', label: 'Ignore Case', hint: 'Case-insensitive matching' },
+  { key: 'ignoreCrAtEol', label: 'Ignore CR at End of Line', hint: 'git diff --ignore-cr-at-eol' },
+  { key: 'ignoreBlankLines', label: 'Ignore Blank Lines', hint: 'git diff --ignore-blank-lines' },
+  { key: 'detectMoves', label: 'Detect Moved Blocks', hint: 'git diff --color-moved' },
+];
+
+const DiffOptionsModal = ({ isOpen, onClose, diffOptions, setDiffOptions }) => {
+  if (!isOpen) return null;
+  return (
+    <div className="absolute inset-0 bg-black/70 backdrop-blur-md z-[60] flex items-center justify-center p-6">
+      <div className="bg-[#161b22] border border-white/10 rounded-2xl w-full max-w-md shadow-2xl overflow-hidden animate-in fade-in zoom-in duration-200">
+        <div className="px-6 py-4 border-b border-white/5 flex items-center justify-between bg-slate-900/40">
+          <div className="flex items-center gap-2"><SlidersHorizontal size={18} className="text-blue-500" /><h3 className="font-bold text-white text-sm uppercase tracking-wider">Diff Options</h3></div>
+          <button onClick={onClose} className="text-slate-500 hover:text-white transition-colors"><X size={18} /></button>
+        </div>
+        <div className="p-6 space-y-2">
+          {DIFF_OPTION_FIELDS.map(field => (
+            <label key={field.key} className="flex items-center justify-between gap-4 px-3 py-2.5 bg-[#0d1117] border border-white/5 rounded-lg cursor-pointer hover:border-blue-500/30 transition-colors">
+              <div className="flex flex-col">
+                <span className="text-xs font-bold text-slate-200">{field.label}</span>
+                <code className="text-[10px] text-slate-500 font-mono">{field.hint}</code>
+              </div>
+              <input type="checkbox" className="accent-blue-500 w-4 h-4" checked={diffOptions[field.key]} onChange={(e) => setDiffOptions({ ...diffOptions, [field.key]: e.target.checked })} />
+            </label>
+          ))}
+          <div className="flex items-center justify-between gap-4 px-3 py-2.5 bg-[#0d1117] border border-white/5 rounded-lg">
+            <div className="flex flex-col">
+              <span className="text-xs font-bold text-slate-200">Intra-line Highlights</span>
+              <span className="text-[10px] text-slate-500">Token follows the file's language</span>
+            </div>
+            <div className="flex bg-black/40 rounded-lg p-0.5 border border-white/5">
+              {INTRA_LINE_GRANULARITIES.map(({ id, label }) => (
+                <button key={id} onClick={() => setDiffOptions({ ...diffOptions, intraLine: id })} className={`px-2.5 py-1 rounded-md text-[10px] font-bold transition-all ${diffOptions.intraLine === id ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-slate-200'}`}>{label}</button>
+              ))}
+            </div>
+          </div>
         </div>
         <div className="px-6 py-4 bg-black/20 border-t border-white/5 flex justify-between items-center">
-          <button onClick={() => setIgnoreList(DEFAULT_IGNORE)} className="text-[10px] font-bold text-slate-500 hover:text-slate-300 transition-colors">Reset to Defaults</button>
+          <button onClick={() => setDiffOptions(DEFAULT_DIFF_OPTIONS)} className="text-[10px] font-bold text-slate-500 hover:text-slate-300 transition-colors">Reset to Defaults</button>
           <button onClick={onClose} className="bg-slate-800 hover:bg-slate-700 text-white px-6 py-2 rounded-lg text-xs font-bold transition-all">Close</button>
         </div>
       </div>
@@ -381,10 +664,245 @@ const SettingsModal = ({ isOpen, onClose, ignoreList, setIgnoreList }) => {
   );
 };
 
-const ComparisonView = ({ pair, toggleSidebar, isSidebarCollapsed }) => {
+// Review thread count (unresolved/total) with Markdown and JSON export
+const ReviewExportMenu = ({ threads, onExport }) => {
+  const unresolved = threads.filter(t => !t.resolved).length;
+  return (
+    <div className="flex items-center gap-1 bg-amber-500/10 text-amber-400 pl-2.5 pr-1 py-0.5 rounded-full text-[10px] font-black border border-amber-500/10 shrink-0" title={`${threads.length} review thread${threads.length === 1 ? '' : 's'}, ${unresolved} unresolved`}>
+      <MessageSquare size={11} />{unresolved}/{threads.length}
+      <button onClick={() => onExport('markdown')} title="Export review notes as Markdown" className="ml-1 px-1.5 rounded-full hover:bg-amber-500/20 transition-colors">MD</button>
+      <button onClick={() => onExport('json')} title="Export review notes as JSON" className="px-1.5 rounded-full hover:bg-amber-500/20 transition-colors">JSON</button>
+    </div>
+  );
+};
+
+// Explains patch entries that have no hunks to show
+const PatchNotice = ({ file }) => {
+  let message = 'No content changes in patch';
+  if (file.isBinary) message = 'Binary file changed — no text diff in patch';
+  else if (file.isRename) message = `Renamed without content changes${file.similarity !== null ? ` (similarity ${file.similarity}%)` : ''}`;
+  else if (file.oldMode && file.newMode && file.oldMode !== file.newMode) message = `File mode changed ${file.oldMode} → ${file.newMode}`;
+  else if (file.isNew) message = 'Empty file added';
+  else if (file.isDeleted) message = 'Empty file deleted';
+  return (
+    <div className="mx-6 my-8 flex flex-col items-center justify-center gap-3 py-10 rounded-2xl border border-dashed border-white/10 text-center">
+      <FileDiff size={24} className="text-slate-600" />
+      <p className="text-[11px] text-slate-500 font-bold uppercase tracking-widest">{message}</p>
+    </div>
+  );
+};
+
+// Header above a change chunk with its accept (take the target lines) / reject (keep the base lines) toggles
+const HunkBar = ({ chunk, ordinal, total, decision, onDecide }) => {
+  const removed = chunk.lines.filter(line => line.type === 'removed').length;
+  const added = chunk.lines.filter(line => line.type === 'added').length;
+  const style = decision === 'accept' ? 'bg-emerald-500/10 border-emerald-500/20' : decision === 'reject' ? 'bg-rose-500/10 border-rose-500/20' : 'bg-slate-800/40 border-white/5';
+  const button = (value, label, Icon, active) => (
+    <button onClick={() => onDecide(decision === value ? null : value)} title={value === 'accept' ? 'Take the target lines' : 'Keep the base lines'} className={`flex items-center gap-1 px-2 rounded-md transition-colors ${decision === value ? active : 'text-slate-500 hover:text-slate-200 hover:bg-white/5'}`}><Icon size={11} />{label}</button>
+  );
+  return (
+    <div className={`flex items-center gap-3 px-4 h-6 text-[10px] border-y ${style}`}>
+      <span className="font-black uppercase tracking-widest text-slate-500">Hunk {ordinal}/{total}</span>
+      <span className="font-mono tabular-nums">
+        {removed > 0 && <span className="text-rose-400">−{removed}</span>}{removed > 0 && added > 0 && ' '}{added > 0 && <span className="text-emerald-400">+{added}</span>}
+      </span>
+      <div className="ml-auto flex items-center gap-1 font-bold">
+        {button('accept', 'Accept', Check, 'bg-emerald-500/20 text-emerald-300')}
+        {button('reject', 'Reject', Undo2, 'bg-rose-500/20 text-rose-300')}
+      </div>
+    </div>
+  );
+};
+
+// A side's encoding, BOM and line endings; choosing an encoding decodes the file again, the first option goes back to the detected one
+const TextFormatSelect = ({ file, format, label, onChange }) => {
+  if (!format) return null;
+  const details = [format.bom && 'BOM', format.eol && EOL_LABELS[format.eol], !format.finalNewline && 'no newline at end'].filter(Boolean);
+  return (
+    <span className="flex items-center gap-1 text-[10px] font-mono text-slate-500 shrink-0" title={`${label}: ${formatTextFormat(format)}`}>
+      <span className="capitalize">{label}</span>
+      <select value={file.detectedEncoding ? format.encoding : ''} onChange={(e) => onChange(e.target.value || null)} className="bg-transparent text-slate-400 hover:text-slate-200 outline-none cursor-pointer">
+        <option value="" className="bg-[#161b22]">{encodingLabel(file.detectedEncoding || format.encoding)} (detected)</option>
+        {ENCODINGS.map(({ id, label: name, group }) => <option key={id} value={id} className="bg-[#161b22]">{name} — {group}</option>)}
+      </select>
+      {details.length > 0 && <span>{details.join(' · ')}</span>}
+    </span>
+  );
+};
+
+const StructureNotice = ({ structure }) => (
+  <div className="mx-6 mt-4 mb-2 flex items-start gap-3 px-4 py-3 rounded-xl border border-amber-500/20 bg-amber-500/10 text-amber-200 text-xs">
+    <AlertTriangle size={14} className="mt-0.5 shrink-0 text-amber-400" />
+    <div className="space-y-1">
+      <p className="font-bold">Couldn't parse as {STRUCTURED_FORMATS[structure.format]} — showing the text diff</p>
+      {structure.errors.old && <p className="font-mono text-amber-200/80">{SIDE_LABELS.old}: {structure.errors.old}</p>}
+      {structure.errors.new && <p className="font-mono text-amber-200/80">{SIDE_LABELS.new}: {structure.errors.new}</p>}
+    </div>
+  </div>
+);
+
+const ComparisonView = ({ pair, toggleSidebar, isSidebarCollapsed, viewMode, setViewMode, diffOptions, showWhitespace, onToggleWhitespace, onOverrideEncoding, mergeResolutions, onResolveConflict, decisions, onDecide, threads, onCreateThread, onUpdateThread, onDeleteThread, search, searchHits, lineTarget, onLineTarget, ref }) => {
   const scrollContainerRef = useRef(null);
-  const diff = useMemo(() => calculateDiff(pair.v1?.content, pair.v2?.content), [pair]);
+  const { v1, v2 } = pair;
+  const isBinary = isBinaryFile(v1) || isBinaryFile(v2);
+  // SVGs are text, so they can be viewed either as an image or as source
+  const isImage = !pair.patch && !!(getImageMime(v1?.path) || getImageMime(v2?.path));
+  const [showSource, setShowSource] = useState(false);
+  const showImage = isImage && (isBinary || !showSource);
+  // Pairs carry an `ancestor` key (possibly null) only while an Ancestor folder is loaded
+  const canMerge = pair.ancestor !== undefined;
+  // JSON, YAML and TOML files can also be compared by key path
+  const structuredFormat = !pair.patch && !isBinary ? detectStructuredFormat(pair.path) : null;
+  const activeViewMode = (viewMode === 'merge' && !canMerge) || (viewMode === 'structure' && !structuredFormat) ? 'unified' : viewMode;
+  const showMerge = activeViewMode === 'merge';
+  const merge = useMemo(() => (showMerge ? mergePair(pair) : null), [showMerge, pair]);
+  const [sortArrays, setSortArrays] = useState(false);
+  const structure = useMemo(() => (
+    activeViewMode === 'structure' ? compareStructured(v1?.content ?? null, v2?.content ?? null, structuredFormat, { sortArrays }) : null
+  ), [activeViewMode, v1, v2, structuredFormat, sortArrays]);
+  // A side that doesn't parse falls back to the text diff
+  const showStructure = !!structure?.changes;
+  const fileDiffOptions = useMemo(() => withFileLanguage(diffOptions, pair.path), [diffOptions, pair.path]);
+  // Scanning for line endings reads the whole text, so it isn't redone on every scroll
+  const textFormats = useMemo(() => ({ old: describeTextFormat(v1), new: describeTextFormat(v2) }), [v1, v2]);
+  const formatChanges = useMemo(() => (pair.patch ? [] : compareTextFormats(v1, v2)), [pair.patch, v1, v2]);
+  // Pairs from a loaded patch have hunks instead of contents, and binary files have no lines, so both skip the diff engine
+  const { diff: computedDiff, progress, stage, isComputing, error } = useDiff(isBinary ? null : v1?.content, isBinary ? null : v2?.content, fileDiffOptions);
+  const patchDiff = useMemo(() => (pair.patch ? diffFromPatch(pair.patch, fileDiffOptions) : null), [pair.patch, fileDiffOptions]);
+  const diff = useMemo(() => patchDiff || computedDiff || [], [patchDiff, computedDiff]);
   const chunks = useMemo(() => chunkifyDiff(diff), [diff]);
+  const lineIndexBySide = useMemo(() => {
+    const map = new Map();
+    diff.forEach((line, idx) => {
+      if (line.oldLine) map.set(`old:${line.oldLine}`, idx);
+      if (line.newLine) map.set(`new:${line.newLine}`, idx);
+    });
+    return map;
+  }, [diff]);
+
+  // The line navigated to (search hit, match stepping), once this pair's diff contains it
+  const target = lineTarget?.pairId === pair.id ? lineTarget : null;
+  const targetIndex = target ? lineIndexBySide.get(`${target.side}:${target.lineNo}`) : undefined;
+  const targetChunk = useMemo(() => {
+    if (targetIndex === undefined) return -1;
+    let end = 0;
+    return chunks.findIndex(chunk => (end += chunk.lines.length) > targetIndex);
+  }, [chunks, targetIndex]);
+
+  // Expanded folds belong to one set of chunks and reset when the diff changes; the fold around the target is always open
+  const [folds, setFolds] = useState({ chunks: null, expanded: EMPTY_SET });
+  const expandedChunks = useMemo(() => {
+    const expanded = folds.chunks === chunks ? folds.expanded : EMPTY_SET;
+    return targetChunk >= 0 && !expanded.has(targetChunk) ? new Set(expanded).add(targetChunk) : expanded;
+  }, [folds, chunks, targetChunk]);
+  const expandChunk = useCallback((chunkIndex) => {
+    setFolds({ chunks, expanded: new Set(expandedChunks).add(chunkIndex) });
+  }, [chunks, expandedChunks]);
+
+  // Search matches in this file, in diff order, for previous/next stepping
+  const matchStops = useMemo(() => searchHits
+    .map(hit => ({ hit, idx: lineIndexBySide.get(`${hit.side}:${hit.lineNo}`) }))
+    .filter(stop => stop.idx !== undefined)
+    .sort((a, b) => a.idx - b.idx), [searchHits, lineIndexBySide]);
+  const currentStop = targetIndex === undefined ? -1 : matchStops.findIndex(stop => stop.idx === targetIndex);
+  const stepMatch = (direction) => {
+    if (matchStops.length === 0) return;
+    const from = targetIndex ?? -1;
+    const stop = direction > 0
+      ? matchStops.find(s => s.idx > from) || matchStops[0]
+      : [...matchStops].reverse().find(s => s.idx < from) || matchStops[matchStops.length - 1];
+    onLineTarget({ pairId: pair.id, side: stop.hit.side, lineNo: stop.hit.lineNo });
+  };
+
+  // Review comments: a pending range being commented on, and threads placed below their last line
+  const [commentDraft, setCommentDraft] = useState(null);
+  const draft = commentDraft?.pairId === pair.id ? commentDraft : null;
+  const { annotations, unplacedThreads } = useMemo(() => {
+    const map = new Map();
+    const unplaced = [];
+    const add = (idx, item) => map.set(idx, [...(map.get(idx) || []), item]);
+    threads.forEach(thread => {
+      const idx = lineIndexBySide.get(`${thread.side}:${thread.endLine}`);
+      if (idx !== undefined) add(idx, { key: `t${thread.id}`, thread });
+      // Until the diff is ready no line can be found, which doesn't make a thread unplaceable
+      else if (diff.length > 0) unplaced.push(thread);
+    });
+    const draftIdx = draft && lineIndexBySide.get(`${draft.side}:${draft.endLine}`);
+    if (draftIdx !== undefined && draftIdx !== null) add(draftIdx, { key: 'draft', draft });
+    return { annotations: map, unplacedThreads: unplaced };
+  }, [threads, draft, lineIndexBySide, diff]);
+  const review = useMemo(() => {
+    const threadLines = new Set();
+    threads.forEach(thread => {
+      for (let n = thread.startLine; n <= thread.endLine; n++) threadLines.add(`${thread.side}:${n}`);
+    });
+    const onLineComment = (side, lineNo, extend) => setCommentDraft(prev => {
+      const current = prev?.pairId === pair.id ? prev : null;
+      if (extend && current && current.side === side) {
+        return { ...current, startLine: Math.min(current.startLine, lineNo), endLine: Math.max(current.endLine, lineNo) };
+      }
+      return { pairId: pair.id, side, startLine: lineNo, endLine: lineNo };
+    });
+    return { draft, threadLines, onLineComment };
+  }, [threads, draft, pair.id]);
+
+  const lineText = (side, lineNo) => {
+    const idx = lineIndexBySide.get(`${side}:${lineNo}`);
+    if (idx === undefined) return undefined;
+    const line = diff[idx];
+    return side === 'new' && line.newContent !== undefined ? line.newContent : line.content;
+  };
+
+  const submitDraft = (body) => {
+    onCreateThread(createThread({ path: pair.path, side: draft.side, startLine: draft.startLine, endLine: draft.endLine, getLine: (n) => lineText(draft.side, n), body }));
+    setCommentDraft(null);
+  };
+
+  // Accept/reject decisions: per change chunk for text files, for the whole file otherwise
+  const decisionScope = getDecisionScope(pair);
+  const chunkKeys = useMemo(() => (decisionScope === 'hunks' ? getChunkKeys(chunks) : null), [decisionScope, chunks]);
+  const hunkOrdinals = useMemo(() => {
+    let n = 0;
+    return (chunkKeys || []).map(key => (key ? ++n : 0));
+  }, [chunkKeys]);
+  const decisionKeys = decisionScope === 'hunks' ? (chunkKeys || []).filter(Boolean) : [FILE_DECISION];
+  const decidedCount = decisionKeys.filter(key => decisions[key]).length;
+  const decideFile = (decision) => {
+    // Clicking the decision every hunk already has clears them all
+    const value = decidedCount === decisionKeys.length && decisionKeys.every(key => decisions[key] === decision) ? null : decision;
+    onDecide(Object.fromEntries(decisionKeys.map(key => [key, value])));
+  };
+  const downloadDecided = () => {
+    const result = buildDecidedFile(pair, decisions, diffOptions);
+    if (result.path === null) {
+      window.alert('With these decisions the file is not part of the result.');
+      return;
+    }
+    const name = result.path.split('/').pop();
+    if (result.content !== null) downloadFile(name, result.content);
+    else if (getBinaryBytes(result.file)) downloadFile(name, new Blob([getBinaryBytes(result.file)]));
+    else window.alert('Only the hash of this binary file was kept, so it cannot be downloaded.');
+  };
+
+  const { rows, rowOfLine } = useMemo(() => buildDiffRows(chunks, activeViewMode === 'split' ? 'split' : 'unified', expandedChunks, annotations, chunkKeys), [chunks, activeViewMode, expandedChunks, annotations, chunkKeys]);
+  const getRowKey = useCallback((index) => rows[index].key, [rows]);
+  const estimateRowSize = useCallback((index) => {
+    const { kind } = rows[index];
+    if (kind === 'annotation') return ANNOTATION_ROW_HEIGHT;
+    return kind === 'fold' || kind === 'gap' ? BANNER_ROW_HEIGHT : LINE_ROW_HEIGHT;
+  }, [rows]);
+  const virtualizer = useVirtualizer({
+    count: rows.length,
+    getItemKey: getRowKey,
+    estimateSize: estimateRowSize,
+    scrollRef: scrollContainerRef,
+    paddingStart: BODY_PADDING,
+    paddingEnd: BODY_PADDING,
+  });
+  const syntax = useMemo(() => ({
+    old: highlightLines(v1?.content, detectLanguage(v1?.path)),
+    new: highlightLines(v2?.content, detectLanguage(v2?.path)),
+  }), [v1, v2]);
   const stats = useMemo(() => diff.reduce((acc, d) => {
     if (d.type === 'added') acc.added++;
     else if (d.type === 'removed') acc.removed++;
@@ -399,14 +917,125 @@ const ComparisonView = ({ pair, toggleSidebar, isSidebarCollapsed }) => {
     setTimeout(() => setCopied(false), 2000);
   };
 
-  const jumpToLine = useCallback((index) => {
-    if (scrollContainerRef.current) {
-      const container = scrollContainerRef.current;
-      const totalLines = diff.length;
-      const targetScroll = (index / totalLines) * container.scrollHeight;
-      container.scrollTo({ top: targetScroll, behavior: 'smooth' });
+  const exportPatch = () => {
+    const name = (pair.v2 || pair.v1).path.split('/').pop();
+    downloadFile(`${name}.patch`, createFilePatch(pair), 'text/x-diff');
+  };
+
+  // Links the selected line, or without one the first line at the top of the view
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyLineLink = () => {
+    let line = target;
+    if (!line) {
+      const top = scrollContainerRef.current?.scrollTop ?? 0;
+      const item = virtualizer.items.find(({ index, start }) => start >= top && (rows[index].kind === 'line' || rows[index].kind === 'split'));
+      const row = item && rows[item.index];
+      const first = row && (row.kind === 'line' ? row.line : row.row.right || row.row.left);
+      const side = first && (row.kind === 'split' ? (row.row.right ? 'new' : 'old') : commentSide(first));
+      line = first ? { side, lineNo: side === 'old' ? first.oldLine : first.newLine } : null;
     }
-  }, [diff.length]);
+    const hash = formatLink({ path: pair.path, side: line?.side, lineNo: line?.lineNo, view: activeViewMode });
+    navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}${window.location.search}${hash}`)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      })
+      .catch(e => window.alert(`The link could not be copied: ${e.message}`));
+  };
+
+  const downloadMerged = () => {
+    const result = buildMergedFile(pair, merge, mergeResolutions);
+    const name = pair.path.split('/').pop();
+    if (result.content !== null) downloadFile(name, result.content);
+    else if (getBinaryBytes(result.file)) downloadFile(name, new Blob([getBinaryBytes(result.file)]));
+  };
+
+  const scrollTo = useCallback((top) => scrollContainerRef.current?.scrollTo({ top }), []);
+
+  const { scrollToIndex } = virtualizer;
+  const jumpToLine = useCallback((index) => {
+    if (index < 0 || index >= rowOfLine.length) return;
+    scrollToIndex(rowOfLine[index], { align: 'center' });
+  }, [rowOfLine, scrollToIndex]);
+  const targetLine = targetIndex === undefined ? null : diff[targetIndex];
+  const scrolledTarget = useRef(null);
+  const selectLine = useCallback((side, lineNo) => {
+    const next = { pairId: pair.id, side, lineNo };
+    // The clicked line is already on screen, so selecting it doesn't scroll
+    scrolledTarget.current = next;
+    onLineTarget(next);
+  }, [pair.id, onLineTarget]);
+  const nav = useMemo(() => ({ diff, jumpToLine, targetLine, selectLine }), [diff, jumpToLine, targetLine, selectLine]);
+
+  // Scroll to a new target once its row exists (the diff may still be computing when it is set)
+  useEffect(() => {
+    if (!target || targetIndex === undefined || scrolledTarget.current === target) return;
+    scrolledTarget.current = target;
+    scrollToIndex(rowOfLine[targetIndex], { align: 'center' });
+  }, [target, targetIndex, rowOfLine, scrollToIndex]);
+
+  // Top rows of the change hunks, a few lines early so the hunk keeps some context above it
+  const { offsets } = virtualizer;
+  const hunkRows = useMemo(() => {
+    const list = [];
+    let start = 0;
+    chunks.forEach(chunk => {
+      if (chunk.type === 'added' || chunk.type === 'removed') list.push(Math.max(0, rowOfLine[start] - HUNK_CONTEXT_ROWS));
+      start += chunk.lines.length;
+    });
+    return list;
+  }, [chunks, rowOfLine]);
+  const stepHunk = (direction) => {
+    const el = scrollContainerRef.current;
+    if (!el || hunkRows.length === 0) return;
+    const top = el.scrollTop;
+    const row = direction > 0
+      ? hunkRows.find(r => offsets[r] > top + 1)
+      : hunkRows.findLast(r => offsets[r] < top - 1);
+    if (row !== undefined) scrollToIndex(row);
+  };
+
+  // Commands run by keyboard shortcuts and the command palette
+  useImperativeHandle(ref, () => ({
+    nextHunk: () => stepHunk(1),
+    prevHunk: () => stepHunk(-1),
+    nextMatch: () => stepMatch(1),
+    prevMatch: () => stepMatch(-1),
+    expandAll: () => setFolds({ chunks, expanded: new Set(chunks.map((_, i) => i)) }),
+    collapseAll: () => setFolds({ chunks, expanded: EMPTY_SET }),
+  }));
+
+  const renderThread = (thread) => (
+    <ReviewThread
+      key={thread.id}
+      thread={thread}
+      onReply={(body) => onUpdateThread(addReply(thread, body))}
+      onToggleResolved={() => onUpdateThread({ ...thread, resolved: !thread.resolved })}
+      onDelete={() => onDeleteThread(thread.id)}
+    />
+  );
+
+  const renderDraft = ({ side, startLine, endLine }) => (
+    <div className="mx-4 my-2 p-3 rounded-xl border border-blue-500/30 bg-slate-900/70">
+      <CommentComposer
+        label={`Comment on ${SIDE_LABELS[side]} ${startLine === endLine ? `line ${startLine}` : `lines ${startLine}–${endLine}`} · Shift+click another line to extend`}
+        placeholder="Leave a review comment… (Ctrl+Enter to submit)"
+        submitLabel="Comment"
+        autoFocus
+        onSubmit={submitDraft}
+        onCancel={() => setCommentDraft(null)}
+      />
+    </div>
+  );
+
+  const renderRow = (row) => {
+    if (row.kind === 'line') return <DiffLine line={row.line} />;
+    if (row.kind === 'split') return <SplitDiffRow row={row.row} />;
+    if (row.kind === 'fold') return <FoldRow count={row.count} onExpand={() => expandChunk(row.chunkIndex)} />;
+    if (row.kind === 'annotation') return row.item.draft ? renderDraft(row.item.draft) : renderThread(row.item.thread);
+    if (row.kind === 'hunk') return <HunkBar chunk={chunks[row.chunkIndex]} ordinal={hunkOrdinals[row.chunkIndex]} total={decisionKeys.length} decision={decisions[row.hunkKey]} onDecide={(decision) => onDecide({ [row.hunkKey]: decision })} />;
+    return <GapRow count={row.count} />;
+  };
 
   return (
     <div className="flex flex-col h-full bg-[#0d1117] overflow-hidden animate-in fade-in duration-300 relative">
@@ -421,25 +1050,95 @@ const ComparisonView = ({ pair, toggleSidebar, isSidebarCollapsed }) => {
               <h2 className="text-slate-100 font-semibold tracking-tight truncate max-w-md">{pair.v2?.path || pair.v1?.path}</h2>
             </div>
             <div className="flex items-center gap-2 ml-11">
-              <span className={`text-[9px] px-2 py-0.5 rounded-full uppercase font-black tracking-tighter ${pair.type === 'modified' ? 'bg-blue-500/20 text-blue-400' : pair.type === 'added' ? 'bg-emerald-500/20 text-emerald-400' : 'bg-rose-500/20 text-rose-400'}`}>{pair.type}</span>
+              <span className={`text-[9px] px-2 py-0.5 rounded-full uppercase font-black tracking-tighter ${pair.type === 'modified' ? 'bg-blue-500/20 text-blue-400' : pair.type === 'unchanged' ? 'bg-slate-500/20 text-slate-400' : pair.type === 'added' ? 'bg-emerald-500/20 text-emerald-400' : 'bg-rose-500/20 text-rose-400'}`}>{pair.type}</span>
               <span className="text-slate-700 select-none">•</span>
               <code className="text-[10px] text-slate-500 font-mono">identity: {pair.slug}</code>
+              {pair.isRename && (<><span className="text-slate-700 select-none">•</span><code className="text-[10px] text-amber-400/80 font-mono truncate max-w-xs">renamed from {pair.v1.path}</code></>)}
+              {pair.similarity !== null && pair.similarity !== undefined && (<><span className="text-slate-700 select-none">•</span><code className="text-[10px] text-slate-500 font-mono">similarity {pair.similarity}%</code></>)}
+              {formatChanges.map(change => (<React.Fragment key={change}><span className="text-slate-700 select-none">•</span><code className="text-[10px] text-amber-400/80 font-mono shrink-0">{change}</code></React.Fragment>))}
+              {!pair.patch && !isBinary && (
+                <>
+                  <span className="text-slate-700 select-none">•</span>
+                  <TextFormatSelect file={v1} format={textFormats.old} label={SIDE_LABELS.old} onChange={(encoding) => onOverrideEncoding('base', v1.path, encoding)} />
+                  <TextFormatSelect file={v2} format={textFormats.new} label={SIDE_LABELS.new} onChange={(encoding) => onOverrideEncoding('target', v2.path, encoding)} />
+                </>
+              )}
             </div>
           </div>
         </div>
         <div className="flex items-center gap-3">
-          <div className="hidden sm:flex items-center bg-black/40 rounded-full px-3 py-1.5 border border-white/5 space-x-3">
+          {matchStops.length > 0 && !showMerge && !showStructure && (
+            <div className="flex items-center bg-amber-500/10 rounded-xl px-1 py-1 border border-amber-500/20 text-amber-300" title="Search matches in this file">
+              <button onClick={() => stepMatch(-1)} title="Previous Match" className="p-1 rounded-lg hover:bg-amber-500/20 transition-colors"><ChevronUp size={14} /></button>
+              <span className="text-[11px] font-bold tabular-nums px-1">{currentStop >= 0 ? currentStop + 1 : '–'}/{matchStops.length}</span>
+              <button onClick={() => stepMatch(1)} title="Next Match" className="p-1 rounded-lg hover:bg-amber-500/20 transition-colors"><ChevronDown size={14} /></button>
+            </div>
+          )}
+          <div className={`${isBinary ? 'hidden' : 'hidden sm:flex'} items-center bg-black/40 rounded-full px-3 py-1.5 border border-white/5 space-x-3`}>
             <div className="flex items-center gap-1.5"><div className="w-1.5 h-1.5 rounded-full bg-emerald-500 shadow-[0_0_8px_rgba(16,185,129,0.4)]" /><span className="text-[11px] font-bold text-emerald-400">+{stats.added}</span></div>
             <div className="flex items-center gap-1.5"><div className="w-1.5 h-1.5 rounded-full bg-rose-500 shadow-[0_0_8px_rgba(244,63,94,0.4)]" /><span className="text-[11px] font-bold text-rose-400">-{stats.removed}</span></div>
           </div>
-          <button onClick={copyToClipboard} className="flex items-center gap-2 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-slate-200 text-xs rounded-xl border border-white/10 shadow-lg transition-all active:scale-95">{copied ? <CheckCircle2 size={14} className="text-emerald-400" /> : <Copy size={14} />}<span className="font-medium">{copied ? 'Copied!' : 'Copy Target'}</span></button>
+          {isImage && !isBinary && (
+            <button onClick={() => setShowSource(!showSource)} title={showSource ? 'Show as Image' : 'Show Source Diff'} className="flex items-center gap-2 px-3 py-2 bg-black/40 hover:bg-slate-800 text-slate-300 text-xs rounded-xl border border-white/5 transition-all">{showSource ? <ImageIcon size={14} /> : <Code size={14} />}<span className="font-medium">{showSource ? 'Image' : 'Source'}</span></button>
+          )}
+          <div className="flex items-center bg-black/40 rounded-xl p-1 border border-white/5">
+            {[
+              { mode: 'unified', icon: Rows2, label: 'Unified' },
+              { mode: 'split', icon: Columns2, label: 'Split' },
+              ...(canMerge ? [{ mode: 'merge', icon: GitMerge, label: 'Three-Way Merge' }] : []),
+              ...(structuredFormat ? [{ mode: 'structure', icon: Braces, label: 'Structural' }] : [])
+            ].map((item) => (
+              <button key={item.mode} onClick={() => setViewMode(item.mode)} title={`${item.label} View`} className={`p-1.5 rounded-lg transition-all ${activeViewMode === item.mode ? 'bg-blue-600/20 text-blue-400' : 'text-slate-500 hover:text-white'}`}><item.icon size={14} /></button>
+            ))}
+            {!isBinary && <button onClick={onToggleWhitespace} title={showWhitespace ? 'Hide Whitespace' : 'Show Whitespace'} className={`p-1.5 ml-1 rounded-lg border-l border-white/5 transition-all ${showWhitespace ? 'bg-blue-600/20 text-blue-400' : 'text-slate-500 hover:text-white'}`}><Pilcrow size={14} /></button>}
+          </div>
+          {decisionScope && decisionKeys.length > 0 && !showMerge && (
+            <div className="flex items-center bg-black/40 rounded-xl p-1 border border-white/5">
+              <span className={`text-[11px] font-bold tabular-nums px-1.5 ${decidedCount === decisionKeys.length && decidedCount > 0 ? 'text-emerald-400' : 'text-slate-400'}`} title={decisionScope === 'hunks' ? 'Hunks decided' : 'File decided'}>{decidedCount}/{decisionKeys.length}</span>
+              <button onClick={() => decideFile('accept')} title={decisionScope === 'hunks' ? 'Accept All Hunks' : 'Accept File'} className={`p-1.5 rounded-lg transition-all ${decidedCount > 0 && decisionKeys.every(key => decisions[key] === 'accept') ? 'bg-emerald-500/20 text-emerald-300' : 'text-slate-500 hover:text-white'}`}><CheckCheck size={14} /></button>
+              <button onClick={() => decideFile('reject')} title={decisionScope === 'hunks' ? 'Reject All Hunks' : 'Reject File'} className={`p-1.5 rounded-lg transition-all ${decidedCount > 0 && decisionKeys.every(key => decisions[key] === 'reject') ? 'bg-rose-500/20 text-rose-300' : 'text-slate-500 hover:text-white'}`}><Undo2 size={14} /></button>
+              <button onClick={downloadDecided} title="Download Resulting File (undecided hunks keep the base version)" className="p-1.5 rounded-lg text-slate-500 hover:text-white transition-all"><FileCheck size={14} /></button>
+            </div>
+          )}
+          <button onClick={exportPatch} disabled={pair.type === 'unchanged'} title="Export as .patch" className="flex items-center gap-2 px-3 py-2 bg-slate-800 hover:bg-slate-700 text-slate-200 text-xs rounded-xl border border-white/10 shadow-lg transition-all active:scale-95 disabled:opacity-40 disabled:pointer-events-none"><FileDown size={14} /><span className="font-medium">Patch</span></button>
+          <button onClick={copyLineLink} title={target ? `Copy Link to ${SIDE_LABELS[target.side]} line ${target.lineNo}` : 'Copy Link to This Line'} className="p-2 bg-slate-800 hover:bg-slate-700 text-slate-200 rounded-xl border border-white/10 shadow-lg transition-all active:scale-95">{linkCopied ? <CheckCircle2 size={14} className="text-emerald-400" /> : <Link2 size={14} />}</button>
+          <button onClick={copyToClipboard} disabled={!!pair.patch || isBinary} className="flex items-center gap-2 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-slate-200 text-xs rounded-xl border border-white/10 shadow-lg transition-all active:scale-95 disabled:opacity-40 disabled:pointer-events-none">{copied ? <CheckCircle2 size={14} className="text-emerald-400" /> : <Copy size={14} />}<span className="font-medium">{copied ? 'Copied!' : 'Copy Target'}</span></button>
         </div>
       </header>
-      <div className="flex flex-1 overflow-hidden">
+      <div className="flex flex-1 overflow-hidden relative">
         <div ref={scrollContainerRef} className="flex-1 overflow-auto bg-[#0d1117] custom-scrollbar selection:bg-blue-500/30">
-          <div className="py-4">{chunks.map((chunk, idx) => (<ChunkBlock key={idx} chunk={chunk} />))}</div>
+          <SyntaxContext value={syntax}>
+            <WhitespaceContext value={showWhitespace}>
+              <DiffNavContext value={nav}>
+                <SearchContext value={search}>
+                  <ReviewContext value={review}>
+                    {showMerge ? <MergeView key={pair.id} pair={pair} merge={merge} resolutions={mergeResolutions} onResolve={(conflictId, resolution) => onResolveConflict(pair.id, conflictId, resolution)} onDownload={downloadMerged} /> : showStructure ? <StructureView key={pair.id} structure={structure} sortArrays={sortArrays} onToggleSortArrays={() => setSortArrays(!sortArrays)} /> : showImage ? <ImageDiff key={pair.id} oldFile={v1} newFile={v2} /> : isBinary ? <BinarySummary oldFile={v1} newFile={v2} /> : (
+                      <>
+                        {pair.patch && pair.patch.hunks.length === 0 && <PatchNotice file={pair.patch} />}
+                        {structure && !showStructure && <StructureNotice structure={structure} />}
+                        {unplacedThreads.length > 0 && (
+                          <div className="pt-2">
+                            <p className="px-6 pt-2 text-[10px] font-black uppercase tracking-widest text-slate-500">Comments on lines not in this diff</p>
+                            {unplacedThreads.map(renderThread)}
+                          </div>
+                        )}
+                        <div className="relative" style={{ height: virtualizer.totalSize }}>
+                          {virtualizer.items.map(({ index, key, start }) => (
+                            <div key={key} ref={virtualizer.measureElement} data-key={key} className="absolute left-0 right-0 top-0" style={{ transform: `translateY(${start}px)` }}>
+                              {renderRow(rows[index])}
+                            </div>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </ReviewContext>
+                </SearchContext>
+              </DiffNavContext>
+            </WhitespaceContext>
+          </SyntaxContext>
         </div>
-        <DiffMiniMap diff={diff} onJump={jumpToLine} />
+        {!pair.patch && !showImage && !showMerge && !showStructure && (isComputing || error) && <DiffProgressOverlay progress={progress} stage={stage} error={error} />}
+        {!showImage && !showMerge && !showStructure && <DiffMiniMap rows={rows} offsets={virtualizer.offsets} totalSize={virtualizer.totalSize} viewport={virtualizer.viewport} onScrollTo={scrollTo} />}
       </div>
     </div>
   );
@@ -447,31 +1146,129 @@ const ComparisonView = ({ pair, toggleSidebar, isSidebarCollapsed }) => {
 
 export default function App() {
   // Initialize state from localStorage
-  const [v1Files, setV1Files] = useState(() => loadFromStorage(STORAGE_KEYS.V1_FILES, []));
-  const [v2Files, setV2Files] = useState(() => loadFromStorage(STORAGE_KEYS.V2_FILES, []));
+  // Workspace contents are restored asynchronously from IndexedDB
+  const [v1Files, setV1Files] = useState([]);
+  const [v2Files, setV2Files] = useState([]);
+  const [patch, setPatch] = useState(null);
+  // Optional common ancestor of Base ("ours") and Target ("theirs") for three-way merges
+  const [ancestorFiles, setAncestorFiles] = useState([]);
+  // { [pairId]: { [conflictId]: { choice, text? } } }
+  const [mergeResolutions, setMergeResolutions] = useState({});
+  // Review comment threads, kept across folder reloads and re-anchored to the current contents
+  const [reviewThreads, setReviewThreads] = useState([]);
+  const [activeWorkspace, setActiveWorkspace] = useState(null);
+  const [isWorkspaceLoaded, setIsWorkspaceLoaded] = useState(false);
+  const [storageError, setStorageError] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  // The repository picked for commit comparisons ({ name, repo }); it reads from the picked files, so it isn't persisted
+  const [gitRepo, setGitRepo] = useState(null);
+  // Which commits v1Files / v2Files came from: { name, base: { spec, id }, target: { spec, id } }
+  const [gitSource, setGitSource] = useState(null);
+  const [showGitPicker, setShowGitPicker] = useState(false);
+  const [gitProgress, setGitProgress] = useState(null);
+  // Accept/reject decisions: pair id -> { [hunkKey]: 'accept' | 'reject' }
+  const [hunkDecisions, setHunkDecisions] = useState({});
+  // Encodings picked by hand, by side and file path: { base: { [path]: encoding }, target: { ... } }
+  const [encodingOverrides, setEncodingOverrides] = useState(EMPTY_ENCODING_OVERRIDES);
   const [selectedPair, setSelectedPair] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
-  const [ignoreList, setIgnoreList] = useState(() => loadFromStorage(STORAGE_KEYS.IGNORE_LIST, DEFAULT_IGNORE));
+  const [sidebarTab, setSidebarTab] = useState('files');
+  const [contentQuery, setContentQuery] = useState({ text: '', isRegex: false, caseSensitive: false });
+  const [searchScope, setSearchScope] = useState('changed');
+  // Line to scroll to and outline in the comparison view: { pairId, side, lineNo }
+  const [lineTarget, setLineTarget] = useState(null);
+  const [ignoreList, setIgnoreList] = useState(() => upgradeLegacyPatterns(loadFromStorage(STORAGE_KEYS.IGNORE_LIST, DEFAULT_IGNORE)));
+  const [useIgnoreFiles, setUseIgnoreFiles] = useState(() => loadFromStorage(STORAGE_KEYS.USE_IGNORE_FILES, true));
+  const [ignoreReports, setIgnoreReports] = useState(EMPTY_IGNORE_REPORTS);
   const [showSettings, setShowSettings] = useState(false);
+  const [showDiffOptions, setShowDiffOptions] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // Per-command overrides of the default key bindings: { [commandId]: combos }
+  const [keyOverrides, setKeyOverrides] = useState(() => loadFromStorage(STORAGE_KEYS.KEY_BINDINGS, {}));
+  const [renameThreshold, setRenameThreshold] = useState(() => loadFromStorage(STORAGE_KEYS.RENAME_THRESHOLD, DEFAULT_RENAME_THRESHOLD));
+  const [diffOptions, setDiffOptions] = useState(() => ({ ...DEFAULT_DIFF_OPTIONS, ...loadFromStorage(STORAGE_KEYS.DIFF_OPTIONS, {}) }));
   const [sidebarWidth, setSidebarWidth] = useState(() => loadFromStorage(STORAGE_KEYS.SIDEBAR_WIDTH, 320));
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(() => loadFromStorage(STORAGE_KEYS.SIDEBAR_COLLAPSED, false));
   const [isResizing, setIsResizing] = useState(false);
   const [isHydrated, setIsHydrated] = useState(false);
+  const [viewMode, setViewMode] = useState(() => loadFromStorage(STORAGE_KEYS.VIEW_MODE, 'unified'));
+  const [onlyChanged, setOnlyChanged] = useState(() => loadFromStorage(STORAGE_KEYS.ONLY_CHANGED, false));
+  const [showWhitespace, setShowWhitespace] = useState(() => loadFromStorage(STORAGE_KEYS.SHOW_WHITESPACE, false));
+
+  const reportStorageError = useCallback((e) => setStorageError(e?.message || String(e)), []);
+
+  const applyWorkspace = useCallback((ws) => {
+    setV1Files(ws.v1Files);
+    setV2Files(ws.v2Files);
+    setPatch(ws.patch || null);
+    setAncestorFiles(ws.ancestorFiles || []);
+    setMergeResolutions(ws.mergeResolutions || {});
+    setReviewThreads(ws.reviewThreads || []);
+    setIgnoreReports({ ...EMPTY_IGNORE_REPORTS, ...ws.ignoreReports });
+    setGitSource(ws.gitSource || null);
+    setHunkDecisions(ws.hunkDecisions || {});
+    setEncodingOverrides(ws.encodingOverrides || EMPTY_ENCODING_OVERRIDES);
+  }, []);
 
-  // Persist state changes to localStorage
+  // Restore the last session (migrating a localStorage one from older versions)
+  const legacyPendingRef = useRef(false);
   useEffect(() => {
-    if (isHydrated) saveToStorage(STORAGE_KEYS.V1_FILES, v1Files);
-  }, [v1Files, isHydrated]);
+    let cancelled = false;
+    loadWorkspace(SESSION_ID)
+      .then(session => {
+        if (cancelled) return;
+        const ws = session || readLegacyWorkspace();
+        if (ws && !session) legacyPendingRef.current = true;
+        if (ws) {
+          applyWorkspace(ws);
+          setActiveWorkspace(ws.activeWorkspace || null);
+        }
+      })
+      .catch(reportStorageError)
+      .finally(() => { if (!cancelled) setIsWorkspaceLoaded(true); });
+    return () => { cancelled = true; };
+  }, [applyWorkspace, reportStorageError]);
 
+  // Persist the current comparison as the session workspace
   useEffect(() => {
-    if (isHydrated) saveToStorage(STORAGE_KEYS.V2_FILES, v2Files);
-  }, [v2Files, isHydrated]);
+    if (!isWorkspaceLoaded) return;
+    saveWorkspace(SESSION_ID, null, { v1Files, v2Files, ancestorFiles, patch, mergeResolutions, hunkDecisions, encodingOverrides, reviewThreads, ignoreReports, gitSource, activeWorkspace })
+      .then(() => {
+        if (!legacyPendingRef.current) return;
+        legacyPendingRef.current = false;
+        clearLegacyWorkspace();
+      })
+      .catch(reportStorageError);
+  }, [v1Files, v2Files, ancestorFiles, patch, mergeResolutions, hunkDecisions, encodingOverrides, reviewThreads, ignoreReports, gitSource, activeWorkspace, isWorkspaceLoaded, reportStorageError]);
+
+  const saveNamedWorkspace = async (name) => {
+    // Saving under the open workspace's name updates it; any other name creates a new one
+    const id = activeWorkspace && activeWorkspace.name === name ? activeWorkspace.id : createWorkspaceId();
+    await saveWorkspace(id, name, { v1Files, v2Files, ancestorFiles, patch, mergeResolutions, hunkDecisions, encodingOverrides, reviewThreads, ignoreReports, gitSource });
+    setActiveWorkspace({ id, name });
+  };
+
+  const openWorkspace = async (id) => {
+    const ws = await loadWorkspace(id);
+    if (!ws) throw new Error('Workspace not found');
+    applyWorkspace(ws);
+    setSelectedPair(null);
+    setActiveWorkspace({ id: ws.id, name: ws.name });
+  };
+
+  useEffect(() => {
+    if (isHydrated) saveToStorage(STORAGE_KEYS.RENAME_THRESHOLD, renameThreshold);
+  }, [renameThreshold, isHydrated]);
 
   useEffect(() => {
     if (isHydrated) saveToStorage(STORAGE_KEYS.IGNORE_LIST, ignoreList);
   }, [ignoreList, isHydrated]);
 
+  useEffect(() => {
+    if (isHydrated) saveToStorage(STORAGE_KEYS.USE_IGNORE_FILES, useIgnoreFiles);
+  }, [useIgnoreFiles, isHydrated]);
+
   useEffect(() => {
     if (isHydrated) saveToStorage(STORAGE_KEYS.SIDEBAR_WIDTH, sidebarWidth);
   }, [sidebarWidth, isHydrated]);
@@ -480,6 +1277,26 @@ export default function App() {
     if (isHydrated) saveToStorage(STORAGE_KEYS.SIDEBAR_COLLAPSED, isSidebarCollapsed);
   }, [isSidebarCollapsed, isHydrated]);
 
+  useEffect(() => {
+    if (isHydrated) saveToStorage(STORAGE_KEYS.VIEW_MODE, viewMode);
+  }, [viewMode, isHydrated]);
+
+  useEffect(() => {
+    if (isHydrated) saveToStorage(STORAGE_KEYS.DIFF_OPTIONS, diffOptions);
+  }, [diffOptions, isHydrated]);
+
+  useEffect(() => {
+    if (isHydrated) saveToStorage(STORAGE_KEYS.ONLY_CHANGED, onlyChanged);
+  }, [onlyChanged, isHydrated]);
+
+  useEffect(() => {
+    if (isHydrated) saveToStorage(STORAGE_KEYS.SHOW_WHITESPACE, showWhitespace);
+  }, [showWhitespace, isHydrated]);
+
+  useEffect(() => {
+    if (isHydrated) saveToStorage(STORAGE_KEYS.KEY_BINDINGS, keyOverrides);
+  }, [keyOverrides, isHydrated]);
+
   // Mark as hydrated after initial mount
   useEffect(() => {
     setIsHydrated(true);
@@ -503,88 +1320,421 @@ export default function App() {
     };
   }, [resize, stopResizing]);
 
-  const shouldIgnore = (path) => {
-    const lowerPath = path.toLowerCase();
-    return ignoreList.some(pattern => {
-      const p = pattern.toLowerCase();
-      return lowerPath.endsWith(p) || lowerPath.includes(`/${p}/`) || lowerPath.startsWith(`${p}/`);
-    });
+  // Matches paths against the ignore rules and counts what each rule excluded, for the settings report
+  const createIgnoreCounter = (ignoreFiles) => {
+    const matchIgnore = createIgnoreMatcher(buildIgnoreRules(ignoreList, ignoreFiles));
+    const report = { ignoreFiles, ruleCounts: {}, excludedCount: 0 };
+    const shouldIgnore = (path) => {
+      const rule = matchIgnore(toRepoPath(path));
+      if (!isExcludedBy(rule)) return false;
+      report.ruleCounts[rule.id] = (report.ruleCounts[rule.id] || 0) + 1;
+      report.excludedCount++;
+      return true;
+    };
+    return { shouldIgnore, report };
   };
 
-  const handleDirectorySelect = async (e, setFiles) => {
+  const handleDirectorySelect = async (e, setFiles, side) => {
     const files = Array.from(e.target.files);
     if (!files.length) return;
     setIsProcessing(true);
-    const fileData = [];
-    const batchSize = 20;
-    for (let i = 0; i < files.length; i += batchSize) {
-      const batch = files.slice(i, i + batchSize);
-      const results = await Promise.all(batch.map(async (file) => {
-        const path = file.webkitRelativePath || file.name;
-        if (shouldIgnore(path)) return null;
-        return new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onload = (event) => resolve({ path, content: event.target.result, size: file.size });
-          reader.onerror = () => resolve(null);
-          reader.readAsText(file);
-        });
-      }));
-      fileData.push(...results.filter(Boolean));
+    try {
+      // Ignore files are read first so their rules apply to the rest of the tree
+      const ignoreFiles = useIgnoreFiles
+        ? await loadIgnoreFiles(files.map(file => ({ file, path: file.webkitRelativePath || file.name })), ignoreList)
+        : [];
+      const { shouldIgnore, report } = createIgnoreCounter(ignoreFiles);
+
+      const fileData = [];
+      const batchSize = 20;
+      for (let i = 0; i < files.length; i += batchSize) {
+        const batch = files.slice(i, i + batchSize);
+        const results = await Promise.all(batch.map(async (file) => {
+          const path = file.webkitRelativePath || file.name;
+          if (shouldIgnore(path)) return null;
+          return readFileEntry(file, path).catch(() => null);
+        }));
+        fileData.push(...results.filter(Boolean));
+      }
+      // Folders, commits and a loaded patch are alternative sources; picking a folder leaves patch mode
+      setPatch(null);
+      if (side !== 'ancestor') setGitSource(null);
+      setFiles(fileData);
+      // Conflicts are recomputed from the new contents, so earlier resolutions no longer apply
+      setMergeResolutions({});
+      setIgnoreReports(prev => ({ ...prev, [side]: report }));
+      if (side !== 'ancestor') setEncodingOverrides(prev => ({ ...prev, [side]: {} }));
+    } catch (err) {
+      window.alert(`Couldn't read the folder: ${err.message}`);
+    }
+    setIsProcessing(false);
+  };
+
+  const handlePatchSelect = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setIsProcessing(true);
+    const text = await file.text();
+    setV1Files([]);
+    setV2Files([]);
+    setAncestorFiles([]);
+    setMergeResolutions({});
+    setSelectedPair(null);
+    setGitSource(null);
+    setPatch({ name: file.name, text });
+    setIsProcessing(false);
+  };
+
+  const handleRepoSelect = async (e) => {
+    const entries = Array.from(e.target.files, file => ({ path: file.webkitRelativePath || file.name, file }));
+    if (!entries.length) return;
+    const gitDir = findGitDir(entries);
+    if (!gitDir) {
+      window.alert('No .git directory found in the selected folder.');
+      return;
+    }
+    setIsProcessing(true);
+    try {
+      setGitRepo({ name: gitDir.name, repo: await openRepository(gitDir.files) });
+      setShowGitPicker(true);
+    } catch (err) {
+      window.alert(`Couldn't read the repository: ${err.message}`);
     }
-    setFiles(fileData);
     setIsProcessing(false);
   };
 
+  // Reads both commits' trees as the Base and Target files; rejects (shown in the picker) when a revision doesn't resolve
+  const compareRevisions = async (baseSpec, targetSpec) => {
+    const { name, repo } = gitRepo;
+    const [baseId, targetId] = await Promise.all([repo.resolve(baseSpec), repo.resolve(targetSpec)]);
+    // Blobs unchanged between the two commits are decoded once
+    const entryCache = new Map();
+    const readSide = async (spec, id) => {
+      // .gitignore files don't apply to tracked files; the workspace policy does
+      const { shouldIgnore, report } = createIgnoreCounter([]);
+      // The root stands in for a picked folder's name, so it must stay a single path segment
+      const files = await readCommitFiles(repo, id, {
+        root: `${name}@${spec.replace(/\//g, '-')}`,
+        shouldIgnore,
+        entryCache,
+        onProgress: (done, total) => setGitProgress({ label: spec, done, total }),
+      });
+      return { files, report };
+    };
+    setGitProgress({ label: baseSpec, done: 0, total: 0 });
+    let sides;
+    try {
+      sides = [await readSide(baseSpec, baseId), await readSide(targetSpec, targetId)];
+    } catch (err) {
+      setGitProgress(null);
+      throw err;
+    }
+    const [base, target] = sides;
+    setGitProgress(null);
+    setPatch(null);
+    setV1Files(base.files);
+    setV2Files(target.files);
+    setMergeResolutions({});
+    setIgnoreReports(prev => ({ ...prev, base: base.report, target: target.report }));
+    setGitSource({ name, base: { spec: baseSpec, id: baseId }, target: { spec: targetSpec, id: targetId } });
+    setShowGitPicker(false);
+  };
+
+  // The picker reopens on the last compared revisions; otherwise it offers the default branch against HEAD
+  const gitPickerDefaults = (() => {
+    if (!gitRepo) return null;
+    if (gitSource?.name === gitRepo.name) return { base: gitSource.base.spec, target: gitSource.target.spec };
+    const mainBranch = gitRepo.repo.refs.find(ref => ref.kind === 'branch' && (ref.name === 'main' || ref.name === 'master') && ref.name !== gitRepo.repo.head);
+    return { base: mainBranch ? mainBranch.name : 'HEAD~1', target: 'HEAD' };
+  })();
+
+  const patchFiles = useMemo(() => (patch ? parsePatch(patch.text) : []), [patch]);
+
+  // Files as shown: decoded with the encodings picked by hand, if any
+  const decodedV1Files = useMemo(() => applyEncodingOverrides(v1Files, encodingOverrides.base), [v1Files, encodingOverrides.base]);
+  const decodedV2Files = useMemo(() => applyEncodingOverrides(v2Files, encodingOverrides.target), [v2Files, encodingOverrides.target]);
+
+  // Pairing is the expensive part, so it doesn't re-run when only the diff options change
+  const filePairs = useMemo(() => {
+    if (decodedV1Files.length === 0 && decodedV2Files.length === 0) return [];
+    // Paths read from git are exact, so only content similarity decides renames there
+    return matchFiles(decodedV1Files, decodedV2Files, renameThreshold, { useSlugs: !gitSource });
+  }, [decodedV1Files, decodedV2Files, renameThreshold, gitSource]);
+
+  const overrideEncoding = useCallback((side, path, encoding) => setEncodingOverrides(prev => ({
+    ...prev,
+    [side]: Object.fromEntries([...Object.entries(prev[side]).filter(([p]) => p !== path), ...(encoding ? [[path, encoding]] : [])]),
+  })), []);
+
+  const ancestorByPath = useMemo(() => (
+    ancestorFiles.length > 0 ? new Map(ancestorFiles.map(file => [toRepoPath(file.path), file])) : null
+  ), [ancestorFiles]);
+
   const matchedPairs = useMemo(() => {
-    if (v1Files.length === 0 && v2Files.length === 0) return [];
-
-    // Helper to build slug -> files map
-    const buildFileMap = (files) => files.reduce((map, f) => {
-      const slug = getFileSlug(f.path);
-      if (!map.has(slug)) map.set(slug, []);
-      map.get(slug).push(f);
-      return map;
-    }, new Map());
-
-    const v1Map = buildFileMap(v1Files);
-    const v2Map = buildFileMap(v2Files);
-    const allSlugs = new Set([...v1Map.keys(), ...v2Map.keys()]);
-
-    return Array.from(allSlugs).map(slug => {
-      const v1Matches = v1Map.get(slug) || [];
-      const v2Matches = v2Map.get(slug) || [];
-      if (v1Matches.length > 0 && v2Matches.length > 0) return { type: 'modified', slug, v1: v1Matches[0], v2: v2Matches[0] };
-      if (v1Matches.length > 0) return { type: 'deleted', slug, v1: v1Matches[0], v2: null };
-      return { type: 'added', slug, v1: null, v2: v2Matches[0] };
-    }).sort((a, b) => a.slug.localeCompare(b.slug));
-  }, [v1Files, v2Files]);
+    const pairs = patchFiles.length > 0
+      // Patch entries carry hunks instead of file contents
+      ? patchFiles.map(file => ({
+        type: file.isNew ? 'added' : file.isDeleted ? 'deleted' : 'modified',
+        slug: getFileSlug(file.newPath || file.oldPath),
+        v1: file.oldPath ? { path: file.oldPath, content: null } : null,
+        v2: file.newPath ? { path: file.newPath, content: null } : null,
+        similarity: file.similarity,
+        isRename: file.isRename,
+        patch: file,
+        path: file.newPath || file.oldPath,
+      }))
+      : filePairs.map(pair => {
+        let type = 'modified';
+        if (!pair.v1) type = 'added';
+        else if (!pair.v2) type = 'deleted';
+        else if (isBinaryFile(pair.v1) || isBinaryFile(pair.v2)) type = isSameBinary(pair.v1, pair.v2) ? 'unchanged' : 'modified';
+        // A changed encoding or BOM leaves the decoded lines alike but still changes the file
+        else if (isEquivalent(pair.v1.content, pair.v2.content, diffOptions) && !hasEncodingChange(pair.v1, pair.v2)) type = 'unchanged';
+        const merged = { ...pair, type, path: toRepoPath((pair.v2 || pair.v1).path) };
+        // Renamed files are looked up under either name
+        if (ancestorByPath) merged.ancestor = ancestorByPath.get(merged.path) || (pair.v1 && ancestorByPath.get(toRepoPath(pair.v1.path))) || null;
+        return merged;
+      });
+
+    return pairs
+      .map(pair => ({ ...pair, id: getPairId(pair) }))
+      .sort((a, b) => a.slug.localeCompare(b.slug) || a.id.localeCompare(b.id));
+  }, [filePairs, patchFiles, ancestorByPath, diffOptions]);
 
   // Restore selected pair from storage, or default to first pair
   useEffect(() => {
     if (matchedPairs.length > 0 && !selectedPair) {
-      const savedSlug = loadFromStorage(STORAGE_KEYS.SELECTED_SLUG, null);
-      const restoredPair = savedSlug
-        ? matchedPairs.find(p => p.slug === savedSlug)
+      const savedId = loadFromStorage(STORAGE_KEYS.SELECTED_PAIR, null);
+      const restoredPair = savedId
+        ? matchedPairs.find(p => p.id === savedId)
         : null;
       setSelectedPair(restoredPair || matchedPairs[0]);
     }
   }, [matchedPairs, selectedPair]);
 
-  // Persist selected pair slug
+  // Persist selected pair id
   useEffect(() => {
     if (isHydrated && selectedPair) {
-      saveToStorage(STORAGE_KEYS.SELECTED_SLUG, selectedPair.slug);
+      saveToStorage(STORAGE_KEYS.SELECTED_PAIR, selectedPair.id);
     }
   }, [selectedPair, isHydrated]);
 
+  // matchedPairs is rebuilt when diff options change, so resolve the selection against the current list
+  const activePair = selectedPair ? (matchedPairs.find(p => p.id === selectedPair.id) || null) : null;
+
+  // A link from the URL (on load, or on back/forward) waits here until the workspace has files
+  const [pendingLink, setPendingLink] = useState(() => parseLink(window.location.hash));
+  if (pendingLink && matchedPairs.length > 0) {
+    setPendingLink(null);
+    const pair = findLinkedPair(matchedPairs, pendingLink);
+    if (pair) {
+      setSelectedPair(pair);
+      setLineTarget(pendingLink.lineNo ? { pairId: pair.id, side: pendingLink.side, lineNo: pendingLink.lineNo } : null);
+      if (pendingLink.view) setViewMode(pendingLink.view);
+    }
+  }
+
+  useEffect(() => {
+    const onPopState = () => setPendingLink(parseLink(window.location.hash));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // Mirror the open file, selected line and layout in the URL; opening another file adds a history entry
+  const linkedLine = activePair && lineTarget?.pairId === activePair.id ? lineTarget : null;
+  useEffect(() => {
+    if (!activePair || pendingLink) return;
+    const hash = formatLink({ path: activePair.path, side: linkedLine?.side, lineNo: linkedLine?.lineNo, view: viewMode });
+    if (hash === window.location.hash) return;
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (parseLink(window.location.hash)?.path !== activePair.path && window.location.hash) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+  }, [activePair, linkedLine, viewMode, pendingLink]);
+
   const stats = matchedPairs.reduce((acc, p) => {
     acc[p.type] = (acc[p.type] || 0) + 1;
     return acc;
-  }, { modified: 0, added: 0, deleted: 0 });
+  }, { modified: 0, added: 0, deleted: 0, unchanged: 0 });
+
+  const { stats: changeStats, error: changeStatsError } = useChangeStats(matchedPairs, diffOptions);
+
+  const resolveConflict = useCallback((pairId, conflictId, resolution) => {
+    setMergeResolutions(prev => {
+      const forPair = { ...prev[pairId] };
+      if (resolution) forPair[conflictId] = resolution;
+      else delete forPair[conflictId];
+      return { ...prev, [pairId]: forPair };
+    });
+  }, []);
+
+  const pairsByPath = useMemo(() => new Map(matchedPairs.map(pair => [pair.path, pair])), [matchedPairs]);
+  const anchoredThreads = useMemo(() => reanchorThreads(reviewThreads, pairsByPath), [reviewThreads, pairsByPath]);
+  const threadsByPath = useMemo(() => anchoredThreads.reduce((map, thread) => {
+    map.set(thread.path, [...(map.get(thread.path) || []), thread]);
+    return map;
+  }, new Map()), [anchoredThreads]);
+  const commentCounts = useMemo(() => countThreads(anchoredThreads), [anchoredThreads]);
+
+  const createReviewThread = useCallback((thread) => setReviewThreads(prev => [...prev, thread]), []);
+  // Updates store the re-anchored position, so the thread is found directly next time
+  const updateReviewThread = useCallback((thread) => {
+    const { outdated: _outdated, ...stored } = thread;
+    setReviewThreads(prev => prev.map(t => (t.id === thread.id ? stored : t)));
+  }, []);
+  const deleteReviewThread = useCallback((id) => setReviewThreads(prev => prev.filter(t => t.id !== id)), []);
+
+  const exportReview = (format) => {
+    const title = activeWorkspace ? `Review notes: ${activeWorkspace.name}` : 'Review notes';
+    if (format === 'json') downloadFile('review-notes.json', exportReviewJson(anchoredThreads), 'application/json');
+    else downloadFile('review-notes.md', exportReviewMarkdown(anchoredThreads, title), 'text/markdown');
+  };
+
+  const downloadMergedTree = () => {
+    const { entries, unresolved, skipped } = buildMergedTree(matchedPairs, mergeResolutions);
+    const warnings = [];
+    if (unresolved > 0) warnings.push(`${unresolved} conflict${unresolved === 1 ? ' is' : 's are'} unresolved and will be written with conflict markers (or the file left out).`);
+    if (skipped.length > 0) warnings.push(`${skipped.length} binary file${skipped.length === 1 ? '' : 's'} can't be included because only their hashes were kept: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', …' : ''}`);
+    if (warnings.length > 0 && !window.confirm(`${warnings.join('\n\n')}\n\nDownload anyway?`)) return;
+    downloadFile('merged.zip', createZip(entries));
+  };
+
+  // Decisions are keyed by hunk content, so they outlive folder reloads; keys of hunks that no longer exist are simply not counted
+  const decideHunks = useCallback((pairId, updates) => setHunkDecisions(prev => {
+    const merged = Object.entries({ ...prev[pairId], ...updates }).filter(([, decision]) => decision);
+    const others = Object.entries(prev).filter(([id]) => id !== pairId);
+    return Object.fromEntries(merged.length > 0 ? [...others, [pairId, Object.fromEntries(merged)]] : others);
+  }), []);
+
+  // Decided/total per pair, shown once any decision exists; text pairs count once the stats worker has listed their hunks
+  const decisionCounts = useMemo(() => {
+    if (Object.keys(hunkDecisions).length === 0) return EMPTY_DECISION_COUNTS;
+    const counts = new Map();
+    matchedPairs.forEach(pair => {
+      const scope = getDecisionScope(pair);
+      const decisions = hunkDecisions[pair.id] || EMPTY_DECISIONS;
+      if (scope === 'file') counts.set(pair.id, { decided: decisions[FILE_DECISION] ? 1 : 0, total: 1 });
+      const keys = scope === 'hunks' && changeStats.get(pair.id)?.hunks;
+      if (keys) counts.set(pair.id, { decided: keys.filter(key => decisions[key]).length, total: keys.length });
+    });
+    return counts;
+  }, [hunkDecisions, matchedPairs, changeStats]);
+  const decisionTotals = useMemo(() => {
+    let decided = 0;
+    let total = 0;
+    decisionCounts.forEach(count => {
+      decided += count.decided;
+      total += count.total;
+    });
+    return { decided, total };
+  }, [decisionCounts]);
+
+  const downloadDecidedTree = () => {
+    const { entries, undecided, skipped } = buildDecidedTree(matchedPairs, hunkDecisions, diffOptions);
+    const warnings = [];
+    if (undecided > 0) warnings.push(`${undecided} hunk${undecided === 1 ? ' is' : 's are'} undecided and will keep the base version.`);
+    if (skipped.length > 0) warnings.push(`${skipped.length} binary file${skipped.length === 1 ? '' : 's'} can't be included because only their hashes were kept: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', …' : ''}`);
+    if (warnings.length > 0 && !window.confirm(`${warnings.join('\n\n')}\n\nDownload anyway?`)) return;
+    downloadFile('result.zip', createZip(entries));
+  };
+
+  const { exportReport, progress: reportProgress } = useReportExport();
+  const exportHtmlReport = () => {
+    const title = activeWorkspace ? activeWorkspace.name : 'Comparison report';
+    exportReport({ pairs: matchedPairs, options: diffOptions, title, filename: 'comparison-report.html' })
+      // A newer export replacing this one isn't a failure
+      .catch(e => { if (e.name !== 'AbortError') window.alert(`The report could not be created: ${e.message}`); });
+  };
+
+  const contentSearch = useContentSearch(matchedPairs, contentQuery, searchScope, diffOptions);
+  const searchHighlight = useMemo(() => (contentSearch.regex ? { regex: contentSearch.regex, scope: searchScope } : null), [contentSearch.regex, searchScope]);
+
+  const openSearchHit = (pair, hit) => {
+    setSelectedPair(pair);
+    setLineTarget({ pairId: pair.id, side: hit.side, lineNo: hit.lineNo });
+  };
+
+  const query = searchTerm.trim().toLowerCase();
+  const visiblePairs = useMemo(() => matchedPairs.filter(p => (
+    (!onlyChanged || p.type !== 'unchanged')
+    && (!query || p.slug.includes(query) || p.path.toLowerCase().includes(query))
+  )), [matchedPairs, onlyChanged, query]);
+
+  // --- KEYBOARD SHORTCUTS & COMMAND PALETTE ---
+  const comparisonRef = useRef(null);
+  const contentSearchInputRef = useRef(null);
+  const keyBindings = useMemo(() => resolveBindings(keyOverrides), [keyOverrides]);
+
+  const stepFile = (direction) => {
+    if (visiblePairs.length === 0) return;
+    const idx = visiblePairs.findIndex(p => p.id === activePair?.id);
+    const next = idx === -1 ? (direction > 0 ? 0 : visiblePairs.length - 1) : (idx + direction + visiblePairs.length) % visiblePairs.length;
+    setSelectedPair(visiblePairs[next]);
+  };
+
+  const focusContentSearch = () => {
+    setIsSidebarCollapsed(false);
+    setSidebarTab('search');
+    // The panel may only mount on the next render
+    requestAnimationFrame(() => contentSearchInputRef.current?.focus());
+  };
+
+  // Commands that don't apply to the current workspace have no handler, so their keys do nothing and the palette hides them
+  const commandHandlers = {
+    'palette.open': () => setShowPalette(true),
+    'help.open': () => setShowShortcuts(true),
+    'settings.open': () => setShowSettings(true),
+    'diffOptions.open': () => setShowDiffOptions(true),
+    'sidebar.toggle': () => setIsSidebarCollapsed(collapsed => !collapsed),
+    'search.focus': matchedPairs.length > 0 ? focusContentSearch : undefined,
+    'file.next': () => stepFile(1),
+    'file.prev': () => stepFile(-1),
+    'hunk.next': () => comparisonRef.current?.nextHunk(),
+    'hunk.prev': () => comparisonRef.current?.prevHunk(),
+    'match.next': () => comparisonRef.current?.nextMatch(),
+    'match.prev': () => comparisonRef.current?.prevMatch(),
+    'folds.expand': () => comparisonRef.current?.expandAll(),
+    'folds.collapse': () => comparisonRef.current?.collapseAll(),
+    'view.toggleSplit': () => setViewMode(mode => (mode === 'split' ? 'unified' : 'split')),
+    'view.toggleWhitespace': () => setShowWhitespace(show => !show),
+    'filter.toggleChanged': () => setOnlyChanged(only => !only),
+    'report.exportHtml': matchedPairs.length > 0 && !reportProgress ? exportHtmlReport : undefined,
+    'patch.exportAll': matchedPairs.length > 0 ? () => downloadFile('workspace.patch', createWorkspacePatch(matchedPairs), 'text/x-diff') : undefined,
+    'review.exportMarkdown': anchoredThreads.length > 0 ? () => exportReview('markdown') : undefined,
+    'merge.downloadTree': ancestorByPath && matchedPairs.length > 0 ? downloadMergedTree : undefined,
+    'decisions.downloadTree': !patch && matchedPairs.length > 0 ? downloadDecidedTree : undefined,
+  };
+  const paletteCommands = COMMANDS.filter(cmd => cmd.id !== 'palette.open' && commandHandlers[cmd.id]);
+  const isDialogOpen = showPalette || showShortcuts || showSettings || showDiffOptions || showGitPicker;
+  useKeyboardShortcuts(keyBindings, commandHandlers, !isDialogOpen);
 
   return (
     <div className="flex h-screen bg-[#010409] text-slate-300 font-sans antialiased overflow-hidden relative">
-      <SettingsModal isOpen={showSettings} onClose={() => setShowSettings(false)} ignoreList={ignoreList} setIgnoreList={setIgnoreList} />
+      <SettingsModal isOpen={showSettings} onClose={() => setShowSettings(false)} ignoreList={ignoreList} setIgnoreList={setIgnoreList} useIgnoreFiles={useIgnoreFiles} setUseIgnoreFiles={setUseIgnoreFiles} ignoreReports={ignoreReports} renameThreshold={renameThreshold} setRenameThreshold={setRenameThreshold} />
+      <DiffOptionsModal isOpen={showDiffOptions} onClose={() => setShowDiffOptions(false)} diffOptions={diffOptions} setDiffOptions={setDiffOptions} />
+      {showPalette && (
+        <CommandPalette commands={paletteCommands} bindings={keyBindings} pairs={matchedPairs} onRunCommand={(id) => commandHandlers[id]?.()} onOpenPair={setSelectedPair} onClose={() => setShowPalette(false)} />
+      )}
+      {showShortcuts && (
+        <ShortcutsHelp
+          bindings={keyBindings}
+          onChange={(id, combos) => setKeyOverrides(prev => ({ ...prev, [id]: combos }))}
+          onReset={(id) => setKeyOverrides(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => key !== id)))}
+          onResetAll={() => setKeyOverrides({})}
+          onClose={() => setShowShortcuts(false)}
+        />
+      )}
+      {showGitPicker && gitRepo && (
+        <GitRefPicker
+          key={gitRepo.name}
+          repo={gitRepo.repo}
+          name={gitRepo.name}
+          initialBase={gitPickerDefaults.base}
+          initialTarget={gitPickerDefaults.target}
+          progress={gitProgress}
+          onCompare={compareRevisions}
+          onClose={() => setShowGitPicker(false)}
+        />
+      )}
       <aside
         style={{ width: isSidebarCollapsed ? 0 : sidebarWidth }}
         className={`border-r border-white/10 flex flex-col bg-[#0d1117] z-30 shadow-2xl shrink-0 transition-[width] duration-300 ease-in-out relative group/sidebar ${isSidebarCollapsed ? 'overflow-hidden' : ''}`}
@@ -593,51 +1743,92 @@ export default function App() {
           <div className="flex items-center justify-between mb-6">
             <div className="flex items-center gap-3"><div className="w-8 h-8 bg-blue-600 rounded-xl flex items-center justify-center shadow-lg shadow-blue-500/20"><Code size={18} className="text-white" /></div><h1 className="text-xs font-black text-white tracking-widest uppercase">Version Lens</h1></div>
             <div className="flex items-center gap-1">
+              <button onClick={() => setShowDiffOptions(true)} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-blue-400 transition-all" title="Diff Options"><SlidersHorizontal size={15} /></button>
               <button onClick={() => setShowSettings(true)} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-blue-400 transition-all" title="Workspace Policy"><Settings size={15} /></button>
-              {(v1Files.length > 0 || v2Files.length > 0) && (<button onClick={() => { clearAllStorage(); setV1Files([]); setV2Files([]); setSelectedPair(null); }} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-rose-400 transition-all" title="Clear Workspace"><RefreshCw size={15} /></button>)}
+              <button onClick={() => setShowShortcuts(true)} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-blue-400 transition-all" title="Keyboard Shortcuts"><Keyboard size={15} /></button>
+              {ancestorByPath && matchedPairs.length > 0 && (<button onClick={downloadMergedTree} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-violet-400 transition-all" title="Download Merged Tree (.zip)"><FileArchive size={15} /></button>)}
+              {matchedPairs.length > 0 && (<button onClick={exportHtmlReport} disabled={!!reportProgress} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-emerald-400 transition-all disabled:pointer-events-none" title={reportProgress ? `Building report… ${reportProgress.done}/${reportProgress.total}` : 'Export HTML Report'}>{reportProgress ? <Loader2 size={15} className="animate-spin" /> : <FileCode size={15} />}</button>)}
+              {matchedPairs.length > 0 && (<button onClick={() => downloadFile('workspace.patch', createWorkspacePatch(matchedPairs), 'text/x-diff')} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-emerald-400 transition-all" title="Export All as .patch"><FileDown size={15} /></button>)}
+              {(v1Files.length > 0 || v2Files.length > 0 || ancestorFiles.length > 0 || patch) && (<button onClick={() => { clearAllStorage(); setV1Files([]); setV2Files([]); setAncestorFiles([]); setMergeResolutions({}); setHunkDecisions({}); setEncodingOverrides(EMPTY_ENCODING_OVERRIDES); setReviewThreads([]); setPatch(null); setSelectedPair(null); setIgnoreReports(EMPTY_IGNORE_REPORTS); setGitRepo(null); setGitSource(null); setActiveWorkspace(null); }} className="p-2 hover:bg-white/5 rounded-lg text-slate-500 hover:text-rose-400 transition-all" title="Clear Workspace"><RefreshCw size={15} /></button>)}
             </div>
           </div>
           <div className="space-y-2">
             <label className="flex items-center gap-3 px-3 py-2.5 bg-[#161b22] border border-white/10 rounded-xl cursor-pointer hover:border-blue-500/50 hover:bg-[#1c2128] transition-all group overflow-hidden">
-              <FolderOpen size={16} className={v1Files.length ? "text-blue-400" : "text-slate-500"} /><div className="flex flex-col min-w-0"><span className="text-[9px] uppercase font-black text-slate-600 tracking-tighter">Base Version</span><span className="text-xs truncate font-bold text-slate-300">{v1Files.length ? `${v1Files.length} files indexed` : "Select Base Folder"}</span></div>
-              <input type="file" webkitdirectory="true" className="hidden" onChange={(e) => handleDirectorySelect(e, setV1Files)} />
+              <FolderOpen size={16} className={v1Files.length ? "text-blue-400" : "text-slate-500"} /><div className="flex flex-col min-w-0"><span className="text-[9px] uppercase font-black text-slate-600 tracking-tighter">Base Version</span><span className="text-xs truncate font-bold text-slate-300">{gitSource ? `${gitSource.base.spec} @ ${gitSource.base.id.slice(0, 7)} · ${v1Files.length} files` : v1Files.length ? `${v1Files.length} files indexed` : "Select Base Folder"}</span></div>
+              <input type="file" webkitdirectory="true" className="hidden" onChange={(e) => handleDirectorySelect(e, setV1Files, 'base')} />
             </label>
             <label className="flex items-center gap-3 px-3 py-2.5 bg-[#161b22] border border-white/10 rounded-xl cursor-pointer hover:border-emerald-500/50 hover:bg-[#1c2128] transition-all group overflow-hidden">
-              <FolderOpen size={16} className={v2Files.length ? "text-emerald-400" : "text-slate-500"} /><div className="flex flex-col min-w-0"><span className="text-[9px] uppercase font-black text-slate-600 tracking-tighter">Target Version</span><span className="text-xs truncate font-bold text-slate-300">{v2Files.length ? `${v2Files.length} files indexed` : "Select New Folder"}</span></div>
-              <input type="file" webkitdirectory="true" className="hidden" onChange={(e) => handleDirectorySelect(e, setV2Files)} />
+              <FolderOpen size={16} className={v2Files.length ? "text-emerald-400" : "text-slate-500"} /><div className="flex flex-col min-w-0"><span className="text-[9px] uppercase font-black text-slate-600 tracking-tighter">Target Version</span><span className="text-xs truncate font-bold text-slate-300">{gitSource ? `${gitSource.target.spec} @ ${gitSource.target.id.slice(0, 7)} · ${v2Files.length} files` : v2Files.length ? `${v2Files.length} files indexed` : "Select New Folder"}</span></div>
+              <input type="file" webkitdirectory="true" className="hidden" onChange={(e) => handleDirectorySelect(e, setV2Files, 'target')} />
+            </label>
+            <label className="flex items-center gap-3 px-3 py-2.5 bg-[#161b22] border border-white/10 rounded-xl cursor-pointer hover:border-violet-500/50 hover:bg-[#1c2128] transition-all group overflow-hidden">
+              <GitMerge size={16} className={ancestorFiles.length ? "text-violet-400" : "text-slate-500"} /><div className="flex flex-col min-w-0"><span className="text-[9px] uppercase font-black text-slate-600 tracking-tighter">Ancestor Version (optional)</span><span className="text-xs truncate font-bold text-slate-300">{ancestorFiles.length ? `${ancestorFiles.length} files indexed` : "Select Common Ancestor for Merging"}</span></div>
+              <input type="file" webkitdirectory="true" className="hidden" onChange={(e) => handleDirectorySelect(e, setAncestorFiles, 'ancestor')} />
+            </label>
+            <label className="flex items-center gap-3 px-3 py-2.5 bg-[#161b22] border border-white/10 rounded-xl cursor-pointer hover:border-amber-500/50 hover:bg-[#1c2128] transition-all group overflow-hidden">
+              <FileDiff size={16} className={patch ? "text-amber-400" : "text-slate-500"} /><div className="flex flex-col min-w-0"><span className="text-[9px] uppercase font-black text-slate-600 tracking-tighter">Or Patch File</span><span className="text-xs truncate font-bold text-slate-300">{patch ? `${patch.name} · ${patchFiles.length} files` : "Load .patch / .diff"}</span></div>
+              <input type="file" accept=".patch,.diff,text/x-diff,text/x-patch" className="hidden" onChange={handlePatchSelect} />
+            </label>
+            <label className="flex items-center gap-3 px-3 py-2.5 bg-[#161b22] border border-white/10 rounded-xl cursor-pointer hover:border-orange-500/50 hover:bg-[#1c2128] transition-all group overflow-hidden">
+              <GitBranch size={16} className={gitSource ? "text-orange-400" : "text-slate-500"} /><div className="flex flex-col min-w-0 flex-1"><span className="text-[9px] uppercase font-black text-slate-600 tracking-tighter">Or Git Repository</span><span className="text-xs truncate font-bold text-slate-300">{gitSource ? `${gitSource.name} · ${gitSource.base.spec}..${gitSource.target.spec}` : gitRepo ? gitRepo.name : "Compare Commits from .git"}</span></div>
+              {gitRepo && (<button onClick={(e) => { e.preventDefault(); setShowGitPicker(true); }} className="p-1 rounded-lg text-slate-500 hover:text-orange-400 hover:bg-white/5 transition-all" title="Choose Revisions"><GitCompare size={14} /></button>)}
+              <input type="file" webkitdirectory="true" className="hidden" onChange={handleRepoSelect} />
             </label>
           </div>
+          <WorkspaceManager activeWorkspace={activeWorkspace} canSave={v1Files.length > 0 || v2Files.length > 0 || ancestorFiles.length > 0 || !!patch} onSave={saveNamedWorkspace} onOpen={openWorkspace} onDeleted={(id) => { if (activeWorkspace?.id === id) setActiveWorkspace(null); }} onError={reportStorageError} />
+          {storageError && (
+            <div className="mt-3 flex items-start gap-2 px-3 py-2 bg-rose-500/10 border border-rose-500/20 rounded-lg text-[10px] text-rose-300 whitespace-normal">
+              <ShieldAlert size={12} className="shrink-0 mt-0.5" /><span className="flex-1">Storage error: {storageError}. Changes may not survive a reload.</span>
+              <button onClick={() => setStorageError(null)} className="text-rose-400 hover:text-white"><X size={12} /></button>
+            </div>
+          )}
         </div>
         {matchedPairs.length > 0 ? (
           <div className="min-w-[320px] flex-1 flex flex-col overflow-hidden">
-            <div className="px-5 py-4 border-b border-white/5 space-y-4">
-              <div className="relative group"><Search className="absolute left-3 top-2.5 text-slate-500 group-focus-within:text-blue-400 transition-colors" size={14} /><input type="text" placeholder="Jump to file..." className="w-full bg-[#010409] border border-white/10 rounded-lg py-2 pl-9 pr-4 text-xs outline-none focus:border-blue-500/50 transition-all placeholder:text-slate-600 text-slate-200" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} /></div>
-              <div className="flex gap-2 overflow-x-auto no-scrollbar pb-1">
-                <div className="flex items-center gap-1.5 bg-blue-500/10 text-blue-400 px-2.5 py-1 rounded-full text-[10px] font-black border border-blue-500/10 shrink-0">MOD: {stats.modified}</div>
-                <div className="flex items-center gap-1.5 bg-emerald-500/10 text-emerald-400 px-2.5 py-1 rounded-full text-[10px] font-black border border-emerald-500/10 shrink-0">ADD: {stats.added}</div>
-                <div className="flex items-center gap-1.5 bg-rose-500/10 text-rose-400 px-2.5 py-1 rounded-full text-[10px] font-black border border-rose-500/10 shrink-0">DEL: {stats.deleted}</div>
-              </div>
+            <div className="flex gap-1 px-5 pt-3">
+              {[
+                { tab: 'files', icon: FolderTree, label: 'Files' },
+                { tab: 'search', icon: Search, label: contentSearch.hitCount > 0 ? `Search · ${contentSearch.hitCount}` : 'Search' }
+              ].map(item => (
+                <button key={item.tab} onClick={() => setSidebarTab(item.tab)} className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest transition-all ${sidebarTab === item.tab ? 'bg-white/5 text-slate-200' : 'text-slate-500 hover:text-slate-300'}`}><item.icon size={12} />{item.label}</button>
+              ))}
             </div>
-            <nav className="flex-1 overflow-auto px-3 space-y-1 py-4 custom-scrollbar">
-              {matchedPairs.filter(p => p.slug.includes(searchTerm.toLowerCase()) || (p.v2?.path || '').toLowerCase().includes(searchTerm.toLowerCase())).map((pair, idx) => (
-                <button key={idx} onClick={() => setSelectedPair(pair)} className={`w-full flex items-center gap-3 px-3 py-3 rounded-xl text-left transition-all group relative border ${selectedPair === pair ? 'bg-blue-600/10 text-blue-400 border-blue-500/30 shadow-inner' : 'hover:bg-white/5 border-transparent'}`}>
-                  <div className="flex-shrink-0">
-                    {pair.type === 'modified' && <div className="w-2.5 h-2.5 rounded-full bg-blue-500 shadow-[0_0_8px_rgba(59,130,246,0.6)]" />}
-                    {pair.type === 'added' && <div className="w-2.5 h-2.5 rounded-full bg-emerald-500 shadow-[0_0_8px_rgba(16,185,129,0.6)]" />}
-                    {pair.type === 'deleted' && <div className="w-2.5 h-2.5 rounded-full bg-rose-500 shadow-[0_0_8px_rgba(244,63,94,0.6)]" />}
+            {sidebarTab === 'search' ? (
+              <SearchPanel pairs={matchedPairs} query={contentQuery} setQuery={setContentQuery} scope={searchScope} setScope={setSearchScope} search={contentSearch} activeHit={lineTarget} onOpenHit={openSearchHit} inputRef={contentSearchInputRef} />
+            ) : (
+              <>
+                <div className="px-5 py-4 border-b border-white/5 space-y-4">
+                  <div className="relative group"><Search className="absolute left-3 top-2.5 text-slate-500 group-focus-within:text-blue-400 transition-colors" size={14} /><input type="text" placeholder="Jump to file..." className="w-full bg-[#010409] border border-white/10 rounded-lg py-2 pl-9 pr-4 text-xs outline-none focus:border-blue-500/50 transition-all placeholder:text-slate-600 text-slate-200" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} /></div>
+                  <div className="flex gap-2 overflow-x-auto no-scrollbar pb-1">
+                    <div className="flex items-center gap-1.5 bg-blue-500/10 text-blue-400 px-2.5 py-1 rounded-full text-[10px] font-black border border-blue-500/10 shrink-0">MOD: {stats.modified}</div>
+                    <div className="flex items-center gap-1.5 bg-emerald-500/10 text-emerald-400 px-2.5 py-1 rounded-full text-[10px] font-black border border-emerald-500/10 shrink-0">ADD: {stats.added}</div>
+                    <div className="flex items-center gap-1.5 bg-rose-500/10 text-rose-400 px-2.5 py-1 rounded-full text-[10px] font-black border border-rose-500/10 shrink-0">DEL: {stats.deleted}</div>
+                    {stats.unchanged > 0 && <div className="flex items-center gap-1.5 bg-slate-500/10 text-slate-400 px-2.5 py-1 rounded-full text-[10px] font-black border border-slate-500/10 shrink-0">SAME: {stats.unchanged}</div>}
+                    {decisionTotals.total > 0 && <button onClick={downloadDecidedTree} className={`flex items-center gap-1.5 px-2.5 py-1 rounded-full text-[10px] font-black border shrink-0 transition-all ${decisionTotals.decided === decisionTotals.total ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20' : 'bg-amber-500/10 text-amber-400 border-amber-500/20'} hover:brightness-125`} title={`${decisionTotals.decided} of ${decisionTotals.total} hunks decided · Download Result Tree (.zip)`}><PackageCheck size={11} />{decisionTotals.decided}/{decisionTotals.total}</button>}
+                    {anchoredThreads.length > 0 && <ReviewExportMenu threads={anchoredThreads} onExport={exportReview} />}
+                    <button onClick={() => setOnlyChanged(!onlyChanged)} className={`ml-auto flex items-center gap-1.5 px-2.5 py-1 rounded-full text-[10px] font-black border shrink-0 transition-all ${onlyChanged ? 'bg-blue-500/20 text-blue-300 border-blue-500/30' : 'text-slate-500 border-white/10 hover:text-slate-300'}`} title="Only show changed files"><ListFilter size={11} />CHANGED</button>
                   </div>
-                  <div className="flex flex-col min-w-0"><span className={`text-xs font-bold truncate ${selectedPair === pair ? 'text-blue-300' : 'text-slate-300 group-hover:text-white'}`}>{pair.v2?.path.split('/').pop() || pair.v1?.path.split('/').pop()}</span><span className="text-[9px] text-slate-500 truncate mt-0.5 font-mono opacity-60">{pair.slug}</span></div>
-                </button>
-              ))}
-            </nav>
+                </div>
+                <nav className="flex-1 overflow-auto px-3 space-y-0.5 py-4 custom-scrollbar">
+                  {changeStatsError && (
+                    <div className="mb-2 flex items-start gap-2 px-3 py-2 bg-rose-500/10 border border-rose-500/20 rounded-lg text-[10px] text-rose-300 whitespace-normal">
+                      <ShieldAlert size={12} className="shrink-0 mt-0.5" /><span className="flex-1">Change counts failed: {changeStatsError}. Line totals and hunk decision counts may be incomplete.</span>
+                    </div>
+                  )}
+                  {visiblePairs.length > 0
+                    ? <FileTree pairs={visiblePairs} stats={changeStats} commentCounts={commentCounts} decisionCounts={decisionCounts} activePair={activePair} onSelect={setSelectedPair} forceOpen={!!query} />
+                    : <p className="text-[11px] text-slate-600 font-bold text-center py-6">No matching files</p>}
+                </nav>
+              </>
+            )}
           </div>
         ) : (<div className="flex-1 flex flex-col items-center justify-center p-8 text-center opacity-40 min-w-[320px]"><FolderOpen size={24} className="text-slate-600 mb-4" /><p className="text-[11px] text-slate-500 font-bold uppercase tracking-widest leading-relaxed">Workspace Idle</p></div>)}
         {!isSidebarCollapsed && <div onMouseDown={startResizing} className="absolute top-0 right-0 w-1.5 h-full cursor-col-resize hover:bg-blue-500/40 transition-colors z-40 flex items-center justify-center group/resizer"><div className="w-[1px] h-10 bg-white/10 group-hover/resizer:bg-blue-500/50" /></div>}
       </aside>
 
       <main className="flex-1 flex flex-col min-w-0 bg-[#0d1117] relative">
-        {selectedPair ? (
-          <ComparisonView pair={selectedPair} toggleSidebar={() => setIsSidebarCollapsed(!isSidebarCollapsed)} isSidebarCollapsed={isSidebarCollapsed} />
+        {activePair ? (
+          <ComparisonView ref={comparisonRef} pair={activePair} toggleSidebar={() => setIsSidebarCollapsed(!isSidebarCollapsed)} isSidebarCollapsed={isSidebarCollapsed} viewMode={viewMode} setViewMode={setViewMode} diffOptions={diffOptions} showWhitespace={showWhitespace} onToggleWhitespace={() => setShowWhitespace(!showWhitespace)} onOverrideEncoding={overrideEncoding} mergeResolutions={mergeResolutions[activePair.id] || EMPTY_RESOLUTIONS} onResolveConflict={resolveConflict} decisions={hunkDecisions[activePair.id] || EMPTY_DECISIONS} onDecide={(updates) => decideHunks(activePair.id, updates)} threads={threadsByPath.get(activePair.path) || EMPTY_THREADS} onCreateThread={createReviewThread} onUpdateThread={updateReviewThread} onDeleteThread={deleteReviewThread} search={searchHighlight} searchHits={contentSearch.results.get(activePair.id)?.hits || EMPTY_HITS} lineTarget={lineTarget} onLineTarget={setLineTarget} />
         ) : (
           <div className="flex-1 flex flex-col items-center justify-center p-12 overflow-hidden">
             {isSidebarCollapsed && (
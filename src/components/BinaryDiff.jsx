@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { Columns2, Layers, ScanSearch, FileQuestion } from 'lucide-react';
+import { getImageSrc, isSameBinary, formatBytes } from '../lib/binary';
+
+// --- BINARY & IMAGE COMPARISON ---
+
+// Checkerboard behind images so transparency is visible
+const CHECKERBOARD = {
+  backgroundImage: 'conic-gradient(#1e293b 25%, #0f172a 0 50%, #1e293b 0 75%, #0f172a 0)',
+  backgroundSize: '16px 16px',
+};
+
+const IMAGE_MODES = [
+  { mode: 'side', icon: Columns2, label: 'Side by Side' },
+  { mode: 'onion', icon: Layers, label: 'Onion Skin' },
+  { mode: 'pixel', icon: ScanSearch, label: 'Pixel Difference' },
+];
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Image could not be decoded'));
+  img.src = src;
+});
+
+const readPixels = (img, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, width, height).data;
+};
+
+/**
+ * Compares two images pixel by pixel on a shared canvas (top-left aligned, so size
+ * changes show up as differences). Unchanged pixels are drawn as a dim grayscale of
+ * the target; changed ones in magenta.
+ */
+const computePixelDiff = async (oldSrc, newSrc) => {
+  const [a, b] = await Promise.all([loadImage(oldSrc), loadImage(newSrc)]);
+  const width = Math.max(a.naturalWidth, b.naturalWidth);
+  const height = Math.max(a.naturalHeight, b.naturalHeight);
+  const pa = readPixels(a, width, height);
+  const pb = readPixels(b, width, height);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const out = ctx.createImageData(width, height);
+  let changed = 0;
+  for (let i = 0; i < pa.length; i += 4) {
+    if (pa[i] !== pb[i] || pa[i + 1] !== pb[i + 1] || pa[i + 2] !== pb[i + 2] || pa[i + 3] !== pb[i + 3]) {
+      changed++;
+      out.data.set([255, 0, 255, 255], i);
+    } else {
+      const gray = (pb[i] * 0.3 + pb[i + 1] * 0.59 + pb[i + 2] * 0.11) * 0.35;
+      out.data.set([gray, gray, gray, pb[i + 3] ? 255 : 0], i);
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+  return { src: canvas.toDataURL(), changed, total: width * height, width, height };
+};
+
+const shortHash = (file) => (file?.binary ? file.binary.hash.slice(0, 12) : null);
+
+/**
+ * Size and SHA-256 of both sides of a binary pair, in place of a text diff.
+ */
+export const BinarySummary = ({ oldFile, newFile }) => {
+  const rows = [
+    { label: 'Base', file: oldFile, color: 'text-rose-400' },
+    { label: 'Target', file: newFile, color: 'text-emerald-400' },
+  ];
+  const delta = oldFile && newFile ? newFile.size - oldFile.size : null;
+  return (
+    <div className="mx-6 my-6 rounded-2xl border border-white/10 bg-slate-900/40 overflow-hidden">
+      <table className="w-full text-[11px]">
+        <tbody>
+          {rows.map(({ label, file, color }) => (
+            <tr key={label} className="border-b border-white/5 last:border-0">
+              <td className={`px-4 py-2.5 font-black uppercase tracking-widest text-[10px] w-20 ${color}`}>{label}</td>
+              <td className="px-4 py-2.5 text-slate-300 font-mono">{file ? formatBytes(file.size) : '—'}</td>
+              <td className="px-4 py-2.5 text-slate-500 font-mono truncate" title={file?.binary?.hash}>{file ? (shortHash(file) ? `sha256 ${shortHash(file)}…` : 'text') : 'absent'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {oldFile && newFile && (
+        <div className="px-4 py-2 bg-black/20 text-[10px] font-bold text-slate-500 flex gap-4">
+          <span>{isSameBinary(oldFile, newFile) ? 'Contents identical' : 'Contents differ'}</span>
+          {delta !== 0 && <span className={delta > 0 ? 'text-emerald-400' : 'text-rose-400'}>{delta > 0 ? '+' : '−'}{formatBytes(Math.abs(delta))}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ImagePane = ({ src, label, onSize }) => (
+  <div className="flex flex-col items-center gap-2 min-w-0">
+    <span className="text-[10px] font-black uppercase tracking-widest text-slate-500">{label}</span>
+    {src
+      ? <img src={src} alt={label} onLoad={(e) => onSize(label, e.currentTarget)} className="max-w-full rounded-lg border border-white/10" style={CHECKERBOARD} />
+      : <div className="w-40 h-32 rounded-lg border border-dashed border-white/10 flex items-center justify-center text-slate-600"><FileQuestion size={24} /></div>}
+  </div>
+);
+
+/**
+ * Visual comparison for image pairs: side by side, onion skin with an opacity slider,
+ * or a pixel-difference map.
+ */
+export const ImageDiff = ({ oldFile, newFile }) => {
+  const oldSrc = getImageSrc(oldFile);
+  const newSrc = getImageSrc(newFile);
+  const canCompare = !!(oldSrc && newSrc);
+  const [mode, setMode] = useState('side');
+  const [opacity, setOpacity] = useState(0.5);
+  const [sizes, setSizes] = useState({});
+  const [pixelDiff, setPixelDiff] = useState({ oldSrc: null, newSrc: null, result: null, error: null });
+  const activeMode = canCompare ? mode : 'side';
+
+  useEffect(() => {
+    if (activeMode !== 'pixel') return;
+    let cancelled = false;
+    computePixelDiff(oldSrc, newSrc)
+      .then(result => { if (!cancelled) setPixelDiff({ oldSrc, newSrc, result, error: null }); })
+      .catch(e => { if (!cancelled) setPixelDiff({ oldSrc, newSrc, result: null, error: e.message }); });
+    return () => { cancelled = true; };
+  }, [activeMode, oldSrc, newSrc]);
+
+  const onSize = (label, img) => setSizes(prev => ({ ...prev, [label]: `${img.naturalWidth} × ${img.naturalHeight}` }));
+  const currentDiff = pixelDiff.oldSrc === oldSrc && pixelDiff.newSrc === newSrc ? pixelDiff : null;
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between px-6 pt-4">
+        <div className="flex items-center bg-black/40 rounded-xl p-1 border border-white/5">
+          {IMAGE_MODES.map(item => (
+            <button key={item.mode} onClick={() => setMode(item.mode)} disabled={!canCompare && item.mode !== 'side'} title={item.label} className={`flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-[11px] font-bold transition-all disabled:opacity-30 disabled:pointer-events-none ${activeMode === item.mode ? 'bg-blue-600/20 text-blue-400' : 'text-slate-500 hover:text-white'}`}><item.icon size={13} />{item.label}</button>
+          ))}
+        </div>
+        <div className="flex gap-4 text-[10px] font-mono text-slate-500">
+          {sizes.Base && <span>base {sizes.Base}</span>}
+          {sizes.Target && <span>target {sizes.Target}</span>}
+        </div>
+      </div>
+
+      {activeMode === 'side' && (
+        <div className="grid grid-cols-2 gap-6 p-6">
+          <ImagePane src={oldSrc} label="Base" onSize={onSize} />
+          <ImagePane src={newSrc} label="Target" onSize={onSize} />
+        </div>
+      )}
+
+      {activeMode === 'onion' && (
+        <div className="flex flex-col items-center gap-4 p-6">
+          <div className="relative inline-block rounded-lg border border-white/10" style={CHECKERBOARD}>
+            <img src={oldSrc} alt="Base" className="block max-w-full" />
+            <img src={newSrc} alt="Target" className="absolute top-0 left-0 max-w-full" style={{ opacity }} />
+          </div>
+          <div className="flex items-center gap-3 w-72 text-[10px] font-black uppercase tracking-widest">
+            <span className="text-rose-400">Base</span>
+            <input type="range" min="0" max="1" step="0.01" value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} className="flex-1 accent-blue-500" />
+            <span className="text-emerald-400">Target</span>
+          </div>
+        </div>
+      )}
+
+      {activeMode === 'pixel' && (
+        <div className="flex flex-col items-center gap-3 p-6">
+          {!currentDiff && <p className="text-[11px] text-slate-500 font-bold uppercase tracking-widest">Comparing pixels…</p>}
+          {currentDiff?.error && <p className="text-[11px] text-rose-400 font-bold">{currentDiff.error}</p>}
+          {currentDiff?.result && (
+            <>
+              <p className="text-[11px] text-slate-400 font-mono">
+                {currentDiff.result.changed === 0
+                  ? 'No pixel differences'
+                  : `${currentDiff.result.changed.toLocaleString()} of ${currentDiff.result.total.toLocaleString()} pixels differ (${((currentDiff.result.changed / currentDiff.result.total) * 100).toFixed(2)}%)`}
+              </p>
+              <img src={currentDiff.result.src} alt="Pixel difference" className="max-w-full rounded-lg border border-white/10" style={CHECKERBOARD} />
+            </>
+          )}
+        </div>
+      )}
+
+      <BinarySummary oldFile={oldFile} newFile={newFile} />
+    </div>
+  );
+};
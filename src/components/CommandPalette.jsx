@@ -0,0 +1,117 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Search, FileText, Zap } from 'lucide-react';
+import { fuzzyMatch } from '../lib/fuzzy';
+import { formatCombo } from '../lib/keybindings';
+
+// --- COMMAND PALETTE ---
+
+const MAX_RESULTS = 50;
+
+// Files rank slightly below actions with the same score, so "sidebar" finds the action first
+const FILE_SCORE_OFFSET = -0.5;
+
+const Highlighted = ({ text, positions }) => {
+  if (!positions.length) return text;
+  const marked = new Set(positions);
+  return [...text].map((ch, i) => (marked.has(i) ? <span key={i} className="text-blue-300 font-bold">{ch}</span> : ch));
+};
+
+export const KeyCombo = ({ combo }) => (
+  <kbd className="px-1.5 py-0.5 rounded-md bg-slate-800 border border-white/10 text-[10px] font-mono text-slate-300 whitespace-nowrap">{formatCombo(combo)}</kbd>
+);
+
+/**
+ * Ctrl/Cmd+K dialog that fuzzy-searches actions and files together. With an empty query it lists the
+ * actions; arrow keys move the selection, Enter runs it and Escape closes.
+ * @param {Array<{ id, label, group }>} commands
+ * @param {Map<string, Array<string>>} bindings Shown next to each action
+ */
+export const CommandPalette = ({ commands, bindings, pairs, onRunCommand, onOpenPair, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => {
+    const items = [];
+    commands.forEach(command => {
+      const match = fuzzyMatch(query, command.label);
+      if (match) items.push({ key: `cmd:${command.id}`, kind: 'command', command, text: command.label, ...match });
+    });
+    if (query) {
+      pairs.forEach(pair => {
+        const match = fuzzyMatch(query, pair.path);
+        if (match) items.push({ key: `file:${pair.id}`, kind: 'file', pair, text: pair.path, ...match, score: match.score + FILE_SCORE_OFFSET });
+      });
+      items.sort((a, b) => b.score - a.score);
+    }
+    return items.slice(0, MAX_RESULTS);
+  }, [commands, pairs, query]);
+
+  const current = Math.min(selected, results.length - 1);
+
+  useEffect(() => {
+    listRef.current?.children[current]?.scrollIntoView({ block: 'nearest' });
+  }, [current]);
+
+  const run = (item) => {
+    onClose();
+    if (item.kind === 'command') onRunCommand(item.command.id);
+    else onOpenPair(item.pair);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length) setSelected((current + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[current]) run(results[current]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm z-[70] flex items-start justify-center pt-[12vh] p-6" onMouseDown={onClose}>
+      <div className="bg-[#161b22] border border-white/10 rounded-2xl w-full max-w-xl shadow-2xl overflow-hidden animate-in fade-in zoom-in duration-150" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="relative border-b border-white/5">
+          <Search className="absolute left-4 top-3.5 text-slate-500" size={16} />
+          <input
+            type="text"
+            autoFocus
+            placeholder="Type a command or file name..."
+            className="w-full bg-transparent py-3 pl-11 pr-4 text-sm outline-none text-slate-200 placeholder:text-slate-600"
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setSelected(0); }}
+            onKeyDown={onKeyDown}
+          />
+        </div>
+        <div ref={listRef} className="max-h-[50vh] overflow-y-auto custom-scrollbar p-2">
+          {results.map((item, idx) => (
+            <button
+              key={item.key}
+              onClick={() => run(item)}
+              onMouseMove={() => idx !== current && setSelected(idx)}
+              className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left transition-colors ${idx === current ? 'bg-blue-600/15' : ''}`}
+            >
+              {item.kind === 'command'
+                ? <Zap size={14} className="text-blue-400 shrink-0" />
+                : <FileText size={14} className="text-slate-500 shrink-0" />}
+              <span className={`flex-1 truncate text-xs ${item.kind === 'file' ? 'font-mono text-slate-400' : 'text-slate-200'}`}>
+                <Highlighted text={item.text} positions={item.positions} />
+              </span>
+              {item.kind === 'command' && (
+                <span className="flex items-center gap-1 shrink-0">
+                  <span className="text-[10px] text-slate-600 mr-1">{item.command.group}</span>
+                  {(bindings.get(item.command.id) || []).slice(0, 1).map(combo => <KeyCombo key={combo} combo={combo} />)}
+                </span>
+              )}
+            </button>
+          ))}
+          {results.length === 0 && <p className="px-3 py-6 text-center text-xs text-slate-500">No matching commands or files</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,139 @@
+import React, { useRef, useState, useEffect } from 'react';
+
+// --- MINIMAP ---
+
+const COLORS = {
+  added: '#10b981',
+  removed: '#f43f5e',
+  modified: '#f59e0b',
+  moved: '#a78bfa',
+  fold: 'rgba(148, 163, 184, 0.18)',
+  gap: 'rgba(148, 163, 184, 0.10)',
+  annotation: 'rgba(251, 191, 36, 0.45)',
+};
+
+// Changes are drawn at least this tall (CSS px) so they never vanish on long files
+const MIN_CHANGE_HEIGHT = 2;
+const MIN_VIEWPORT_HEIGHT = 12;
+
+const lineColor = (line) => {
+  if (!line || line.type === 'unchanged') return null;
+  if (line.moved) return COLORS.moved;
+  return line.pairedWith ? COLORS.modified : COLORS[line.type];
+};
+
+const rowColor = (row) => {
+  if (row.kind === 'line') return lineColor(row.line);
+  if (row.kind === 'split') {
+    const { left, right } = row.row;
+    if (left && right && left !== right) return COLORS.modified;
+    return lineColor(left) || lineColor(right);
+  }
+  return COLORS[row.kind] || null;
+};
+
+/**
+ * Canvas overview of the rendered diff rows with the visible region as a draggable rectangle.
+ * It is laid out from the virtualizer's row offsets, so folding or expanding re-draws it.
+ * Modified pairs (lines with `pairedWith`) and moved blocks get their own colours.
+ */
+export const DiffMiniMap = React.memo(({ rows, offsets, totalSize, viewport, onScrollTo }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [height, setHeight] = useState(0);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(([entry]) => setHeight(entry.contentRect.height));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const scale = totalSize > 0 && height > 0 ? height / totalSize : 0;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !scale) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Runs of same-coloured rows are filled as one rectangle
+    let runColor = null;
+    let runStart = 0;
+    let runEnd = 0;
+    const flush = () => {
+      if (!runColor) return;
+      const top = runStart * scale;
+      const isChange = runColor !== COLORS.fold && runColor !== COLORS.gap;
+      const h = Math.max((runEnd - runStart) * scale, isChange ? MIN_CHANGE_HEIGHT : 1);
+      ctx.fillStyle = runColor;
+      ctx.fillRect(0, Math.min(top, height - h), width, h);
+    };
+    rows.forEach((row, i) => {
+      const color = rowColor(row);
+      if (color === runColor && offsets[i] === runEnd) {
+        runEnd = offsets[i + 1];
+        return;
+      }
+      flush();
+      runColor = color;
+      runStart = offsets[i];
+      runEnd = offsets[i + 1];
+    });
+    flush();
+  }, [rows, offsets, scale, height]);
+
+  if (!rows.length) return null;
+
+  const viewTop = viewport.scrollTop * scale;
+  const viewHeight = Math.max(viewport.height * scale, MIN_VIEWPORT_HEIGHT);
+
+  const scrollToY = (y, grabOffset) => {
+    if (scale) onScrollTo((y - grabOffset) / scale);
+  };
+
+  const onPointerDown = (e) => {
+    const y = e.clientY - containerRef.current.getBoundingClientRect().top;
+    // Grabbing the rectangle keeps the grab point; clicking elsewhere centres the view there
+    const grabOffset = y >= viewTop && y <= viewTop + viewHeight ? y - viewTop : viewHeight / 2;
+    dragRef.current = { grabOffset };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    scrollToY(y, grabOffset);
+  };
+
+  const onPointerMove = (e) => {
+    if (!dragRef.current) return;
+    const y = e.clientY - containerRef.current.getBoundingClientRect().top;
+    scrollToY(y, dragRef.current.grabOffset);
+  };
+
+  const endDrag = () => { dragRef.current = null; };
+
+  return (
+    <div
+      ref={containerRef}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+      className="w-5 h-full bg-slate-900/50 border-l border-white/5 shrink-0 select-none cursor-pointer group relative touch-none"
+    >
+      <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+      <div className="absolute inset-0 opacity-0 group-hover:opacity-100 transition-opacity bg-blue-500/5 pointer-events-none" />
+      {scale > 0 && (
+        <div
+          className="absolute left-0 right-0 bg-white/10 border-y border-white/30 pointer-events-none"
+          style={{ top: Math.min(viewTop, height - viewHeight), height: viewHeight }}
+        />
+      )}
+    </div>
+  );
+});
+DiffMiniMap.displayName = 'DiffMiniMap';
@@ -0,0 +1,131 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronRight, Folder, MessageSquare, ListChecks } from 'lucide-react';
+import { buildFileTree } from '../lib/fileTree';
+
+// --- SIDEBAR FILE TREE ---
+
+const TYPE_DOTS = {
+  modified: 'bg-blue-500 shadow-[0_0_8px_rgba(59,130,246,0.6)]',
+  added: 'bg-emerald-500 shadow-[0_0_8px_rgba(16,185,129,0.6)]',
+  deleted: 'bg-rose-500 shadow-[0_0_8px_rgba(244,63,94,0.6)]',
+  unchanged: 'bg-slate-600',
+};
+
+const INDENT_PX = 12;
+
+const LineTotals = ({ added, removed, pending }) => {
+  if (pending && added === 0 && removed === 0) return <span className="text-[9px] font-mono text-slate-600 shrink-0">…</span>;
+  if (added === 0 && removed === 0) return null;
+  return (
+    <span className="text-[9px] font-mono shrink-0 tabular-nums">
+      {added > 0 && <span className="text-emerald-500">+{added}</span>}
+      {added > 0 && removed > 0 && ' '}
+      {removed > 0 && <span className="text-rose-500">−{removed}</span>}
+    </span>
+  );
+};
+
+const FolderCounts = ({ counts }) => (
+  <span className="flex items-center gap-1 shrink-0 text-[9px] font-black">
+    {counts.modified > 0 && <span className="text-blue-400" title="Modified">M{counts.modified}</span>}
+    {counts.added > 0 && <span className="text-emerald-400" title="Added">A{counts.added}</span>}
+    {counts.deleted > 0 && <span className="text-rose-400" title="Deleted">D{counts.deleted}</span>}
+  </span>
+);
+
+// Review threads on a file; amber while any is unresolved
+const CommentBadge = ({ counts }) => {
+  if (!counts) return null;
+  return (
+    <span className={`flex items-center gap-0.5 text-[9px] font-black shrink-0 ${counts.unresolved > 0 ? 'text-amber-400' : 'text-slate-600'}`} title={`${counts.total} review thread${counts.total === 1 ? '' : 's'}, ${counts.unresolved} unresolved`}>
+      <MessageSquare size={10} />{counts.unresolved > 0 ? counts.unresolved : counts.total}
+    </span>
+  );
+};
+
+// Accept/reject progress of a file; emerald once every hunk is decided
+const DecisionBadge = ({ counts }) => {
+  if (!counts) return null;
+  const isDone = counts.decided === counts.total;
+  return (
+    <span className={`flex items-center gap-0.5 text-[9px] font-black shrink-0 tabular-nums ${isDone ? 'text-emerald-500' : counts.decided > 0 ? 'text-amber-400' : 'text-slate-600'}`} title={`${counts.decided} of ${counts.total} hunk${counts.total === 1 ? '' : 's'} decided`}>
+      <ListChecks size={10} />{counts.decided}/{counts.total}
+    </span>
+  );
+};
+
+const FileRow = ({ pair, depth, stats, commentCounts, decisionCounts, isActive, onSelect }) => {
+  const fileStats = stats.get(pair.id);
+  return (
+    <button
+      onClick={() => onSelect(pair)}
+      style={{ paddingLeft: 8 + depth * INDENT_PX }}
+      className={`w-full flex items-center gap-2 pr-2 py-1.5 rounded-lg text-left transition-all group border ${isActive ? 'bg-blue-600/10 text-blue-400 border-blue-500/30 shadow-inner' : 'hover:bg-white/5 border-transparent'}`}
+      title={pair.path}
+    >
+      <div className={`w-2 h-2 rounded-full shrink-0 ml-[18px] ${TYPE_DOTS[pair.type]}`} />
+      <span className={`text-xs font-bold truncate flex-1 ${isActive ? 'text-blue-300' : pair.type === 'unchanged' ? 'text-slate-500 group-hover:text-slate-300' : 'text-slate-300 group-hover:text-white'}`}>{pair.path.split('/').pop()}</span>
+      <CommentBadge counts={commentCounts.get(pair.path)} />
+      <DecisionBadge counts={decisionCounts.get(pair.id)} />
+      <LineTotals added={fileStats?.added || 0} removed={fileStats?.removed || 0} pending={!fileStats} />
+    </button>
+  );
+};
+
+const FolderNode = ({ folder, depth, stats, commentCounts, decisionCounts, activePair, onSelect, collapsed, toggleFolder, forceOpen }) => {
+  const isOpen = forceOpen || !collapsed.has(folder.path);
+  return (
+    <div>
+      <button
+        onClick={() => toggleFolder(folder.path)}
+        style={{ paddingLeft: 8 + depth * INDENT_PX }}
+        className="w-full flex items-center gap-1.5 pr-2 py-1.5 rounded-lg text-left hover:bg-white/5 transition-all group"
+        title={folder.path}
+      >
+        <ChevronRight size={12} className={`text-slate-500 shrink-0 transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+        <Folder size={13} className="text-slate-500 shrink-0" />
+        <span className="text-xs font-bold text-slate-400 group-hover:text-slate-200 truncate flex-1">{folder.name}</span>
+        <FolderCounts counts={folder.counts} />
+        <LineTotals added={folder.added} removed={folder.removed} pending={folder.pendingStats} />
+      </button>
+      {isOpen && (
+        <TreeChildren folder={folder} depth={depth + 1} stats={stats} commentCounts={commentCounts} decisionCounts={decisionCounts} activePair={activePair} onSelect={onSelect} collapsed={collapsed} toggleFolder={toggleFolder} forceOpen={forceOpen} />
+      )}
+    </div>
+  );
+};
+
+const TreeChildren = ({ folder, depth, stats, commentCounts, decisionCounts, activePair, onSelect, collapsed, toggleFolder, forceOpen }) => (
+  <>
+    {folder.folders.map(child => (
+      <FolderNode key={child.path} folder={child} depth={depth} stats={stats} commentCounts={commentCounts} decisionCounts={decisionCounts} activePair={activePair} onSelect={onSelect} collapsed={collapsed} toggleFolder={toggleFolder} forceOpen={forceOpen} />
+    ))}
+    {folder.files.map(pair => (
+      <FileRow key={pair.id} pair={pair} depth={depth} stats={stats} commentCounts={commentCounts} decisionCounts={decisionCounts} isActive={activePair === pair} onSelect={onSelect} />
+    ))}
+  </>
+);
+
+/**
+ * Collapsible directory tree of the compared files, with per-folder change counts and +/- totals.
+ * While `forceOpen` is set (an active search) every folder on the way to a match is expanded,
+ * without touching the user's own collapse state. `commentCounts` maps repo paths to review thread counts,
+ * `decisionCounts` pair ids to accept/reject progress ({ decided, total }).
+ */
+export const FileTree = ({ pairs, stats, commentCounts, decisionCounts, activePair, onSelect, forceOpen }) => {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const tree = useMemo(() => buildFileTree(pairs, stats), [pairs, stats]);
+
+  const toggleFolder = (path) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  return (
+    <TreeChildren folder={tree} depth={0} stats={stats} commentCounts={commentCounts} decisionCounts={decisionCounts} activePair={activePair} onSelect={onSelect} collapsed={collapsed} toggleFolder={toggleFolder} forceOpen={forceOpen} />
+  );
+};
@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { GitBranch, X, ArrowUpDown, Loader2 } from 'lucide-react';
+
+// --- GIT REF PICKER ---
+
+const KIND_LABELS = { head: 'checked out', branch: 'branch', tag: 'tag', remote: 'remote branch' };
+
+/**
+ * The commit a revision resolves to, shown under its field. Resolution is async, so the result
+ * keeps the spec it belongs to and a stale one reads as pending.
+ */
+const RevisionField = ({ label, accent, repo, value, onChange, listId }) => {
+  const [resolved, setResolved] = useState({ spec: null, commit: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    repo.resolve(value)
+      .then(id => repo.readCommit(id))
+      .then(
+        commit => { if (!cancelled) setResolved({ spec: value, commit, error: null }); },
+        e => { if (!cancelled) setResolved({ spec: value, commit: null, error: e.message }); },
+      );
+    return () => { cancelled = true; };
+  }, [repo, value]);
+
+  const current = resolved.spec === value ? resolved : null;
+  return (
+    <div>
+      <label className={`text-[10px] font-black uppercase tracking-widest mb-2 block ${accent}`}>{label}</label>
+      <input type="text" list={listId} value={value} onChange={(e) => onChange(e.target.value)} spellCheck={false} placeholder="Branch, tag or commit, e.g. main~2" className="w-full bg-[#0d1117] border border-white/10 rounded-lg px-3 py-2 text-xs font-mono outline-none focus:border-blue-500 transition-all text-slate-200" />
+      <p className="mt-1.5 min-h-[16px] text-[11px] truncate">
+        {!current && <span className="text-slate-600">Resolving…</span>}
+        {current?.error && <span className="text-rose-400">{current.error}</span>}
+        {current?.commit && (
+          <span className="text-slate-400" title={`${current.commit.id}\n${current.commit.author}${current.commit.date ? `, ${current.commit.date.toLocaleString()}` : ''}`}>
+            <code className="text-slate-500">{current.commit.id.slice(0, 7)}</code> {current.commit.subject}
+          </span>
+        )}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Picks the two revisions of a local repository to compare. `onCompare(baseSpec, targetSpec)`
+ * loads them and may reject with an error to show; `progress` is `{ label, done, total }` while loading.
+ */
+export const GitRefPicker = ({ repo, name, initialBase, initialTarget, progress, onCompare, onClose }) => {
+  const [base, setBase] = useState(initialBase);
+  const [target, setTarget] = useState(initialTarget);
+  const [error, setError] = useState(null);
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    dialogRef.current?.focus();
+  }, []);
+
+  const compare = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await onCompare(base.trim(), target.trim());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="absolute inset-0 bg-black/70 backdrop-blur-md z-[60] flex items-center justify-center p-6" onMouseDown={progress ? undefined : onClose}>
+      <form
+        ref={dialogRef}
+        tabIndex={-1}
+        onSubmit={compare}
+        onKeyDown={(e) => { if (e.key === 'Escape' && !progress) onClose(); }}
+        onMouseDown={(e) => e.stopPropagation()}
+        className="bg-[#161b22] border border-white/10 rounded-2xl w-full max-w-lg shadow-2xl overflow-hidden outline-none animate-in fade-in zoom-in duration-200"
+      >
+        <div className="px-6 py-4 border-b border-white/5 flex items-center justify-between bg-slate-900/40">
+          <div className="flex items-center gap-2 min-w-0"><GitBranch size={18} className="text-blue-500 shrink-0" /><h3 className="font-bold text-white text-sm uppercase tracking-wider truncate">Compare Commits · {name}</h3></div>
+          <button type="button" onClick={onClose} disabled={!!progress} className="text-slate-500 hover:text-white transition-colors disabled:opacity-40"><X size={18} /></button>
+        </div>
+        <div className="p-6 space-y-3">
+          <datalist id="git-refs">
+            {repo.refs.map(ref => <option key={ref.fullName} value={ref.name}>{`${KIND_LABELS[ref.kind]} · ${ref.id.slice(0, 7)}`}</option>)}
+          </datalist>
+          <RevisionField label="Base" accent="text-blue-400" repo={repo} value={base} onChange={setBase} listId="git-refs" />
+          <div className="flex justify-center">
+            <button type="button" onClick={() => { setBase(target); setTarget(base); }} title="Swap Base and Target" className="p-1.5 rounded-lg text-slate-500 hover:text-white hover:bg-white/5 transition-colors"><ArrowUpDown size={14} /></button>
+          </div>
+          <RevisionField label="Target" accent="text-emerald-400" repo={repo} value={target} onChange={setTarget} listId="git-refs" />
+          {error && <p className="text-[11px] text-rose-400">{error}</p>}
+        </div>
+        <div className="px-6 py-4 border-t border-white/5 flex items-center justify-between gap-3 bg-slate-900/40">
+          <span className="text-[11px] text-slate-500 tabular-nums">{progress ? `Reading ${progress.label}… ${progress.done}/${progress.total || '?'}` : 'Files are read from the local .git folder.'}</span>
+          <button type="submit" disabled={!!progress || !base.trim() || !target.trim()} className="flex items-center gap-2 bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-xs font-bold transition-colors disabled:opacity-40 disabled:pointer-events-none">
+            {progress && <Loader2 size={13} className="animate-spin" />}Compare
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { GitMerge, Pencil, RotateCcw, FileDown, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { buildMergedFile, resolveConflict } from '../lib/merge3';
+
+// --- THREE-WAY MERGE VIEW ---
+
+// Unchanged runs longer than this are folded down to their edges
+const STABLE_CONTEXT = 3;
+
+const REGION_STYLES = {
+  ours: { label: 'Ours', className: 'border-blue-500/60 bg-blue-500/[0.06]' },
+  theirs: { label: 'Theirs', className: 'border-emerald-500/60 bg-emerald-500/[0.06]' },
+  both: { label: 'Both', className: 'border-violet-500/60 bg-violet-500/[0.06]' },
+};
+
+const CHOICE_LABELS = { ours: 'ours', theirs: 'theirs', both: 'ours + theirs', edit: 'manual edit', keep: 'keep file', delete: 'delete file' };
+
+const Lines = ({ lines }) => (
+  lines.length === 0
+    ? <div className="px-4 py-1 text-[11px] italic text-slate-600">(no lines)</div>
+    : lines.map((line, idx) => <div key={idx} className="px-4 min-h-[22px] leading-[22px] whitespace-pre text-slate-300">{line || ' '}</div>)
+);
+
+const StableRegion = ({ lines }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  if (isExpanded || lines.length <= STABLE_CONTEXT * 2 + 1) return <Lines lines={lines} />;
+  return (
+    <>
+      <Lines lines={lines.slice(0, STABLE_CONTEXT)} />
+      <button onClick={() => setIsExpanded(true)} className="w-full py-1.5 my-1 text-[10px] font-black uppercase tracking-widest text-slate-500 hover:text-blue-400 bg-slate-900/40 border-y border-white/5 transition-colors">{lines.length - STABLE_CONTEXT * 2} unchanged lines</button>
+      <Lines lines={lines.slice(-STABLE_CONTEXT)} />
+    </>
+  );
+};
+
+const AutoMergedRegion = ({ type, lines }) => (
+  <div className={`relative border-l-4 ${REGION_STYLES[type].className}`}>
+    <span className="absolute right-3 top-0.5 text-[9px] font-black uppercase tracking-widest text-slate-500">{REGION_STYLES[type].label}</span>
+    <Lines lines={lines} />
+  </div>
+);
+
+const ConflictSide = ({ label, className, lines }) => (
+  <div className={`border-l-4 ${className}`}>
+    <div className="px-4 pt-1 text-[9px] font-black uppercase tracking-widest text-slate-500">{label}</div>
+    <Lines lines={lines} />
+  </div>
+);
+
+const ActionButton = ({ onClick, children }) => (
+  <button onClick={onClick} className="flex items-center gap-1.5 px-2.5 py-1 bg-slate-800 hover:bg-slate-700 text-slate-200 text-[11px] font-medium rounded-lg border border-white/10 transition-all active:scale-95">{children}</button>
+);
+
+const ConflictRegion = ({ conflict, resolution, onResolve }) => {
+  const [draft, setDraft] = useState(null);
+
+  if (draft !== null) {
+    return (
+      <div className="my-2 mx-4 rounded-xl border border-amber-500/30 bg-amber-500/[0.04] overflow-hidden">
+        <textarea value={draft} onChange={(e) => setDraft(e.target.value)} rows={Math.min(20, Math.max(4, draft.split('\n').length + 1))} className="w-full bg-[#010409] px-4 py-2 text-[13px] font-mono text-slate-200 outline-none resize-y" spellCheck={false} autoFocus />
+        <div className="flex gap-2 px-3 py-2 border-t border-white/5">
+          <ActionButton onClick={() => { onResolve({ choice: 'edit', text: draft }); setDraft(null); }}><CheckCircle2 size={12} />Save</ActionButton>
+          <ActionButton onClick={() => setDraft(null)}>Cancel</ActionButton>
+        </div>
+      </div>
+    );
+  }
+
+  if (resolution) {
+    return (
+      <div className="relative border-l-4 border-amber-500/60 bg-amber-500/[0.04]">
+        <div className="flex items-center gap-2 px-4 pt-1 text-[9px] font-black uppercase tracking-widest text-amber-400/80">
+          <CheckCircle2 size={11} />Resolved: {CHOICE_LABELS[resolution.choice]}
+          <button onClick={() => setDraft(resolveConflict(conflict, resolution).join('\n'))} className="ml-auto flex items-center gap-1 text-slate-500 hover:text-white normal-case tracking-normal"><Pencil size={11} />Edit</button>
+          <button onClick={() => onResolve(null)} className="flex items-center gap-1 text-slate-500 hover:text-white normal-case tracking-normal"><RotateCcw size={11} />Undo</button>
+        </div>
+        <Lines lines={resolveConflict(conflict, resolution)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="my-2 mx-4 rounded-xl border border-rose-500/30 bg-rose-500/[0.03] overflow-hidden">
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-white/5 bg-rose-500/[0.06]">
+        <AlertTriangle size={13} className="text-rose-400" /><span className="text-[10px] font-black uppercase tracking-widest text-rose-300">Conflict</span>
+        <div className="ml-auto flex gap-2">
+          <ActionButton onClick={() => onResolve({ choice: 'ours' })}>Take Ours</ActionButton>
+          <ActionButton onClick={() => onResolve({ choice: 'theirs' })}>Take Theirs</ActionButton>
+          <ActionButton onClick={() => onResolve({ choice: 'both' })}>Take Both</ActionButton>
+          <ActionButton onClick={() => setDraft(conflict.ours.join('\n'))}><Pencil size={12} />Edit</ActionButton>
+        </div>
+      </div>
+      <ConflictSide label="Ours" className="border-blue-500/60" lines={conflict.ours} />
+      <ConflictSide label="Ancestor" className="border-slate-500/60 opacity-70" lines={conflict.ancestor} />
+      <ConflictSide label="Theirs" className="border-emerald-500/60" lines={conflict.theirs} />
+    </div>
+  );
+};
+
+// Conflicts about the file as a whole: modify/delete, or a binary changed on both sides
+const FileConflict = ({ merge, resolution, onResolve }) => {
+  const choices = merge.kind === 'deleteConflict'
+    ? [{ choice: 'keep', label: `Keep ${merge.side === 'ours' ? 'our' : 'their'} version` }, { choice: 'delete', label: 'Delete file' }]
+    : [{ choice: 'ours', label: 'Take Ours' }, { choice: 'theirs', label: 'Take Theirs' }];
+  const message = merge.kind === 'deleteConflict'
+    ? `Modified on ${merge.side === 'ours' ? 'our' : 'their'} side, deleted on the other.`
+    : 'Binary file changed on both sides.';
+  return (
+    <div className="m-6 p-6 rounded-2xl border border-white/10 bg-slate-900/40">
+      <p className="text-sm text-slate-300 mb-4 flex items-center gap-2"><AlertTriangle size={15} className={resolution ? 'text-slate-500' : 'text-rose-400'} />{message}</p>
+      <div className="flex gap-2">
+        {choices.map(({ choice, label }) => (
+          <button key={choice} onClick={() => onResolve(resolution?.choice === choice ? null : { choice })} className={`px-3 py-1.5 text-xs rounded-lg border transition-all ${resolution?.choice === choice ? 'bg-blue-600/20 text-blue-300 border-blue-500/40' : 'bg-slate-800 text-slate-200 border-white/10 hover:bg-slate-700'}`}>{label}</button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Three-way merge of one pair: regions changed on a single side (or identically on both)
+ * are merged automatically; conflicts offer take ours / theirs / both or a manual edit.
+ * `resolutions` maps conflict ids to choices; `onResolve(id, resolution|null)` updates one.
+ */
+export const MergeView = ({ pair, merge, resolutions, onResolve, onDownload }) => {
+  const result = buildMergedFile(pair, merge, resolutions);
+  const conflictCount = merge.conflictCount;
+
+  return (
+    <div className="min-h-full font-mono text-[13px]">
+      <div className="sticky top-0 z-10 flex items-center gap-3 px-6 py-2.5 bg-[#0d1117]/95 backdrop-blur border-b border-white/5 font-sans">
+        <GitMerge size={14} className="text-violet-400" />
+        <span className="text-xs text-slate-400">
+          {conflictCount === 0 ? 'Merged cleanly' : `${conflictCount - result.unresolved} of ${conflictCount} conflict${conflictCount === 1 ? '' : 's'} resolved`}
+        </span>
+        <button onClick={onDownload} disabled={merge.kind === 'deleted' || (result.content === null && !result.file)} title={result.unresolved ? 'Unresolved conflicts are written with conflict markers' : 'Download the merged file'} className="ml-auto flex items-center gap-2 px-3 py-1.5 bg-slate-800 hover:bg-slate-700 text-slate-200 text-xs rounded-lg border border-white/10 transition-all active:scale-95 disabled:opacity-40 disabled:pointer-events-none"><FileDown size={13} />Merged File</button>
+      </div>
+      {merge.kind === 'deleted' && <p className="p-8 text-center text-sm text-slate-500 font-sans">Deleted on one side and unchanged on the other — the merged tree drops this file.</p>}
+      {merge.kind === 'binary' && merge.file && <p className="p-8 text-center text-sm text-slate-500 font-sans">Binary file — the merge takes {merge.file === pair.v1 ? 'our' : 'their'} version.</p>}
+      {(merge.kind === 'deleteConflict' || (merge.kind === 'binary' && !merge.file)) && (
+        <div className="font-sans"><FileConflict merge={merge} resolution={resolutions.file} onResolve={(resolution) => onResolve('file', resolution)} /></div>
+      )}
+      {merge.kind === 'text' && (
+        <div className="py-4">
+          {merge.regions.map((region, idx) => {
+            if (region.type === 'stable') return <StableRegion key={idx} lines={region.lines} />;
+            if (region.type === 'conflict') return <ConflictRegion key={region.id} conflict={region} resolution={resolutions[region.id]} onResolve={(resolution) => onResolve(region.id, resolution)} />;
+            return <AutoMergedRegion key={idx} type={region.type} lines={region.lines} />;
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
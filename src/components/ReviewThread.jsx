@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { MessageSquare, CheckCircle2, Circle, Trash2, AlertTriangle } from 'lucide-react';
+import { SIDE_LABELS } from '../lib/review';
+
+// --- REVIEW THREADS (inline in the diff) ---
+
+const formatTime = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const rangeLabel = ({ side, startLine, endLine }) => `${SIDE_LABELS[side]} ${startLine === endLine ? `line ${startLine}` : `lines ${startLine}–${endLine}`}`;
+
+/**
+ * Text box for a new thread or a reply. Ctrl/Cmd+Enter submits, Escape cancels.
+ */
+export const CommentComposer = ({ label, placeholder, submitLabel, onSubmit, onCancel, autoFocus }) => {
+  const [body, setBody] = useState('');
+  const submit = () => {
+    if (!body.trim()) return;
+    onSubmit(body.trim());
+    setBody('');
+  };
+  return (
+    <div className="font-sans">
+      {label && <p className="text-[10px] font-black uppercase tracking-widest text-slate-500 mb-1.5">{label}</p>}
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit();
+          if (e.key === 'Escape' && onCancel) onCancel();
+        }}
+        placeholder={placeholder}
+        rows={3}
+        autoFocus={autoFocus}
+        className="w-full bg-[#010409] border border-white/10 rounded-lg px-3 py-2 text-xs text-slate-200 outline-none focus:border-blue-500/50 resize-y placeholder:text-slate-600"
+      />
+      <div className="flex gap-2 mt-1.5">
+        <button onClick={submit} disabled={!body.trim()} className="px-3 py-1 bg-blue-600 hover:bg-blue-500 text-white text-[11px] font-bold rounded-lg transition-all disabled:opacity-40 disabled:pointer-events-none">{submitLabel}</button>
+        {onCancel && <button onClick={onCancel} className="px-3 py-1 text-slate-400 hover:text-white text-[11px] rounded-lg transition-all">Cancel</button>}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Box below a commented range: the comments in order, a reply box, and resolve/delete actions.
+ * Resolved threads are collapsed to their header until expanded.
+ */
+export const ReviewThread = ({ thread, onReply, onToggleResolved, onDelete }) => {
+  const [isExpanded, setIsExpanded] = useState(!thread.resolved);
+  const [isReplying, setIsReplying] = useState(false);
+
+  return (
+    <div className={`mx-4 my-2 rounded-xl border font-sans ${thread.resolved ? 'border-white/5 bg-slate-900/30' : 'border-amber-500/20 bg-slate-900/70'}`}>
+      <div className="flex items-center gap-2 px-3 py-2">
+        <button onClick={() => setIsExpanded(!isExpanded)} className="flex items-center gap-2 min-w-0 flex-1 text-left">
+          <MessageSquare size={13} className={thread.resolved ? 'text-slate-600' : 'text-amber-400'} />
+          <span className="text-[11px] font-bold text-slate-300">{rangeLabel(thread)}</span>
+          <span className="text-[10px] text-slate-600">{thread.comments.length} comment{thread.comments.length === 1 ? '' : 's'}</span>
+          {thread.outdated && <span className="flex items-center gap-1 text-[10px] text-rose-400" title="The commented lines were not found in the current file"><AlertTriangle size={11} />outdated</span>}
+        </button>
+        <button onClick={onToggleResolved} className={`flex items-center gap-1 text-[10px] font-bold px-2 py-0.5 rounded-full border transition-all ${thread.resolved ? 'text-emerald-400 border-emerald-500/30 bg-emerald-500/10' : 'text-slate-400 border-white/10 hover:text-white'}`}>
+          {thread.resolved ? <CheckCircle2 size={11} /> : <Circle size={11} />}{thread.resolved ? 'Resolved' : 'Resolve'}
+        </button>
+        <button onClick={onDelete} title="Delete thread" className="p-1 text-slate-600 hover:text-rose-400 transition-colors"><Trash2 size={12} /></button>
+      </div>
+      {isExpanded && (
+        <div className="px-3 pb-3 space-y-2">
+          {thread.comments.map(comment => (
+            <div key={comment.id} className="pl-5 border-l border-white/10">
+              <p className="text-[10px] text-slate-600">{formatTime(comment.createdAt)}</p>
+              <p className="text-xs text-slate-300 whitespace-pre-wrap break-words">{comment.body}</p>
+            </div>
+          ))}
+          {isReplying
+            ? <CommentComposer placeholder="Reply…" submitLabel="Reply" autoFocus onSubmit={(body) => { onReply(body); setIsReplying(false); }} onCancel={() => setIsReplying(false)} />
+            : <button onClick={() => setIsReplying(true)} className="text-[11px] text-slate-500 hover:text-blue-400 transition-colors">Reply</button>}
+        </div>
+      )}
+    </div>
+  );
+};
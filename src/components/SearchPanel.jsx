@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Search, ChevronRight, CaseSensitive, Regex, Loader2 } from 'lucide-react';
+import { SEARCH_SCOPES, MAX_TOTAL_HITS } from '../lib/search';
+
+// --- WORKSPACE CONTENT SEARCH (sidebar) ---
+
+const SIDE_STYLES = {
+  old: 'text-rose-400 bg-rose-500/10',
+  new: 'text-emerald-400 bg-emerald-500/10',
+};
+
+const Snippet = ({ snippet }) => {
+  const nodes = [];
+  let pos = 0;
+  snippet.ranges.forEach(([start, end], idx) => {
+    if (start > pos) nodes.push(snippet.text.slice(pos, start));
+    nodes.push(<mark key={idx} className="bg-amber-400/30 text-amber-100 rounded-sm">{snippet.text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  if (pos < snippet.text.length) nodes.push(snippet.text.slice(pos));
+  return (
+    <span className="font-mono text-[11px] text-slate-400 whitespace-pre truncate">
+      {snippet.offset > 0 && '…'}{nodes}
+    </span>
+  );
+};
+
+const ToggleButton = ({ isActive, onClick, title, children }) => (
+  <button onClick={onClick} title={title} className={`p-1 rounded-md transition-all ${isActive ? 'bg-blue-600/20 text-blue-300' : 'text-slate-500 hover:text-slate-200'}`}>{children}</button>
+);
+
+const FileHits = ({ pair, result, activeHit, onOpenHit }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  return (
+    <div>
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-center gap-1.5 px-2 py-1.5 rounded-lg text-left hover:bg-white/5 transition-all group" title={pair.path}>
+        <ChevronRight size={12} className={`text-slate-500 shrink-0 transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+        <span className="text-xs font-bold text-slate-300 group-hover:text-white truncate">{pair.path.split('/').pop()}</span>
+        <span className="text-[10px] text-slate-600 truncate flex-1">{pair.path.split('/').slice(0, -1).join('/')}</span>
+        <span className="text-[9px] font-black text-slate-500 shrink-0">{result.hits.length}{result.truncated ? '+' : ''}</span>
+      </button>
+      {isOpen && result.hits.map(hit => {
+        const isActive = activeHit && activeHit.pairId === pair.id && activeHit.side === hit.side && activeHit.lineNo === hit.lineNo;
+        return (
+          <button
+            key={`${hit.side}:${hit.lineNo}`}
+            onClick={() => onOpenHit(pair, hit)}
+            className={`w-full flex items-center gap-2 pl-7 pr-2 py-1 rounded-md text-left transition-all min-w-0 ${isActive ? 'bg-blue-600/10' : 'hover:bg-white/5'}`}
+          >
+            <span className={`text-[9px] font-mono font-bold px-1 rounded shrink-0 tabular-nums ${SIDE_STYLES[hit.side]}`} title={hit.side === 'old' ? 'Base line' : 'Target line'}>{hit.lineNo}</span>
+            <Snippet snippet={hit.snippet} />
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Query box and results for searching the contents of every pair. Results are grouped by file
+ * in sidebar order; clicking a hit opens its file at that line.
+ */
+export const SearchPanel = ({ pairs, query, setQuery, scope, setScope, search, activeHit, onOpenHit, inputRef }) => {
+  const filesWithHits = pairs.filter(pair => search.results.has(pair.id));
+
+  let status = null;
+  if (search.error) status = <span className="text-rose-400">{search.error}</span>;
+  else if (query.text && !search.isSearching) {
+    status = search.hitCount === 0
+      ? 'No results'
+      : `${search.hitCount} result${search.hitCount === 1 ? '' : 's'} in ${filesWithHits.length} file${filesWithHits.length === 1 ? '' : 's'}${search.limited ? ` (stopped at ${MAX_TOTAL_HITS})` : ''}`;
+  }
+
+  return (
+    <div className="flex flex-col min-h-0 flex-1">
+      <div className="px-5 py-3 space-y-2 border-b border-white/5">
+        <div className="relative group">
+          <Search className="absolute left-3 top-2.5 text-slate-500 group-focus-within:text-blue-400 transition-colors" size={14} />
+          <input ref={inputRef} type="text" autoFocus placeholder="Search file contents..." className="w-full bg-[#010409] border border-white/10 rounded-lg py-2 pl-9 pr-16 text-xs font-mono outline-none focus:border-blue-500/50 transition-all placeholder:text-slate-600 placeholder:font-sans text-slate-200" value={query.text} onChange={(e) => setQuery({ ...query, text: e.target.value })} />
+          <div className="absolute right-1.5 top-1.5 flex items-center gap-0.5">
+            <ToggleButton isActive={query.caseSensitive} onClick={() => setQuery({ ...query, caseSensitive: !query.caseSensitive })} title="Match Case"><CaseSensitive size={14} /></ToggleButton>
+            <ToggleButton isActive={query.isRegex} onClick={() => setQuery({ ...query, isRegex: !query.isRegex })} title="Use Regular Expression"><Regex size={14} /></ToggleButton>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="flex items-center bg-black/40 rounded-lg p-0.5 border border-white/5">
+            {SEARCH_SCOPES.map(item => (
+              <button key={item.scope} onClick={() => setScope(item.scope)} className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${scope === item.scope ? 'bg-blue-600/20 text-blue-300' : 'text-slate-500 hover:text-slate-200'}`}>{item.label}</button>
+            ))}
+          </div>
+          <span className="text-[10px] text-slate-500 truncate flex-1 text-right">
+            {search.isSearching ? <Loader2 size={11} className="inline animate-spin" /> : status}
+          </span>
+        </div>
+      </div>
+      <div className={`flex-1 overflow-auto px-3 py-3 custom-scrollbar transition-opacity ${search.isSearching ? 'opacity-60' : ''}`}>
+        {filesWithHits.map(pair => (
+          <FileHits key={pair.id} pair={pair} result={search.results.get(pair.id)} activeHit={activeHit} onOpenHit={onOpenHit} />
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Keyboard, X, Plus, RotateCcw } from 'lucide-react';
+import { COMMANDS, eventToCombo, findCommand, formatCombo } from '../lib/keybindings';
+import { KeyCombo } from './CommandPalette';
+
+// --- KEYBOARD SHORTCUTS OVERLAY ---
+
+const GROUPS = [...new Set(COMMANDS.map(cmd => cmd.group))];
+
+const DEFAULT_KEYS = new Map(COMMANDS.map(cmd => [cmd.id, cmd.keys]));
+
+const sameKeys = (a, b) => a.length === b.length && a.every((combo, i) => combo === b[i]);
+
+/**
+ * Lists every command with its bindings. Clicking "+" records the next key combo for a command;
+ * a combo already bound elsewhere moves to the new command. Changes go through
+ * onChange(id, combos) and onReset(id) / onResetAll().
+ */
+export const ShortcutsHelp = ({ bindings, onChange, onReset, onResetAll, onClose }) => {
+  const [recordingId, setRecordingId] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const dialogRef = useRef(null);
+
+  // Focus the dialog so Escape and recorded keys reach it
+  useEffect(() => {
+    dialogRef.current?.focus();
+  }, []);
+
+  const labelOf = (id) => COMMANDS.find(cmd => cmd.id === id)?.label;
+  const isCustomized = COMMANDS.some(cmd => !sameKeys(bindings.get(cmd.id), cmd.keys));
+
+  // The "+" button unmounts while recording, so focus goes back to the dialog to keep receiving keys
+  const startRecording = (id) => {
+    setRecordingId(id);
+    setNotice(null);
+    dialogRef.current?.focus();
+  };
+
+  const onKeyDown = (e) => {
+    if (!recordingId) {
+      if (e.key === 'Escape') onClose();
+      return;
+    }
+    // Keys pressed while recording belong to the recorder, not to the page's shortcuts
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      setRecordingId(null);
+      return;
+    }
+    const combo = eventToCombo(e);
+    if (!combo) return;
+    const owner = findCommand(bindings, combo);
+    if (owner && owner !== recordingId) {
+      onChange(owner, bindings.get(owner).filter(c => c !== combo));
+      setNotice(`${formatCombo(combo)} was moved from “${labelOf(owner)}”`);
+    } else {
+      setNotice(null);
+    }
+    if (owner !== recordingId) onChange(recordingId, [...bindings.get(recordingId), combo]);
+    setRecordingId(null);
+  };
+
+  return (
+    <div className="absolute inset-0 bg-black/70 backdrop-blur-md z-[60] flex items-center justify-center p-6" onMouseDown={onClose}>
+      <div
+        ref={dialogRef}
+        tabIndex={-1}
+        onKeyDown={onKeyDown}
+        onMouseDown={(e) => e.stopPropagation()}
+        className="bg-[#161b22] border border-white/10 rounded-2xl w-full max-w-2xl shadow-2xl overflow-hidden outline-none animate-in fade-in zoom-in duration-200"
+      >
+        <div className="px-6 py-4 border-b border-white/5 flex items-center justify-between bg-slate-900/40">
+          <div className="flex items-center gap-2"><Keyboard size={18} className="text-blue-500" /><h3 className="font-bold text-white text-sm uppercase tracking-wider">Keyboard Shortcuts</h3></div>
+          <div className="flex items-center gap-3">
+            {isCustomized && (
+              <button onClick={onResetAll} className="flex items-center gap-1 text-[11px] text-slate-400 hover:text-white transition-colors"><RotateCcw size={12} />Reset all</button>
+            )}
+            <button onClick={onClose} className="text-slate-500 hover:text-white transition-colors"><X size={18} /></button>
+          </div>
+        </div>
+        <div className="p-6 max-h-[70vh] overflow-y-auto custom-scrollbar space-y-6">
+          {notice && <p className="text-[11px] text-amber-300 bg-amber-500/10 border border-amber-500/20 rounded-lg px-3 py-2">{notice}</p>}
+          {GROUPS.map(group => (
+            <div key={group}>
+              <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest mb-2 block">{group}</label>
+              <div className="divide-y divide-white/5">
+                {COMMANDS.filter(cmd => cmd.group === group).map(cmd => {
+                  const combos = bindings.get(cmd.id);
+                  const isRecording = recordingId === cmd.id;
+                  return (
+                    <div key={cmd.id} className="flex items-center gap-3 py-1.5">
+                      <span className="flex-1 text-xs text-slate-300">{cmd.label}</span>
+                      {combos.map(combo => (
+                        <span key={combo} className="group flex items-center">
+                          <KeyCombo combo={combo} />
+                          <button onClick={() => onChange(cmd.id, combos.filter(c => c !== combo))} title="Remove binding" className="ml-0.5 text-slate-600 hover:text-rose-400 opacity-0 group-hover:opacity-100 transition-all"><X size={11} /></button>
+                        </span>
+                      ))}
+                      {isRecording
+                        ? <span className="text-[10px] text-blue-300 animate-pulse">Press keys… (Esc to cancel)</span>
+                        : <button onClick={() => startRecording(cmd.id)} title="Add binding" className="p-0.5 text-slate-500 hover:text-blue-400 transition-colors"><Plus size={13} /></button>}
+                      <button
+                        onClick={() => onReset(cmd.id)}
+                        title="Reset to default"
+                        className={`p-0.5 text-slate-500 hover:text-white transition-colors ${sameKeys(combos, DEFAULT_KEYS.get(cmd.id)) ? 'invisible' : ''}`}
+                      >
+                        <RotateCcw size={12} />
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          <p className="text-[10px] text-slate-600">Single-key shortcuts are ignored while typing in a text field. Bindings are saved in this browser.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Braces, ArrowUpDown } from 'lucide-react';
+import { STRUCTURED_FORMATS, formatPath, formatValue } from '../lib/structured';
+
+// --- STRUCTURAL DIFF VIEW ---
+
+// Rows rendered before the list asks to show the rest; a reformatted lockfile can change thousands of paths
+const MAX_ROWS = 2000;
+
+const KIND_STYLES = {
+  added: { sign: '+', className: 'text-emerald-400' },
+  removed: { sign: '−', className: 'text-rose-400' },
+  changed: { sign: '~', className: 'text-amber-400' },
+};
+
+const ChangeRow = ({ change }) => {
+  const style = KIND_STYLES[change.kind];
+  return (
+    <div className="flex items-baseline gap-3 px-6 py-1 hover:bg-white/[0.02] border-b border-white/[0.03]">
+      <span className={`w-3 shrink-0 font-bold ${style.className}`}>{style.sign}</span>
+      <span className="text-slate-200 break-all">{formatPath(change.path)}</span>
+      <span className="text-slate-600">:</span>
+      <span className="min-w-0 break-all">
+        {change.kind !== 'added' && <span className="text-rose-300/90">{formatValue(change.oldValue)}</span>}
+        {change.kind === 'changed' && <span className="text-slate-500"> → </span>}
+        {change.kind !== 'removed' && <span className="text-emerald-300/90">{formatValue(change.newValue)}</span>}
+      </span>
+    </div>
+  );
+};
+
+/**
+ * Changes between two parsed documents as key paths with their old and new values.
+ * `structure` is a `compareStructured` result that parsed on both sides.
+ */
+export const StructureView = ({ structure, sortArrays, onToggleSortArrays }) => {
+  const [showAll, setShowAll] = useState(false);
+  const { changes } = structure;
+  const counts = { added: 0, removed: 0, changed: 0 };
+  changes.forEach(change => { counts[change.kind]++; });
+  const visible = showAll ? changes : changes.slice(0, MAX_ROWS);
+
+  return (
+    <div className="min-h-full font-mono text-[13px]">
+      <div className="sticky top-0 z-10 flex items-center gap-3 px-6 py-2.5 bg-[#0d1117]/95 backdrop-blur border-b border-white/5 font-sans">
+        <Braces size={14} className="text-blue-400" />
+        <span className="text-[9px] px-2 py-0.5 rounded-full uppercase font-black tracking-tighter bg-blue-500/20 text-blue-400">{STRUCTURED_FORMATS[structure.format]}</span>
+        <span className="text-xs text-slate-400">
+          <span className="text-emerald-400">+{counts.added}</span> <span className="text-rose-400">−{counts.removed}</span> <span className="text-amber-400">~{counts.changed}</span>
+        </span>
+        <button onClick={onToggleSortArrays} title="Compare arrays as unordered sets of values" className={`ml-auto flex items-center gap-2 px-3 py-1.5 text-xs rounded-lg border transition-all active:scale-95 ${sortArrays ? 'bg-blue-600/20 text-blue-300 border-blue-500/30' : 'bg-slate-800 hover:bg-slate-700 text-slate-200 border-white/10'}`}><ArrowUpDown size={13} />Sort Arrays</button>
+      </div>
+      {changes.length === 0 ? (
+        <p className="p-8 text-center text-sm text-slate-500 font-sans">No structural differences — only formatting{sortArrays ? ', key or array order' : ' or key order'} changed.</p>
+      ) : (
+        <div className="py-2">
+          {visible.map((change, idx) => <ChangeRow key={idx} change={change} />)}
+          {visible.length < changes.length && (
+            <button onClick={() => setShowAll(true)} className="w-full py-2 my-1 text-[10px] font-black uppercase tracking-widest text-slate-500 hover:text-blue-400 bg-slate-900/40 border-y border-white/5 transition-colors font-sans">Show all {changes.length} changes</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Archive, ChevronRight, Save, Trash2, HardDrive } from 'lucide-react';
+import { listWorkspaces, deleteWorkspace, getStorageUsage } from '../lib/workspaceStore';
+import { formatBytes } from '../lib/binary';
+
+// --- SAVED WORKSPACES (sidebar) ---
+
+const formatDate = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const StorageUsage = ({ usage }) => {
+  if (!usage) return null;
+  const percent = usage.usage !== null && usage.quota ? Math.min(100, (usage.usage / usage.quota) * 100) : null;
+  return (
+    <div className="mt-3 pt-3 border-t border-white/5">
+      <div className="flex items-center gap-1.5 text-[10px] text-slate-500"><HardDrive size={11} />
+        <span>{usage.blobCount} unique files · {formatBytes(usage.blobBytes)}</span>
+        {percent !== null && <span className="ml-auto font-mono">{formatBytes(usage.usage)} / {formatBytes(usage.quota)}</span>}
+      </div>
+      {percent !== null && <div className="h-1 mt-1.5 bg-white/5 rounded-full overflow-hidden"><div className={`h-full ${percent > 80 ? 'bg-rose-500' : 'bg-blue-500'}`} style={{ width: `${Math.max(percent, 1)}%` }} /></div>}
+    </div>
+  );
+};
+
+/**
+ * Collapsible sidebar panel for saving the current comparison under a name and
+ * reopening or deleting saved ones. `onSave(name)` and `onOpen(id)` return promises;
+ * failures are reported through `onError`.
+ */
+export const WorkspaceManager = ({ activeWorkspace, canSave, onSave, onOpen, onDeleted, onError }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [name, setName] = useState('');
+
+  const refresh = useCallback(() => {
+    Promise.all([listWorkspaces(), getStorageUsage()])
+      .then(([list, nextUsage]) => {
+        setWorkspaces(list);
+        setUsage(nextUsage);
+      })
+      .catch(onError);
+  }, [onError]);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  const save = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim() || activeWorkspace?.name;
+    if (!trimmed) return;
+    onSave(trimmed).then(() => { setName(''); refresh(); }).catch(onError);
+  };
+
+  const remove = (ws) => {
+    if (!window.confirm(`Delete workspace "${ws.name}"? Files only it references are removed from storage.`)) return;
+    deleteWorkspace(ws.id).then(() => { onDeleted(ws.id); refresh(); }).catch(onError);
+  };
+
+  return (
+    <div className="mt-3">
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-center gap-2 px-1 py-1 text-[10px] font-black text-slate-500 uppercase tracking-widest hover:text-slate-300 transition-colors">
+        <ChevronRight size={12} className={`transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+        <Archive size={12} />
+        <span>Workspaces</span>
+        {activeWorkspace && <span className="ml-auto normal-case tracking-normal font-bold text-blue-400 truncate max-w-[160px]">{activeWorkspace.name}</span>}
+      </button>
+      {isOpen && (
+        <div className="mt-2 p-3 bg-[#161b22] border border-white/10 rounded-xl">
+          <form onSubmit={save} className="flex gap-2">
+            <input type="text" placeholder={activeWorkspace ? `Save as… (or update "${activeWorkspace.name}")` : 'Name, e.g. release-2.3 vs 2.4'} className="flex-1 min-w-0 bg-[#0d1117] border border-white/10 rounded-lg px-2.5 py-1.5 text-[11px] outline-none focus:border-blue-500 transition-all text-slate-200 placeholder:text-slate-600" value={name} onChange={(e) => setName(e.target.value)} />
+            <button disabled={!canSave || (!name.trim() && !activeWorkspace)} title="Save Workspace" className="p-1.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg transition-colors disabled:opacity-40 disabled:pointer-events-none"><Save size={13} /></button>
+          </form>
+          <div className="mt-2 space-y-1 max-h-48 overflow-y-auto custom-scrollbar">
+            {workspaces.length === 0 && <p className="text-[10px] text-slate-600 py-2 text-center">No saved workspaces yet</p>}
+            {workspaces.map(ws => (
+              <div key={ws.id} className={`flex items-center gap-2 px-2 py-1.5 rounded-lg group border ${activeWorkspace?.id === ws.id ? 'bg-blue-600/10 border-blue-500/30' : 'border-transparent hover:bg-white/5'}`}>
+                <button onClick={() => onOpen(ws.id).catch(onError)} className="flex-1 min-w-0 text-left" title="Open Workspace">
+                  <p className="text-[11px] font-bold text-slate-300 truncate">{ws.name}</p>
+                  <p className="text-[9px] text-slate-600">{ws.fileCount} files · {formatDate(ws.updatedAt)}</p>
+                </button>
+                <button onClick={() => remove(ws)} className="p-1 text-slate-600 hover:text-rose-400 opacity-0 group-hover:opacity-100 transition-all" title="Delete Workspace"><Trash2 size={12} /></button>
+              </div>
+            ))}
+          </div>
+          <StorageUsage usage={usage} />
+        </div>
+      )}
+    </div>
+  );
+};
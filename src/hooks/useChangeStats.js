@@ -0,0 +1,51 @@
+import { useState, useMemo, useEffect } from 'react';
+import { countPatchChanges } from '../lib/parsePatch';
+import { isBinaryFile } from '../lib/binary';
+
+const EMPTY_STATS = { added: 0, removed: 0 };
+
+// Binary files have no lines, so they count as zero
+const isBinaryPair = (pair) => isBinaryFile(pair.v1) || isBinaryFile(pair.v2);
+
+/**
+ * Added/removed line counts for every pair, keyed by pair id, with the hunk keys of text pairs
+ * (see summarizeChanges) once the worker has diffed them.
+ * Folder pairs are counted in a Web Worker and fill in as results arrive; pairs from a
+ * loaded patch are counted from their hunks directly. The worker restarts whenever the pairs
+ * or diff options change. If the worker fails, the counts it has sent are kept and `error` says why.
+ * @returns {{ stats: Map<string, { added: number, removed: number, hunks?: string[] }>, error: string|null }}
+ */
+export const useChangeStats = (pairs, options) => {
+  const [result, setResult] = useState({ pairs: null, options: null, stats: new Map(), error: null });
+
+  useEffect(() => {
+    const jobs = pairs
+      .filter(p => !p.patch && p.type !== 'unchanged' && !isBinaryPair(p))
+      .map(p => ({ id: p.id, oldText: p.v1?.content, newText: p.v2?.content }));
+    if (jobs.length === 0) return;
+
+    const worker = new Worker(new URL('../lib/stats.worker.js', import.meta.url), { type: 'module' });
+    const stats = new Map();
+    worker.onmessage = (e) => {
+      e.data.results.forEach(({ id, added, removed, hunks }) => stats.set(id, { added, removed, hunks }));
+      setResult({ pairs, options, stats: new Map(stats), error: null });
+      if (e.data.done) worker.terminate();
+    };
+    worker.onerror = (e) => {
+      setResult({ pairs, options, stats: new Map(stats), error: e.message || 'Change stats worker failed' });
+      worker.terminate();
+    };
+    worker.postMessage({ jobs, options });
+    return () => worker.terminate();
+  }, [pairs, options]);
+
+  return useMemo(() => {
+    const current = result.pairs === pairs && result.options === options;
+    const stats = new Map(current ? result.stats : []);
+    pairs.forEach(p => {
+      if (p.patch) stats.set(p.id, countPatchChanges(p.patch));
+      else if (p.type === 'unchanged' || isBinaryPair(p)) stats.set(p.id, EMPTY_STATS);
+    });
+    return { stats, error: current ? result.error : null };
+  }, [result, pairs, options]);
+};
@@ -0,0 +1,62 @@
+import { useState, useMemo, useEffect } from 'react';
+import { compileQuery } from '../lib/search';
+import { isBinaryFile } from '../lib/binary';
+
+// Typing pauses this long before a search starts
+const SEARCH_DEBOUNCE_MS = 200;
+
+const EMPTY_RESULTS = new Map();
+
+const toJob = (pair) => (pair.patch
+  ? { id: pair.id, patch: pair.patch }
+  : { id: pair.id, oldText: pair.v1?.content, newText: pair.v2?.content });
+
+/**
+ * Searches the contents of every pair in a Web Worker. The worker is replaced on every new
+ * query, so a slow regex never blocks the page or delays the next search. While a search runs,
+ * the previous results are returned with `isSearching` set.
+ * @param {{ text: string, isRegex: boolean, caseSensitive: boolean }} query
+ * @param {'changed' | 'old' | 'new'} scope
+ * @returns {{ results: Map<string, { hits: Array, truncated: boolean }>, regex: RegExp|null, error: string|null,
+ *   isSearching: boolean, limited: boolean, hitCount: number }}
+ */
+export const useContentSearch = (pairs, query, scope, options) => {
+  const { regex, error } = useMemo(() => compileQuery(query), [query]);
+  const [result, setResult] = useState({ pairs: null, query: null, scope: null, options: null, results: EMPTY_RESULTS, done: true, limited: false });
+
+  useEffect(() => {
+    if (!regex) return;
+    let worker = null;
+    const timer = setTimeout(() => {
+      const jobs = pairs
+        .filter(p => !isBinaryFile(p.v1) && !isBinaryFile(p.v2) && (scope !== 'changed' || p.type !== 'unchanged'))
+        .map(toJob);
+      const results = new Map();
+      worker = new Worker(new URL('../lib/search.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (e) => {
+        e.data.results.forEach(({ id, hits, truncated }) => results.set(id, { hits, truncated }));
+        setResult({ pairs, query, scope, options, results: new Map(results), done: e.data.done, limited: e.data.limited });
+        if (e.data.done) worker.terminate();
+      };
+      worker.onerror = () => {
+        setResult({ pairs, query, scope, options, results: new Map(results), done: true, limited: false });
+        worker.terminate();
+      };
+      worker.postMessage({ jobs, query, scope, options });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      worker?.terminate();
+    };
+  }, [pairs, query, scope, options, regex]);
+
+  return useMemo(() => {
+    if (!regex) return { results: EMPTY_RESULTS, regex, error, isSearching: false, limited: false, hitCount: 0 };
+    const isCurrent = result.pairs === pairs && result.query === query && result.scope === scope && result.options === options;
+    // The previous query's hits stay listed until the new ones arrive, to avoid flicker while typing
+    const results = result.results;
+    let hitCount = 0;
+    results.forEach(r => { hitCount += r.hits.length; });
+    return { results, regex, error, isSearching: !isCurrent || !result.done, limited: isCurrent && result.limited, hitCount };
+  }, [result, pairs, query, scope, options, regex, error]);
+};
@@ -0,0 +1,60 @@
+import { useState, useMemo, useEffect } from 'react';
+import { calculateDiff, DEFAULT_DIFF_OPTIONS } from '../lib/diff';
+
+// Below this many lines (both sides combined) the diff runs inline; spinning up a worker costs more than it saves.
+const SYNC_DIFF_LINE_LIMIT = 2000;
+
+let nextJobId = 0;
+
+const countLines = (text) => {
+  if (!text) return 0;
+  let count = 1;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+  return count;
+};
+
+/**
+ * Computes the line diff for a pair of texts under the given diff options.
+ * Large inputs are diffed in a Web Worker with progress reporting; the worker is
+ * terminated (cancelling the job) as soon as the inputs change or the caller unmounts.
+ * @returns {{ diff: Array|null, progress: number, stage: string|null, isComputing: boolean, error: string|null }}
+ */
+export const useDiff = (oldText, newText, options = DEFAULT_DIFF_OPTIONS) => {
+  const runInline = useMemo(() => countLines(oldText) + countLines(newText) <= SYNC_DIFF_LINE_LIMIT, [oldText, newText]);
+  const inlineDiff = useMemo(() => (runInline ? calculateDiff(oldText, newText, options) : null), [runInline, oldText, newText, options]);
+  const [job, setJob] = useState({ oldText: null, newText: null, options: null, diff: null, progress: 0, stage: null, error: null });
+
+  useEffect(() => {
+    if (runInline) return;
+    const id = ++nextJobId;
+    const worker = new Worker(new URL('../lib/diff.worker.js', import.meta.url), { type: 'module' });
+    const update = (patch) => setJob({ oldText, newText, options, diff: null, progress: 0, stage: null, error: null, ...patch });
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.id !== id) return;
+      if (msg.type === 'progress') {
+        update({ progress: msg.value, stage: msg.stage });
+      } else if (msg.type === 'result') {
+        update({ diff: msg.diff, progress: 1 });
+        worker.terminate();
+      } else if (msg.type === 'error') {
+        update({ error: msg.message });
+        worker.terminate();
+      }
+    };
+    worker.onerror = (e) => {
+      update({ error: e.message || 'Diff worker failed' });
+      worker.terminate();
+    };
+    worker.postMessage({ id, oldText, newText, options });
+
+    return () => worker.terminate();
+  }, [runInline, oldText, newText, options]);
+
+  if (runInline) return { diff: inlineDiff, progress: 1, stage: null, isComputing: false, error: null };
+
+  const isCurrent = job.oldText === oldText && job.newText === newText && job.options === options;
+  if (!isCurrent) return { diff: null, progress: 0, stage: null, isComputing: true, error: null };
+  return { diff: job.diff, progress: job.progress, stage: job.stage, isComputing: !job.diff && !job.error, error: job.error };
+};
@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react';
+import { eventToCombo, findCommand, isEditableTarget } from '../lib/keybindings';
+
+/**
+ * Runs the handler of the command bound to each keydown on the page. Inside text fields only
+ * combos with Mod fire, so typing is never hijacked. Handlers may change on every render; the
+ * listener always calls the latest ones.
+ * @param {Map<string, Array<string>>} bindings From resolveBindings
+ * @param {Object<string, Function>} handlers Command id → handler; commands without one are ignored
+ * @param {boolean} isEnabled False while a dialog that handles its own keys is open
+ */
+export const useKeyboardShortcuts = (bindings, handlers, isEnabled = true) => {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!isEnabled) return;
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.isComposing) return;
+      const combo = eventToCombo(e);
+      if (!combo) return;
+      if (isEditableTarget(e.target) && !combo.startsWith('Mod+')) return;
+      const handler = handlersRef.current[findCommand(bindings, combo)];
+      if (!handler) return;
+      e.preventDefault();
+      handler();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [bindings, isEnabled]);
+};
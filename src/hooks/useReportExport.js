@@ -0,0 +1,76 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isBinaryFile } from '../lib/binary';
+import { toRepoPath } from '../lib/patch';
+import { compareTextFormats } from '../lib/textFormat';
+import { downloadFile } from '../lib/download';
+
+const toJob = (pair) => {
+  const binary = isBinaryFile(pair.v1) || isBinaryFile(pair.v2);
+  return {
+    path: pair.path,
+    type: pair.type,
+    oldPath: pair.isRename && pair.v1 ? toRepoPath(pair.v1.path) : undefined,
+    binary,
+    formatChanges: compareTextFormats(pair.v1, pair.v2),
+    oldText: binary ? null : pair.v1?.content,
+    newText: binary ? null : pair.v2?.content,
+    patch: pair.patch,
+  };
+};
+
+/**
+ * Builds the offline HTML report in a Web Worker and downloads it. Diffing every pair can take a
+ * while on a large workspace, so `progress` ({ done, total }) is set until the file is ready.
+ * Starting a new export cancels the one still running, whose promise rejects with an AbortError.
+ * @returns {{ exportReport: (request: { pairs, options, title, filename }) => Promise<void>, progress: Object|null }}
+ */
+export const useReportExport = () => {
+  const [progress, setProgress] = useState(null);
+  // The running export: { worker, reject }
+  const jobRef = useRef(null);
+
+  const cancel = (reason) => {
+    const job = jobRef.current;
+    if (!job) return;
+    jobRef.current = null;
+    job.worker.terminate();
+    job.reject(new DOMException(reason, 'AbortError'));
+  };
+
+  useEffect(() => () => cancel('The report export was cancelled'), []);
+
+  const exportReport = useCallback(({ pairs, options, title, filename }) => {
+    cancel('Superseded by a newer report export');
+    const worker = new Worker(new URL('../lib/report.worker.js', import.meta.url), { type: 'module' });
+    setProgress({ done: 0, total: pairs.length });
+
+    return new Promise((resolve, reject) => {
+      jobRef.current = { worker, reject };
+      const finish = () => {
+        worker.terminate();
+        if (jobRef.current?.worker === worker) jobRef.current = null;
+        setProgress(null);
+      };
+      worker.onmessage = (e) => {
+        const message = e.data;
+        if (message.type === 'progress') {
+          setProgress({ done: message.done, total: message.total });
+        } else if (message.type === 'result') {
+          finish();
+          downloadFile(filename, message.html, 'text/html');
+          resolve();
+        } else {
+          finish();
+          reject(new Error(message.message));
+        }
+      };
+      worker.onerror = (e) => {
+        finish();
+        reject(new Error(e.message || 'Report worker failed'));
+      };
+      worker.postMessage({ jobs: pairs.map(toJob), options, title, generatedAt: new Date() });
+    });
+  }, []);
+
+  return { exportReport, progress };
+};
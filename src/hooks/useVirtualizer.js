@@ -0,0 +1,94 @@
+import { useState, useMemo, useEffect, useCallback } from 'react';
+
+/**
+ * Windowed rendering for a vertical list inside a scroll container.
+ * Row heights start from `estimateSize(index)` and are corrected by measuring mounted rows
+ * (pass `measureElement` as the row's ref and its key as `data-key`), so variable-height rows
+ * stay positioned correctly. Measurements are keyed by `getItemKey`, which keeps them valid
+ * when rows are inserted or removed (e.g. a fold is expanded).
+ * @returns {{ items: Array<{ index, key, start }>, offsets: Float64Array, totalSize: number, viewport: { scrollTop, height },
+ *   measureElement: Function, scrollToIndex: Function }}
+ */
+export const useVirtualizer = ({ count, getItemKey, estimateSize, scrollRef, overscan = 12, paddingStart = 0, paddingEnd = 0 }) => {
+  const [measured, setMeasured] = useState(() => new Map());
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  const [itemObserver] = useState(() => (typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(entries => {
+    setMeasured(prev => {
+      let next = null;
+      entries.forEach(entry => {
+        const key = entry.target.dataset.key;
+        const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+        if (key !== undefined && height > 0 && prev.get(key) !== height) {
+          if (!next) next = new Map(prev);
+          next.set(key, height);
+        }
+      });
+      return next || prev;
+    });
+  })));
+
+  useEffect(() => () => itemObserver?.disconnect(), [itemObserver]);
+
+  // The resize observer also fires once on observe, which takes the initial viewport size
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const update = () => setViewport({ scrollTop: el.scrollTop, height: el.clientHeight });
+    el.addEventListener('scroll', update, { passive: true });
+    const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(update);
+    resizeObserver?.observe(el);
+    return () => {
+      el.removeEventListener('scroll', update);
+      resizeObserver?.disconnect();
+    };
+  }, [scrollRef]);
+
+  // offsets[i] is the top of row i; offsets[count] is the end of the last row
+  const offsets = useMemo(() => {
+    const result = new Float64Array(count + 1);
+    result[0] = paddingStart;
+    for (let i = 0; i < count; i++) {
+      result[i + 1] = result[i] + (measured.get(getItemKey(i)) ?? estimateSize(i));
+    }
+    return result;
+  }, [count, getItemKey, estimateSize, measured, paddingStart]);
+
+  const findIndex = useCallback((top) => {
+    // Last row starting at or above `top`
+    let lo = 0;
+    let hi = count - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (offsets[mid] <= top) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }, [offsets, count]);
+
+  const items = useMemo(() => {
+    if (count === 0) return [];
+    const first = Math.max(0, findIndex(viewport.scrollTop) - overscan);
+    const last = Math.min(count - 1, findIndex(viewport.scrollTop + viewport.height) + overscan);
+    const result = [];
+    for (let i = first; i <= last; i++) result.push({ index: i, key: getItemKey(i), start: offsets[i] });
+    return result;
+  }, [count, findIndex, viewport, overscan, getItemKey, offsets]);
+
+  const measureElement = useCallback((node) => {
+    if (!node || !itemObserver) return undefined;
+    itemObserver.observe(node);
+    return () => itemObserver.unobserve(node);
+  }, [itemObserver]);
+
+  const scrollToIndex = useCallback((index, { align = 'start', behavior = 'auto' } = {}) => {
+    const el = scrollRef.current;
+    if (!el || index < 0 || index >= count) return;
+    const start = offsets[index];
+    const size = offsets[index + 1] - start;
+    const top = align === 'center' ? start - (el.clientHeight - size) / 2 : start;
+    el.scrollTo({ top: Math.max(0, top), behavior });
+  }, [scrollRef, offsets, count]);
+
+  return { items, offsets, totalSize: offsets[count] + paddingEnd, viewport, measureElement, scrollToIndex };
+};
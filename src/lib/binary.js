@@ -0,0 +1,94 @@
+import { decodeBytes } from './textFormat';
+
+// --- BINARY & IMAGE FILES ---
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+const extensionOf = (path) => {
+  const name = (path || '').split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+/**
+ * MIME type of a file the image view can render, or null.
+ */
+export const getImageMime = (path) => IMAGE_MIME_TYPES[extensionOf(path)] || null;
+
+export const isBinaryFile = (file) => !!file?.binary;
+
+export const hashBytes = async (bytes) => {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't exceed the argument limit on large images
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Turns file bytes into a workspace entry with the SHA-256 of its bytes. Text files get
+ * `content` with the detected `encoding` and `bom` (see decodeBytes); binary files get
+ * `content: null` and `binary: { hash, dataUrl? }`, where `dataUrl` is only kept for
+ * images the browser can display.
+ * @returns {Promise<{ path, content: string|null, size: number, hash: string, encoding?: string, bom?: boolean, binary?: { hash: string, dataUrl?: string } }>}
+ */
+export const createFileEntry = async (bytes, path) => {
+  const hash = await hashBytes(bytes);
+  const text = decodeBytes(bytes);
+  if (text) return { path, content: text.content, size: bytes.length, hash, encoding: text.encoding, bom: text.bom };
+
+  const mime = getImageMime(path);
+  const binary = { hash };
+  if (mime) binary.dataUrl = `data:${mime};base64,${toBase64(bytes)}`;
+  return { path, content: null, size: bytes.length, binary };
+};
+
+/**
+ * Reads a picked file into a workspace entry (see `createFileEntry`).
+ */
+export const readFileEntry = async (file, path) => createFileEntry(new Uint8Array(await file.arrayBuffer()), path);
+
+/**
+ * Source URL for rendering a file as an image: stored data URL for raster images,
+ * the text itself for SVG. Null when the file isn't a displayable image.
+ */
+export const getImageSrc = (file) => {
+  if (!file || !getImageMime(file.path)) return null;
+  if (file.binary) return file.binary.dataUrl || null;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(file.content || '')}`;
+};
+
+/**
+ * Bytes of a binary file, decoded from its stored data URL. Null for binaries that
+ * were not kept (only displayable images are), since only their hash is stored.
+ */
+export const getBinaryBytes = (file) => {
+  const dataUrl = file?.binary?.dataUrl;
+  if (!dataUrl) return null;
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+/**
+ * Whether two sides of a pair hold the same bytes, for pairs involving a binary file.
+ */
+export const isSameBinary = (a, b) => isBinaryFile(a) && isBinaryFile(b) && a.binary.hash === b.binary.hash;
+
+export const formatBytes = (size) => {
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / (1024 * 1024)).toFixed(2)} MB`;
+};
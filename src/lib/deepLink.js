@@ -0,0 +1,60 @@
+import { toRepoPath } from './patch';
+
+// --- DEEP LINKS ---
+// The URL hash names the open file, an optional line and the layout, e.g.
+//   #file=src/app.js&L=120              line 120 of the target version
+//   #file=src/app.js&L=45&side=base     line 45 of the base version
+//   #file=src/app.js&view=split
+// Links point into whatever workspace is loaded; they carry no file contents.
+
+const VIEW_MODES = ['unified', 'split', 'merge', 'structure'];
+
+// Slashes stay readable; everything else that could break the hash is escaped
+const encodePath = (path) => encodeURIComponent(path).replace(/%2F/gi, '/');
+
+/**
+ * Reads a link from a location hash.
+ * @returns {{ path: string, side: 'old' | 'new', lineNo: number|null, view: string|null }|null} Null without a file
+ */
+export const parseLink = (hash) => {
+  const params = new Map();
+  (hash || '').replace(/^#/, '').split('&').forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq <= 0) return;
+    try {
+      params.set(part.slice(0, eq), decodeURIComponent(part.slice(eq + 1)));
+    } catch {
+      // A malformed escape leaves that parameter out
+    }
+  });
+  const path = params.get('file');
+  if (!path) return null;
+  const lineNo = Number.parseInt(params.get('L'), 10);
+  const view = params.get('view');
+  return {
+    path,
+    side: params.get('side') === 'base' ? 'old' : 'new',
+    lineNo: lineNo > 0 ? lineNo : null,
+    view: VIEW_MODES.includes(view) ? view : null,
+  };
+};
+
+/**
+ * Builds the hash for a link; the line and layout parts are optional.
+ * @param {{ path: string, side?: 'old' | 'new', lineNo?: number|null, view?: string|null }} link
+ */
+export const formatLink = ({ path, side, lineNo, view }) => {
+  let hash = `#file=${encodePath(path)}`;
+  if (lineNo) hash += `&L=${lineNo}${side === 'old' ? '&side=base' : ''}`;
+  if (view && view !== 'unified') hash += `&view=${view}`;
+  return hash;
+};
+
+/**
+ * The pair a link points to. Renamed files are also found under their old path.
+ */
+export const findLinkedPair = (pairs, link) => (
+  pairs.find(pair => pair.path === link.path)
+  || pairs.find(pair => pair.v1 && toRepoPath(pair.v1.path) === link.path)
+  || null
+);
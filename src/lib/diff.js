@@ -0,0 +1,446 @@
+import { myersDiff, internSequences } from './myers';
+import { tokenizeLine } from './tokenize';
+import { detectLanguage } from './highlight';
+
+// Unchanged lines kept around each change, both when folding and in exported hunks
+export const CONTEXT_LINES = 3;
+
+// --- DIFF OPTIONS ---
+
+export const DEFAULT_DIFF_OPTIONS = {
+  ignoreWhitespace: false, // git diff -w
+  ignoreCase: false,
+  ignoreCrAtEol: false, // git diff --ignore-cr-at-eol
+  ignoreBlankLines: false, // git diff --ignore-blank-lines
+  detectMoves: true, // git diff --color-moved
+  intraLine: 'word', // 'char' | 'word' | 'token': what changed-line highlights are diffed by
+};
+
+// Line pairs longer than this (both sides combined) get no intra-line highlights; minified bundles
+// can have single lines of hundreds of kilobytes
+const MAX_INTRA_LINE_CHARS = 10_000;
+
+/**
+ * The options for diffing one file: 'token' granularity needs the file's language, passed as `language`.
+ */
+export const withFileLanguage = (options, path) => (options.intraLine === 'token' ? { ...options, language: detectLanguage(path) } : options);
+
+/**
+ * Builds the comparison key for a line or token under the given options.
+ * Two values with the same key are treated as equal by the diff.
+ */
+export const makeCompareKey = (options = DEFAULT_DIFF_OPTIONS) => {
+  const { ignoreWhitespace, ignoreCase, ignoreCrAtEol } = options;
+  if (!ignoreWhitespace && !ignoreCase && !ignoreCrAtEol) return (value) => value;
+  return (value) => {
+    let key = value;
+    if (ignoreCrAtEol) key = key.replace(/\r$/, '');
+    if (ignoreWhitespace) key = key.replace(/\s+/g, '');
+    if (ignoreCase) key = key.toLowerCase();
+    return key;
+  };
+};
+
+const isBlank = (line) => line.trim() === '';
+
+/**
+ * Cheap check for whether two texts have no differences left under the options,
+ * without running the full diff. Used to classify file pairs as unchanged.
+ */
+export const isEquivalent = (oldText, newText, options = DEFAULT_DIFF_OPTIONS) => {
+  if (oldText === newText) return true;
+  const keyOf = makeCompareKey(options);
+  const normalize = (text) => {
+    const lines = (text || '').split('\n');
+    return options.ignoreBlankLines ? lines.filter(line => !isBlank(line)) : lines;
+  };
+  const oldLines = normalize(oldText);
+  const newLines = normalize(newText);
+  if (oldLines.length !== newLines.length) return false;
+  return oldLines.every((line, i) => keyOf(line) === keyOf(newLines[i]));
+};
+
+// --- DIFF ENGINE ---
+
+/**
+ * Runs Myers' diff over two arrays and builds one operation per element.
+ * @param {Function} makeOp - Factory: (type, oldIdx, newIdx, content, newContent) => operation object.
+ *   Indices are 1-based; `newContent` is only set for 'equal' ops, whose two sides may differ under `keyOf`.
+ */
+const diffArrays = (oldArr, newArr, makeOp, onProgress, keyOf) => {
+  const [a, b] = internSequences(oldArr, newArr, keyOf);
+  const result = [];
+  myersDiff(a, b, (type, i, j) => {
+    const content = type === 'added' ? newArr[j] : oldArr[i];
+    const newContent = type === 'equal' ? newArr[j] : undefined;
+    result.push(makeOp(type, i === null ? null : i + 1, j === null ? null : j + 1, content, newContent));
+  }, onProgress);
+  return result;
+};
+
+/**
+ * Word-level diffing logic using Myers' algorithm, over the units `options.intraLine` picks (see tokenizeLine).
+ * Changed tokens that only differ in ignored ways are flagged `ignored` so renderers can skip highlighting them;
+ * equal tokens whose target text differs (e.g. by case) carry it in `newValue`.
+ */
+export const getWordDiff = (oldStr, newStr, options = DEFAULT_DIFF_OPTIONS) => {
+  const oldTokens = tokenizeLine(oldStr, options.intraLine, options.language);
+  const newTokens = tokenizeLine(newStr, options.intraLine, options.language);
+  const keyOf = makeCompareKey(options);
+  return diffArrays(oldTokens, newTokens, (type, _oi, _ni, value, newValue) => {
+    if (type === 'equal') return newValue !== value ? { value, newValue, type } : { value, type };
+    const ignored = type !== 'equal' && options.ignoreWhitespace && keyOf(value) === '';
+    return ignored ? { value, type, ignored } : { value, type };
+  }, null, keyOf);
+};
+
+/**
+ * Line-level diff with interleaved removed/added pairs and pre-computed word segments.
+ * Lines that only differ in ways the options ignore come back as 'unchanged' with `ignored: true`;
+ * when the two sides' text differs, the target text is kept in `newContent`.
+ * @param {Object} [options] - See DEFAULT_DIFF_OPTIONS
+ * @param {Function} [onProgress] - Called with (fraction, stage) while the diff runs
+ */
+export const calculateDiff = (oldText, newText, options = DEFAULT_DIFF_OPTIONS, onProgress) => {
+  const oldLines = (oldText || '').split('\n');
+  const newLines = (newText || '').split('\n');
+
+  const ops = diffArrays(oldLines, newLines, (type, oldIdx, newIdx, content, newContent) => ({
+    type: type === 'equal' ? 'unchanged' : type,
+    oldIdx,
+    newIdx,
+    content,
+    newContent
+  }), onProgress && ((fraction) => onProgress(fraction, 'lines')), makeCompareKey(options));
+
+  return assembleDiff(ops, options, onProgress);
+};
+
+const isChangeType = (type) => type === 'added' || type === 'removed';
+
+/**
+ * Semantic cleanup, as in diff-match-patch: an unchanged fragment between two changes that is no longer
+ * than either of them (the `e` in `get` → `set`, a lone `.`) is folded into one change, so highlights
+ * cover readable spans instead of alternating every character. Ignored segments are never folded.
+ */
+const cleanupSegments = (segments) => {
+  // Runs of plain changes become { run, removed, added }; equal and ignored segments stay as they are
+  const items = [];
+  segments.forEach(seg => {
+    if (seg.type === 'equal' || seg.ignored) {
+      items.push(seg);
+      return;
+    }
+    let last = items[items.length - 1];
+    if (!last?.run) {
+      last = { run: true, removed: '', added: '' };
+      items.push(last);
+    }
+    last[seg.type] += seg.value;
+  });
+
+  const size = (run) => Math.max(run.removed.length, run.added.length);
+  for (let i = 1; i < items.length - 1; i++) {
+    const before = items[i - 1];
+    const equal = items[i];
+    const after = items[i + 1];
+    if (!before.run || !after.run || equal.type !== 'equal') continue;
+    if (equal.value.length > size(before) || equal.value.length > size(after)) continue;
+    items.splice(i - 1, 3, {
+      run: true,
+      removed: before.removed + equal.value + after.removed,
+      added: before.added + (equal.newValue ?? equal.value) + after.added,
+    });
+    // The merged run is larger, so the equality before it may now qualify too
+    i = Math.max(0, i - 3);
+  }
+
+  return items.flatMap(item => {
+    if (!item.run) return [item];
+    const parts = [];
+    if (item.removed) parts.push({ value: item.removed, type: 'removed' });
+    if (item.added) parts.push({ value: item.added, type: 'added' });
+    return parts;
+  });
+};
+
+/**
+ * Word segments for an old/new line pair, with adjacent tokens of the same type merged and tiny
+ * equal fragments cleaned up. Null when the lines are too long to diff.
+ */
+const pairSegments = (oldStr, newStr, options) => {
+  if (oldStr.length + newStr.length > MAX_INTRA_LINE_CHARS) return null;
+  const coalesced = [];
+  getWordDiff(oldStr, newStr, options).forEach(seg => {
+    const last = coalesced[coalesced.length - 1];
+    if (last && last.type === seg.type && !last.ignored && !seg.ignored) {
+      if (last.newValue !== undefined || seg.newValue !== undefined) {
+        last.newValue = (last.newValue ?? last.value) + (seg.newValue ?? seg.value);
+      }
+      last.value += seg.value;
+    } else {
+      coalesced.push({ ...seg });
+    }
+  });
+  return cleanupSegments(coalesced);
+};
+
+// --- MOVED BLOCKS ---
+
+// Like git's --color-moved, blocks with fewer alphanumeric characters than this are not worth calling moves
+const MIN_MOVED_CHARS = 20;
+// Blocks that were edited while moving must be at least this long, and mostly unedited
+const MIN_EDITED_MOVE_LINES = 3;
+// Token overlap (Dice coefficient) for a line to count as an edited copy of another
+const MOVED_LINE_SIMILARITY = 0.6;
+// Lines that appear this often ("return;", "});") are too common to start a block on
+const MAX_MOVE_CANDIDATES = 50;
+
+const countAlnum = (text) => (text.match(/[a-z0-9]/gi) || []).length;
+
+const lineSimilarity = (a, b) => {
+  const tokensA = a.split(/\W+/).filter(Boolean);
+  const tokensB = b.split(/\W+/).filter(Boolean);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const counts = new Map();
+  tokensA.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+  let common = 0;
+  tokensB.forEach(t => {
+    const n = counts.get(t);
+    if (n) {
+      common++;
+      counts.set(t, n - 1);
+    }
+  });
+  return (2 * common) / (tokensA.length + tokensB.length);
+};
+
+const unpair = (line) => {
+  if (!line.pairedWith) return;
+  delete line.pairedWith.pairedWith;
+  delete line.pairedWith.segments;
+  delete line.pairedWith;
+  delete line.segments;
+};
+
+/**
+ * Finds runs of removed lines that reappear as added lines elsewhere in the file and marks both ends
+ * with `moved: { id, role: 'from' | 'to', partner, edited }`, where `partner` is the index of the
+ * matching line in `diff`. Lines match when equal apart from indentation, or, inside a block that is
+ * mostly exact, when their tokens largely overlap; edited lines get word segments against their partner.
+ * Edits inside one hunk are left alone unless the whole block is an exact copy.
+ */
+const markMovedBlocks = (diff, options) => {
+  const keyOf = makeCompareKey(options);
+  const removed = [];
+  const added = [];
+  let hunk = 0;
+  diff.forEach((line, index) => {
+    if (!isChangeType(line.type)) {
+      hunk++;
+      return;
+    }
+    const entry = { line, index, hunk, key: keyOf(line.content).trim() };
+    (line.type === 'removed' ? removed : added).push(entry);
+  });
+  if (removed.length === 0 || added.length === 0) return;
+
+  const addedByKey = new Map();
+  added.forEach((entry, a) => {
+    if (!addedByKey.has(entry.key)) addedByKey.set(entry.key, []);
+    addedByKey.get(entry.key).push(a);
+  });
+
+  const usedRemoved = new Uint8Array(removed.length);
+  const usedAdded = new Uint8Array(added.length);
+  let nextId = 0;
+
+  // Longest block starting at removed[r] and added[a]; within one hunk only exact lines extend it
+  const extend = (r, a) => {
+    const strict = removed[r].hunk === added[a].hunk;
+    let length = 1;
+    let exact = 1;
+    let chars = countAlnum(removed[r].key);
+    while (r + length < removed.length && a + length < added.length) {
+      const from = removed[r + length];
+      const to = added[a + length];
+      if (usedRemoved[r + length] || usedAdded[a + length]) break;
+      if (from.line.oldLine !== removed[r + length - 1].line.oldLine + 1) break;
+      if (to.line.newLine !== added[a + length - 1].line.newLine + 1) break;
+      if (from.key === to.key) exact++;
+      else if (strict || lineSimilarity(from.key, to.key) < MOVED_LINE_SIMILARITY) break;
+      chars += countAlnum(from.key);
+      length++;
+    }
+    return { a, length, exact, chars };
+  };
+
+  for (let r = 0; r < removed.length; r++) {
+    if (usedRemoved[r] || countAlnum(removed[r].key) === 0) continue;
+    const candidates = addedByKey.get(removed[r].key) || [];
+    if (candidates.length > MAX_MOVE_CANDIDATES) continue;
+
+    let best = null;
+    candidates.forEach(a => {
+      if (usedAdded[a]) return;
+      const block = extend(r, a);
+      if (!best || block.length > best.length) best = block;
+    });
+    if (!best || best.chars < MIN_MOVED_CHARS || best.exact * 2 < best.length) continue;
+    if (best.exact !== best.length && best.length < MIN_EDITED_MOVE_LINES) continue;
+
+    const id = nextId++;
+    for (let k = 0; k < best.length; k++) {
+      const from = removed[r + k];
+      const to = added[best.a + k];
+      usedRemoved[r + k] = 1;
+      usedAdded[best.a + k] = 1;
+      unpair(from.line);
+      unpair(to.line);
+      const edited = from.key !== to.key;
+      from.line.moved = { id, role: 'from', partner: to.index, edited };
+      to.line.moved = { id, role: 'to', partner: from.index, edited };
+      const segments = edited && pairSegments(from.line.content, to.line.content, options);
+      if (segments) {
+        from.line.segments = segments;
+        to.line.segments = segments;
+      }
+    }
+    r += best.length - 1;
+  }
+};
+
+/**
+ * Turns a flat list of line operations into the rendered diff: interleaves removed/added runs,
+ * applies the blank-line option, pre-computes intra-line segments for change pairs and marks moved blocks.
+ * Ops are { type: 'unchanged' | 'removed' | 'added', oldIdx, newIdx, content, newContent? };
+ * 'gap' ops ({ type: 'gap', count, oldIdx, newIdx }) mark lines that are not available and pass through as-is.
+ */
+export const assembleDiff = (ops, options = DEFAULT_DIFF_OPTIONS, onProgress) => {
+  // Build diff with interleaved removed/added pairs
+  // Group consecutive non-unchanged ops and output: all removed first, then all added
+  const diff = [];
+  let opIdx = 0;
+
+  while (opIdx < ops.length) {
+    const op = ops[opIdx];
+
+    if (op.type === 'gap') {
+      diff.push({ type: 'gap', count: op.count, oldLine: op.oldIdx, newLine: op.newIdx });
+      opIdx++;
+    } else if (op.type === 'unchanged') {
+      const line = { type: 'unchanged', oldLine: op.oldIdx, newLine: op.newIdx, content: op.content };
+      if (op.newContent !== op.content) {
+        line.newContent = op.newContent;
+        line.ignored = true;
+      }
+      diff.push(line);
+      opIdx++;
+    } else {
+      // Collect consecutive removed and added operations
+      const removed = [];
+      const added = [];
+      const groupStart = opIdx;
+
+      while (opIdx < ops.length && isChangeType(ops[opIdx].type)) {
+        if (ops[opIdx].type === 'removed') {
+          removed.push(ops[opIdx]);
+        } else {
+          added.push(ops[opIdx]);
+        }
+        opIdx++;
+      }
+
+      // A change made only of blank lines is shown as unchanged context
+      if (options.ignoreBlankLines && [...removed, ...added].every(o => isBlank(o.content))) {
+        ops.slice(groupStart, opIdx).forEach(o => {
+          diff.push({ type: 'unchanged', oldLine: o.oldIdx, newLine: o.newIdx, content: o.content, ignored: true });
+        });
+        continue;
+      }
+
+      // Interleave: pair up removed[i] with added[i], output remaining
+      const maxPairs = Math.max(removed.length, added.length);
+      for (let k = 0; k < maxPairs; k++) {
+        if (k < removed.length) {
+          diff.push({ type: 'removed', oldLine: removed[k].oldIdx, newLine: null, content: removed[k].content });
+        }
+        if (k < added.length) {
+          diff.push({ type: 'added', oldLine: null, newLine: added[k].newIdx, content: added[k].content });
+        }
+      }
+    }
+  }
+
+  // Symmetric pairing for intra-line diffing AND Pre-calculation
+  for (let k = 0; k < diff.length - 1; k++) {
+    const current = diff[k];
+    const next = diff[k + 1];
+    const isChangePair = (current.type === 'removed' && next.type === 'added') ||
+      (current.type === 'added' && next.type === 'removed');
+
+    if (isChangePair && !current.pairedWith && !next.pairedWith) {
+      current.pairedWith = next;
+      next.pairedWith = current;
+
+      // OPTIMIZATION: Calculate word diffs ONCE here, not during render
+      const oldStr = current.type === 'removed' ? current.content : next.content;
+      const newStr = current.type === 'added' ? current.content : next.content;
+      const coalesced = pairSegments(oldStr, newStr, options);
+
+      // Attach segments to both lines so simple renderers can use them
+      if (coalesced) {
+        current.segments = coalesced;
+        next.segments = coalesced;
+      }
+    }
+
+    if (onProgress && k % 500 === 0) onProgress(k / diff.length, 'words');
+  }
+
+  if (options.detectMoves) markMovedBlocks(diff, options);
+  return diff;
+};
+
+export const chunkifyDiff = (diff) => {
+  if (diff.length === 0) return [];
+  const chunks = [];
+  let currentChunk = { type: diff[0].type, lines: [diff[0]] };
+
+  for (let i = 1; i < diff.length; i++) {
+    if (diff[i].type === currentChunk.type || (isChangeType(diff[i].type) && isChangeType(currentChunk.type))) {
+      currentChunk.lines.push(diff[i]);
+    } else {
+      chunks.push(currentChunk);
+      currentChunk = { type: diff[i].type, lines: [diff[i]] };
+    }
+  }
+  chunks.push(currentChunk);
+  return chunks;
+};
+
+/**
+ * Lays out a chunk's lines as side-by-side rows: { left, right }.
+ * Removed/added pairs (`pairedWith`) share a row; unpaired lines get a null filler on the other side.
+ */
+export const toSplitRows = (lines) => {
+  const rows = [];
+  const placed = new Set();
+  lines.forEach(line => {
+    if (placed.has(line)) return;
+    if (line.type === 'unchanged') {
+      // Ignored blank-line changes only exist on one side
+      rows.push({ left: line.oldLine ? line : null, right: line.newLine ? line : null });
+    } else if (line.pairedWith) {
+      // Emit the pair once, from whichever side comes first
+      const [left, right] = line.type === 'removed' ? [line, line.pairedWith] : [line.pairedWith, line];
+      rows.push({ left, right });
+      placed.add(line.pairedWith);
+    } else if (line.type === 'removed') {
+      rows.push({ left: line, right: null });
+    } else {
+      rows.push({ left: null, right: line });
+    }
+  });
+  return rows;
+};
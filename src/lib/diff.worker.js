@@ -0,0 +1,28 @@
+import { calculateDiff } from './diff';
+
+// --- DIFF WORKER ---
+// Message in:  { id, oldText, newText, options }
+// Messages out: { id, type: 'progress', value, stage } | { id, type: 'result', diff } | { id, type: 'error', message }
+// Cancellation is done by the owner terminating the worker, so no cancel message is needed.
+
+const PROGRESS_INTERVAL_MS = 50;
+
+self.onmessage = (event) => {
+  const { id, oldText, newText, options } = event.data;
+  let lastPost = 0;
+
+  const onProgress = (value, stage) => {
+    const now = performance.now();
+    if (now - lastPost < PROGRESS_INTERVAL_MS) return;
+    lastPost = now;
+    self.postMessage({ id, type: 'progress', value, stage });
+  };
+
+  try {
+    const diff = calculateDiff(oldText, newText, options, onProgress);
+    // Structured clone keeps the circular `pairedWith` references intact
+    self.postMessage({ id, type: 'result', diff });
+  } catch (e) {
+    self.postMessage({ id, type: 'error', message: e.message });
+  }
+};
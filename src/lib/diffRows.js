@@ -0,0 +1,71 @@
+import { toSplitRows, CONTEXT_LINES } from './diff';
+
+// --- DIFF ROW LAYOUT ---
+
+const EMPTY_ANNOTATIONS = new Map();
+
+/**
+ * Flattens diff chunks into the rows the viewer renders, applying folds:
+ * unchanged chunks longer than the context on both sides are collapsed into a
+ * single 'fold' row unless their index is in `expandedChunks`.
+ * Rows: { kind: 'line', key, line } (unified), { kind: 'split', key, row } (split),
+ *       { kind: 'fold', key, chunkIndex, count }, { kind: 'gap', key, count },
+ *       { kind: 'annotation', key, item } for each entry of `annotations`,
+ *       { kind: 'hunk', key, chunkIndex, hunkKey } above each change chunk when `hunkKeys` is given.
+ * @param {Map<number, Array<{ key: string }>>} [annotations] Items (e.g. review threads) to show below
+ *   the row of a diff line index; chunks containing one are never folded
+ * @param {Array<string|null>} [hunkKeys] Hunk keys by chunk index (see getChunkKeys), for per-hunk decisions
+ * @returns {{ rows: Array<Object>, rowOfLine: Int32Array }} `rowOfLine[i]` is the row showing
+ *   diff line i (a folded line maps to its fold row)
+ */
+export const buildDiffRows = (chunks, viewMode, expandedChunks, annotations = EMPTY_ANNOTATIONS, hunkKeys = null) => {
+  const rows = [];
+  const total = chunks.reduce((sum, chunk) => sum + chunk.lines.length, 0);
+  const rowOfLine = new Int32Array(total);
+  let base = 0;
+
+  chunks.forEach((chunk, chunkIndex) => {
+    const chunkBase = base;
+    base += chunk.lines.length;
+
+    if (chunk.type === 'gap') {
+      chunk.lines.forEach((line, i) => {
+        rowOfLine[chunkBase + i] = rows.length;
+        rows.push({ kind: 'gap', key: `g${chunkBase + i}`, count: line.count });
+      });
+      return;
+    }
+
+    if (hunkKeys?.[chunkIndex]) rows.push({ kind: 'hunk', key: `h${chunkIndex}`, chunkIndex, hunkKey: hunkKeys[chunkIndex] });
+
+    const isSplit = viewMode === 'split';
+    const lineIndex = new Map(chunk.lines.map((line, i) => [line, chunkBase + i]));
+    const items = isSplit ? toSplitRows(chunk.lines) : chunk.lines;
+    const linesOf = (item) => (isSplit ? [item.left, item.right].filter(Boolean) : [item]);
+
+    const pushItem = (item) => {
+      const indices = linesOf(item).map(line => lineIndex.get(line));
+      indices.forEach(idx => { rowOfLine[idx] = rows.length; });
+      const key = `l${Math.min(...indices)}`;
+      rows.push(isSplit ? { kind: 'split', key, row: item } : { kind: 'line', key, line: item });
+      indices.forEach(idx => {
+        (annotations.get(idx) || []).forEach(annotation => rows.push({ kind: 'annotation', key: annotation.key, item: annotation }));
+      });
+    };
+
+    const isAnnotated = annotations.size > 0 && chunk.lines.some((_, i) => annotations.has(chunkBase + i));
+    const shouldFold = chunk.type === 'unchanged' && items.length > (CONTEXT_LINES * 2 + 2) && !expandedChunks.has(chunkIndex) && !isAnnotated;
+    if (!shouldFold) {
+      items.forEach(pushItem);
+      return;
+    }
+
+    items.slice(0, CONTEXT_LINES).forEach(pushItem);
+    const folded = items.slice(CONTEXT_LINES, -CONTEXT_LINES);
+    folded.forEach(item => linesOf(item).forEach(line => { rowOfLine[lineIndex.get(line)] = rows.length; }));
+    rows.push({ kind: 'fold', key: `f${chunkIndex}`, chunkIndex, count: folded.length });
+    items.slice(-CONTEXT_LINES).forEach(pushItem);
+  });
+
+  return { rows, rowOfLine };
+};
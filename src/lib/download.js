@@ -0,0 +1,17 @@
+// --- DOWNLOAD HELPERS ---
+
+/**
+ * Saves a string or Blob as a file through a temporary object URL.
+ */
+export const downloadFile = (filename, data, type = 'text/plain') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,70 @@
+// --- FILE TREE ---
+
+const makeFolder = (name, path) => ({
+  name,
+  path,
+  folders: [],
+  files: [],
+  counts: { modified: 0, added: 0, deleted: 0, unchanged: 0 },
+  added: 0,
+  removed: 0,
+  pendingStats: false,
+});
+
+/**
+ * Groups pairs into a folder tree by their `path`, with per-folder rollups:
+ * file counts by change type and +/- line totals from `stats` (Map of pair id -> { added, removed }).
+ * Chains of folders holding a single subfolder and no files are merged ("src/lib/utils").
+ * @returns {Object} Root folder node: { name, path, folders, files, counts, added, removed, pendingStats }
+ */
+export const buildFileTree = (pairs, stats) => {
+  const root = makeFolder('', '');
+  const index = new Map([['', root]]);
+
+  pairs.forEach(pair => {
+    const segments = pair.path.split('/');
+    let node = root;
+    segments.slice(0, -1).forEach(name => {
+      const path = node.path ? `${node.path}/${name}` : name;
+      let child = index.get(path);
+      if (!child) {
+        child = makeFolder(name, path);
+        index.set(path, child);
+        node.folders.push(child);
+      }
+      node = child;
+    });
+    node.files.push(pair);
+  });
+
+  const finalize = (folder, isRoot) => {
+    folder.folders = folder.folders.map(child => finalize(child, false));
+    folder.folders.sort((a, b) => a.name.localeCompare(b.name));
+    folder.files.sort((a, b) => a.path.localeCompare(b.path));
+
+    folder.files.forEach(pair => {
+      folder.counts[pair.type]++;
+      const fileStats = stats.get(pair.id);
+      if (fileStats) {
+        folder.added += fileStats.added;
+        folder.removed += fileStats.removed;
+      } else {
+        folder.pendingStats = true;
+      }
+    });
+    folder.folders.forEach(child => {
+      Object.keys(folder.counts).forEach(type => { folder.counts[type] += child.counts[type]; });
+      folder.added += child.added;
+      folder.removed += child.removed;
+      folder.pendingStats = folder.pendingStats || child.pendingStats;
+    });
+
+    if (!isRoot && folder.files.length === 0 && folder.folders.length === 1) {
+      const only = folder.folders[0];
+      return { ...only, name: `${folder.name}/${only.name}` };
+    }
+    return folder;
+  };
+
+  return finalize(root, true);
+};
@@ -0,0 +1,49 @@
+// --- FUZZY MATCHING ---
+
+const isWordStart = (text, i) => {
+  if (i === 0) return true;
+  const prev = text[i - 1];
+  return '/.-_ '.includes(prev) || (prev === prev.toLowerCase() && text[i] !== text[i].toLowerCase());
+};
+
+const matchFrom = (q, text, t, preferWordStarts) => {
+  const positions = [];
+  let score = 0;
+  let ti = 0;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    let found = t.indexOf(ch, ti);
+    if (found === -1) return null;
+    const last = positions[positions.length - 1];
+    if (preferWordStarts && found !== last + 1) {
+      // Jump ahead to a word start with this character, if there is one
+      for (let i = found; i !== -1; i = t.indexOf(ch, i + 1)) {
+        if (isWordStart(text, i)) {
+          found = i;
+          break;
+        }
+      }
+    }
+    score += 1 + (isWordStart(text, found) ? 3 : 0) + (found === last + 1 ? 2 : 0);
+    positions.push(found);
+    ti = found + 1;
+  }
+  return { score, positions };
+};
+
+/**
+ * Matches `query` as a subsequence of `text` (case-insensitive). Consecutive characters and
+ * characters at word starts (after '/', '.', '-', '_', ' ' or a lower→upper case change) score
+ * higher, and shorter texts win ties, so "cmpv" ranks "ComparisonView.jsx" above longer paths.
+ * @returns {{ score: number, positions: Array<number> }|null} Null when not every character matches
+ */
+export const fuzzyMatch = (query, text) => {
+  if (!query) return { score: 0, positions: [] };
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  // Jumping to word starts can skip characters a later query character needed, so plain greedy is the fallback
+  const candidates = [matchFrom(q, text, t, true), matchFrom(q, text, t, false)].filter(Boolean);
+  if (candidates.length === 0) return null;
+  const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+  return { score: best.score - text.length * 0.01, positions: best.positions };
+};
@@ -0,0 +1,422 @@
+import { inflate } from './inflate';
+import { createFileEntry } from './binary';
+
+// --- LOCAL GIT REPOSITORIES ---
+// Reads refs, commits, trees and blobs straight from a picked `.git` directory: loose objects,
+// packfiles (with their .idx files) and packed-refs. No git binary or server is involved.
+// Objects are addressed by their 40-character hex id.
+
+const OBJECT_TYPES = { 1: 'commit', 2: 'tree', 3: 'blob', 4: 'tag' };
+const OFS_DELTA = 6;
+const REF_DELTA = 7;
+
+// Tree entry modes
+const MODE_TREE = '40000';
+const MODE_SUBMODULE = '160000';
+
+// Delta bases and trees are read over and over; decoded pack objects are kept up to this many bytes
+const PACK_CACHE_BYTES = 32 * 1024 * 1024;
+
+const REF_KINDS = [
+  { prefix: 'refs/heads/', kind: 'branch' },
+  { prefix: 'refs/tags/', kind: 'tag' },
+  { prefix: 'refs/remotes/', kind: 'remote' },
+];
+
+const textDecoder = new TextDecoder();
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const isObjectId = (text) => /^[0-9a-f]{40}$/.test(text);
+
+const readBytes = async (blob, start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer());
+
+/**
+ * Finds the git directory among the files of a picked folder: the folder's `.git`, the `.git`
+ * folder itself, or a bare repository.
+ * @param {Array<{ path: string, file: File }>} entries Paths as given by the folder picker
+ * @returns {{ name: string, files: Map<string, File> }|null} Files keyed by their path inside the git directory
+ */
+export const findGitDir = (entries) => {
+  const heads = entries.map(({ path }) => path).filter(path => /(^|\/)HEAD$/.test(path));
+  // Prefer a `.git` folder, then the shallowest HEAD next to an objects folder (a bare repository)
+  const candidates = heads
+    .map(path => path.slice(0, -'HEAD'.length))
+    .filter(dir => entries.some(({ path }) => path.startsWith(`${dir}objects/`)))
+    .sort((a, b) => (b.endsWith('.git/') - a.endsWith('.git/')) || a.split('/').length - b.split('/').length);
+  if (candidates.length === 0) return null;
+  const dir = candidates[0];
+  const files = new Map();
+  entries.forEach(({ path, file }) => {
+    if (path.startsWith(dir)) files.set(path.slice(dir.length), file);
+  });
+  const segments = dir.split('/').filter(Boolean);
+  const last = segments[segments.length - 1];
+  const name = (last === '.git' ? segments[segments.length - 2] : last?.replace(/\.git$/, '')) || 'repository';
+  return { name, files };
+};
+
+// --- Pack index (.idx), versions 1 and 2 ---
+
+const parsePackIndex = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const isV2 = view.getUint32(0) === 0xff744f63;
+  if (isV2 && view.getUint32(4) !== 2) throw new Error(`Unsupported pack index version ${view.getUint32(4)}`);
+  const fanoutAt = isV2 ? 8 : 0;
+  const count = view.getUint32(fanoutAt + 255 * 4);
+  const namesAt = fanoutAt + 256 * 4;
+  const offsets = new Float64Array(count);
+  const idAt = new Uint32Array(count);
+  if (isV2) {
+    const offsetsAt = namesAt + count * 20 + count * 4;
+    const largeAt = offsetsAt + count * 4;
+    for (let i = 0; i < count; i++) {
+      idAt[i] = namesAt + i * 20;
+      const offset = view.getUint32(offsetsAt + i * 4);
+      // The high bit marks an index into the 64-bit offset table for packs over 2 GiB
+      offsets[i] = offset & 0x80000000
+        ? view.getUint32(largeAt + (offset & 0x7fffffff) * 8) * 2 ** 32 + view.getUint32(largeAt + (offset & 0x7fffffff) * 8 + 4)
+        : offset;
+    }
+  } else {
+    for (let i = 0; i < count; i++) {
+      offsets[i] = view.getUint32(namesAt + i * 24);
+      idAt[i] = namesAt + i * 24 + 4;
+    }
+  }
+  return { bytes, view, fanoutAt, count, idAt, offsets, sortedOffsets: Float64Array.from(offsets).sort() };
+};
+
+// Compares the id at index `i` with a hex prefix: <0, 0 (prefix matches) or >0
+const compareIdPrefix = (index, i, prefix) => {
+  const at = index.idAt[i];
+  for (let k = 0; k < prefix.length; k += 2) {
+    const byte = index.bytes[at + k / 2];
+    if (k + 1 === prefix.length) {
+      const diff = (byte >> 4) - parseInt(prefix[k], 16);
+      return diff;
+    }
+    const diff = byte - parseInt(prefix.slice(k, k + 2), 16);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// Indexes of the objects whose ids start with `prefix` (at least two hex digits)
+const findInIndex = (index, prefix) => {
+  const first = parseInt(prefix.slice(0, 2), 16);
+  let lo = first === 0 ? 0 : index.view.getUint32(index.fanoutAt + (first - 1) * 4);
+  let hi = index.view.getUint32(index.fanoutAt + first * 4);
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compareIdPrefix(index, mid, prefix) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+  const matches = [];
+  for (let i = lo; i < index.count && compareIdPrefix(index, i, prefix) === 0; i++) matches.push(i);
+  return matches;
+};
+
+// Where a pack object's data ends: at the next object, or before the pack's trailing checksum
+const objectEnd = (pack, offset) => {
+  const sorted = pack.index.sortedOffsets;
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] <= offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo < sorted.length ? sorted[lo] : pack.file.size - 20;
+};
+
+/**
+ * Rebuilds an object from its base and a git delta: copy instructions take ranges of the base,
+ * insert instructions carry new bytes.
+ */
+const applyDelta = (base, delta) => {
+  let pos = 0;
+  const varint = () => {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = delta[pos++];
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  };
+  if (varint() !== base.length) throw new Error('Delta does not match its base object');
+  const out = new Uint8Array(varint());
+  let outLen = 0;
+  while (pos < delta.length) {
+    const op = delta[pos++];
+    if (op & 0x80) {
+      let offset = 0;
+      let size = 0;
+      for (let bit = 0; bit < 4; bit++) if (op & (1 << bit)) offset += delta[pos++] * 2 ** (8 * bit);
+      for (let bit = 0; bit < 3; bit++) if (op & (0x10 << bit)) size += delta[pos++] << (8 * bit);
+      if (size === 0) size = 0x10000;
+      out.set(base.subarray(offset, offset + size), outLen);
+      outLen += size;
+    } else if (op) {
+      out.set(delta.subarray(pos, pos + op), outLen);
+      outLen += op;
+      pos += op;
+    } else {
+      throw new Error('Invalid delta instruction');
+    }
+  }
+  if (outLen !== out.length) throw new Error('Delta produced the wrong size');
+  return out;
+};
+
+const parseCommit = (data) => {
+  const text = textDecoder.decode(data);
+  const split = text.indexOf('\n\n');
+  const headers = (split === -1 ? text : text.slice(0, split)).split('\n');
+  const header = (name) => headers.filter(line => line.startsWith(`${name} `)).map(line => line.slice(name.length + 1));
+  const author = header('author')[0] || '';
+  const authorMatch = /^(.*?) <[^>]*> (\d+)/.exec(author);
+  return {
+    tree: header('tree')[0],
+    parents: header('parent'),
+    author: authorMatch ? authorMatch[1] : author,
+    date: authorMatch ? new Date(Number(authorMatch[2]) * 1000) : null,
+    subject: split === -1 ? '' : text.slice(split + 2).split('\n')[0],
+  };
+};
+
+/**
+ * Opens a git directory found by `findGitDir`.
+ * @param {Map<string, File>} files
+ * @returns {Promise<Object>} The repository: `refs`, `head`, `resolve`, `readCommit`, `listTree` and `readBlob`
+ * @throws {Error} When the directory has no HEAD or its pack indexes can't be read
+ */
+export const openRepository = async (files) => {
+  if (!files.has('HEAD')) throw new Error('Not a git directory: HEAD is missing');
+
+  const packs = await Promise.all([...files.keys()]
+    .filter(path => /^objects\/pack\/pack-[0-9a-f]+\.idx$/.test(path) && files.has(path.replace(/\.idx$/, '.pack')))
+    .map(async (path) => ({
+      file: files.get(path.replace(/\.idx$/, '.pack')),
+      index: parsePackIndex(new Uint8Array(await files.get(path).arrayBuffer())),
+    })));
+  const looseIds = [...files.keys()]
+    .map(path => /^objects\/([0-9a-f]{2})\/([0-9a-f]{38})$/.exec(path))
+    .filter(Boolean)
+    .map(match => match[1] + match[2]);
+  const looseSet = new Set(looseIds);
+
+  // --- Objects ---
+
+  const cache = new Map();
+  let cacheBytes = 0;
+  const remember = (key, object) => {
+    cache.set(key, object);
+    cacheBytes += object.data.length;
+    while (cacheBytes > PACK_CACHE_BYTES && cache.size > 1) {
+      const [oldest, evicted] = cache.entries().next().value;
+      cache.delete(oldest);
+      cacheBytes -= evicted.data.length;
+    }
+  };
+
+  const readPackObject = async (pack, offset) => {
+    const key = `${packs.indexOf(pack)}:${offset}`;
+    if (cache.has(key)) return cache.get(key);
+    const bytes = await readBytes(pack.file, offset, objectEnd(pack, offset));
+    let pos = 0;
+    let byte = bytes[pos++];
+    const type = (byte >> 4) & 7;
+    let size = byte & 0x0f;
+    let shift = 4;
+    while (byte & 0x80) {
+      byte = bytes[pos++];
+      size += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    }
+
+    let object;
+    if (type === OFS_DELTA) {
+      byte = bytes[pos++];
+      let distance = byte & 0x7f;
+      while (byte & 0x80) {
+        byte = bytes[pos++];
+        distance = (distance + 1) * 128 + (byte & 0x7f);
+      }
+      const base = await readPackObject(pack, offset - distance);
+      object = { type: base.type, data: applyDelta(base.data, inflate(bytes.subarray(pos), size)) };
+    } else if (type === REF_DELTA) {
+      const base = await readObject(toHex(bytes.subarray(pos, pos + 20)));
+      object = { type: base.type, data: applyDelta(base.data, inflate(bytes.subarray(pos + 20), size)) };
+    } else if (OBJECT_TYPES[type]) {
+      object = { type: OBJECT_TYPES[type], data: inflate(bytes.subarray(pos), size) };
+    } else {
+      throw new Error(`Unknown pack object type ${type}`);
+    }
+    remember(key, object);
+    return object;
+  };
+
+  const readObject = async (id) => {
+    if (looseSet.has(id)) {
+      const raw = inflate(new Uint8Array(await files.get(`objects/${id.slice(0, 2)}/${id.slice(2)}`).arrayBuffer()));
+      const nul = raw.indexOf(0);
+      const [type] = textDecoder.decode(raw.subarray(0, nul)).split(' ');
+      return { type, data: raw.subarray(nul + 1) };
+    }
+    for (const pack of packs) {
+      const [match] = findInIndex(pack.index, id);
+      if (match !== undefined) return readPackObject(pack, pack.index.offsets[match]);
+    }
+    throw new Error(`Object ${id.slice(0, 7)} is missing (shallow or partial clone?)`);
+  };
+
+  const readTyped = async (id, type) => {
+    const object = await readObject(id);
+    if (object.type !== type) throw new Error(`${id.slice(0, 7)} is a ${object.type}, not a ${type}`);
+    return object.data;
+  };
+
+  // Annotated tags point at other objects; commits are what comparisons need
+  const peelToCommit = async (id) => {
+    let current = id;
+    for (;;) {
+      const object = await readObject(current);
+      if (object.type === 'commit') return current;
+      if (object.type !== 'tag') throw new Error(`${current.slice(0, 7)} is a ${object.type}, not a commit`);
+      current = /^object ([0-9a-f]{40})/m.exec(textDecoder.decode(object.data))[1];
+    }
+  };
+
+  // --- Refs ---
+
+  const readText = async (path) => (await files.get(path).text()).trim();
+  const refTargets = new Map();
+  if (files.has('packed-refs')) {
+    (await readText('packed-refs')).split('\n').forEach(line => {
+      const match = /^([0-9a-f]{40}) (\S+)$/.exec(line);
+      if (match) refTargets.set(match[2], match[1]);
+    });
+  }
+  // Loose refs override packed ones; symbolic refs keep their "ref: ..." text until resolved
+  await Promise.all([...files.keys()].filter(path => path.startsWith('refs/')).map(async (path) => {
+    refTargets.set(path, await readText(path));
+  }));
+  const headText = await readText('HEAD');
+  refTargets.set('HEAD', headText);
+
+  const resolveRefName = (name, depth = 0) => {
+    const target = refTargets.get(name);
+    if (target === undefined || depth > 5) return null;
+    if (target.startsWith('ref: ')) return resolveRefName(target.slice(5), depth + 1);
+    return isObjectId(target) ? target : null;
+  };
+
+  const refs = [];
+  const headId = resolveRefName('HEAD');
+  const head = headText.startsWith('ref: refs/heads/') ? headText.slice('ref: refs/heads/'.length) : null;
+  if (headId) refs.push({ name: 'HEAD', fullName: 'HEAD', kind: 'head', id: headId });
+  [...refTargets.keys()].sort().forEach(fullName => {
+    const kind = REF_KINDS.find(k => fullName.startsWith(k.prefix));
+    const id = resolveRefName(fullName);
+    if (!kind || !id || (kind.kind === 'remote' && fullName.endsWith('/HEAD'))) return;
+    refs.push({ name: fullName.slice('refs/'.length).replace(/^(heads|tags)\//, ''), fullName, kind: kind.kind, id });
+  });
+
+  const findByPrefix = (prefix) => {
+    const ids = new Set(looseIds.filter(id => id.startsWith(prefix)));
+    packs.forEach(pack => findInIndex(pack.index, prefix).forEach(i => {
+      ids.add(toHex(pack.index.bytes.subarray(pack.index.idAt[i], pack.index.idAt[i] + 20)));
+    }));
+    return [...ids];
+  };
+
+  /**
+   * Resolves a revision to a commit id: a ref name (looked up like git does), a full or
+   * abbreviated commit id, optionally followed by `~n` and `^n` steps.
+   */
+  const resolve = async (spec) => {
+    const match = /^(.*?)((?:[~^]\d*)*)$/.exec(spec.trim());
+    const [, base, steps] = match;
+    if (!base) throw new Error('Enter a branch, tag or commit');
+    const refName = [base, `refs/${base}`, `refs/tags/${base}`, `refs/heads/${base}`, `refs/remotes/${base}`, `refs/remotes/${base}/HEAD`]
+      .find(name => resolveRefName(name));
+    let id = refName ? resolveRefName(refName) : null;
+    if (!id && /^[0-9a-f]{4,40}$/i.test(base)) {
+      const ids = findByPrefix(base.toLowerCase());
+      if (ids.length > 1) throw new Error(`"${base}" is ambiguous`);
+      id = ids[0] || null;
+    }
+    if (!id) throw new Error(`Unknown revision "${base}"`);
+    id = await peelToCommit(id);
+
+    for (const [, op, count] of steps.matchAll(/([~^])(\d*)/g)) {
+      const n = count === '' ? 1 : Number(count);
+      if (op === '~') {
+        for (let i = 0; i < n; i++) {
+          const [parent] = parseCommit(await readTyped(id, 'commit')).parents;
+          if (!parent) throw new Error(`${spec} goes past the first commit`);
+          id = parent;
+        }
+      } else if (n > 0) {
+        const parent = parseCommit(await readTyped(id, 'commit')).parents[n - 1];
+        if (!parent) throw new Error(`${spec}: commit has no parent ${n}`);
+        id = parent;
+      }
+    }
+    return id;
+  };
+
+  const readCommit = async (id) => ({ id, ...parseCommit(await readTyped(id, 'commit')) });
+
+  /**
+   * All files of a commit's tree, depth first. Submodules have no content here and are left out.
+   * @returns {Promise<Array<{ path: string, mode: string, id: string }>>}
+   */
+  const listTree = async (commitId) => {
+    const entries = [];
+    const walk = async (treeId, dir) => {
+      const data = await readTyped(treeId, 'tree');
+      let pos = 0;
+      while (pos < data.length) {
+        const space = data.indexOf(0x20, pos);
+        const nul = data.indexOf(0, space);
+        const mode = textDecoder.decode(data.subarray(pos, space));
+        const name = textDecoder.decode(data.subarray(space + 1, nul));
+        const id = toHex(data.subarray(nul + 1, nul + 21));
+        pos = nul + 21;
+        if (mode === MODE_TREE) await walk(id, `${dir}${name}/`);
+        else if (mode !== MODE_SUBMODULE) entries.push({ path: `${dir}${name}`, mode, id });
+      }
+    };
+    await walk((await readCommit(commitId)).tree, '');
+    return entries;
+  };
+
+  const readBlob = (id) => readTyped(id, 'blob');
+
+  return { refs, head, resolve, readCommit, listTree, readBlob };
+};
+
+/**
+ * Reads every file of a commit into workspace entries, like a picked folder. Paths are
+ * `${root}/${path}`, so `root` plays the part of the picked folder's name.
+ * @param {Object} repo From `openRepository`
+ * @param {string} commitId
+ * @param {{ root: string, shouldIgnore?: (path: string) => boolean, entryCache?: Map, onProgress?: (done: number, total: number) => void }} options
+ *   `entryCache` shares decoded blobs between reads, so files unchanged between two commits are read once
+ */
+export const readCommitFiles = async (repo, commitId, { root, shouldIgnore = () => false, entryCache = new Map(), onProgress }) => {
+  const tree = (await repo.listTree(commitId)).filter(entry => !shouldIgnore(`${root}/${entry.path}`));
+  const files = [];
+  for (let i = 0; i < tree.length; i++) {
+    const { path, id } = tree[i];
+    if (!entryCache.has(id)) entryCache.set(id, await createFileEntry(await repo.readBlob(id), path));
+    files.push({ ...entryCache.get(id), path: `${root}/${path}` });
+    if (onProgress && (i % 50 === 49 || i === tree.length - 1)) onProgress(i + 1, tree.length);
+  }
+  return files;
+};
@@ -0,0 +1,186 @@
+// --- SYNTAX HIGHLIGHTING ---
+// Whole-file tokenizer: each language is a list of [tokenType, regex source] rules compiled
+// into one alternation and run once over the full text, so strings and comments that span
+// several lines are recognised correctly. Tokens are then sliced into per-line ranges.
+
+// Files larger than this are left unhighlighted to keep the render path fast
+const MAX_HIGHLIGHT_CHARS = 2_000_000;
+
+const keywords = (words) => `\\b(?:${words.split(' ').join('|')})\\b`;
+
+const C_LIKE_COMMON = [
+  ['comment', String.raw`\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`],
+  ['string', String.raw`"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?`],
+  ['number', String.raw`\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b`],
+];
+
+const IDENTIFIER_RULES = [
+  ['function', String.raw`\b[A-Za-z_$][\w$]*(?=\s*\()`],
+  ['type', String.raw`\b[A-Z][\w$]*\b`],
+];
+
+const LANGUAGES = {
+  javascript: [
+    ['comment', String.raw`\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`],
+    ['string', String.raw`"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?|\`(?:\\[\s\S]|[^\`\\])*\`?`],
+    ['number', String.raw`\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?n?)\b`],
+    ['keyword', keywords('async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof interface let new of return set static super switch this throw try type typeof var void while with yield enum implements private protected public readonly declare namespace abstract as')],
+    ['literal', keywords('true false null undefined NaN Infinity')],
+    ...IDENTIFIER_RULES,
+  ],
+  python: [
+    ['comment', String.raw`#[^\n]*`],
+    ['string', String.raw`[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|(?![\s\S]))|'''[\s\S]*?(?:'''|(?![\s\S]))|"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?)`],
+    ['number', String.raw`\b(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?j?)\b`],
+    ['keyword', keywords('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case')],
+    ['literal', keywords('True False None self cls')],
+    ['meta', String.raw`@[\w.]+`],
+    ...IDENTIFIER_RULES,
+  ],
+  go: [
+    ...C_LIKE_COMMON.slice(0, 1),
+    ['string', String.raw`"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?|\`[^\`]*\`?`],
+    C_LIKE_COMMON[2],
+    ['keyword', keywords('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var')],
+    ['literal', keywords('true false nil iota')],
+    ['type', keywords('bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr any')],
+    ...IDENTIFIER_RULES,
+  ],
+  rust: [
+    ...C_LIKE_COMMON,
+    ['keyword', keywords('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while')],
+    ['literal', keywords('true false None Some Ok Err')],
+    ['meta', String.raw`#!?\[[^\]\n]*\]|\b[a-z_]\w*!`],
+    ...IDENTIFIER_RULES,
+  ],
+  clike: [
+    ...C_LIKE_COMMON,
+    ['meta', String.raw`^[ \t]*#[ \t]*\w+|@\w+`],
+    ['keyword', keywords('abstract auto break case catch char class const continue default delete do double else enum explicit extends extern final finally float for friend goto if implements import include inline int long namespace new override package private protected public register return short signed sizeof static struct super switch synchronized template this throw throws try typedef typename union unsigned using var virtual void volatile while fun val when object data sealed internal open lateinit let guard func protocol extension')],
+    ['literal', keywords('true false null nullptr NULL nil')],
+    ...IDENTIFIER_RULES,
+  ],
+  ruby: [
+    ['comment', String.raw`#[^\n]*|^=begin[\s\S]*?(?:^=end|(?![\s\S]))`],
+    ['string', String.raw`"(?:\\[\s\S]|[^"\\])*"?|'(?:\\[\s\S]|[^'\\])*'?`],
+    ['literal', String.raw`:[A-Za-z_]\w*|\b(?:true|false|nil|self)\b`],
+    C_LIKE_COMMON[2],
+    ['keyword', keywords('alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return super then undef unless until when while yield require attr_reader attr_accessor')],
+    ...IDENTIFIER_RULES,
+  ],
+  shell: [
+    ['comment', String.raw`(?:^|(?<=\s))#[^\n]*`],
+    ['string', String.raw`"(?:\\[\s\S]|[^"\\])*"?|'[^']*'?`],
+    ['meta', String.raw`\$(?:\{[^}\n]*\}|\w+|[@*#?$!0-9])`],
+    ['keyword', keywords('if then else elif fi for while until do done case esac in function return local export readonly shift exit source')],
+    ['number', String.raw`\b\d+\b`],
+  ],
+  css: [
+    ['comment', String.raw`\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`],
+    ['string', String.raw`"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?`],
+    ['meta', String.raw`@[\w-]+`],
+    ['property', String.raw`[\w-]+(?=\s*:(?!:))`],
+    ['number', String.raw`#[\da-fA-F]{3,8}\b|-?\b\d*\.?\d+(?:%|[a-z]+)?`],
+    ['type', String.raw`[.#][\w-]+`],
+  ],
+  json: [
+    ['property', String.raw`"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)`],
+    ['string', String.raw`"(?:\\[\s\S]|[^"\\\n])*"?`],
+    ['number', String.raw`-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`],
+    ['literal', keywords('true false null')],
+  ],
+  yaml: [
+    ['comment', String.raw`(?:^|(?<=\s))#[^\n]*`],
+    ['property', String.raw`[\w.-]+(?=\s*:(?:\s|(?![\s\S])))`],
+    ['string', String.raw`"(?:\\[\s\S]|[^"\\\n])*"?|'[^'\n]*'?`],
+    ['number', String.raw`-?\b\d+(?:\.\d+)?\b`],
+    ['literal', keywords('true false null yes no on off')],
+  ],
+  markup: [
+    ['comment', String.raw`<!--[\s\S]*?(?:-->|(?![\s\S]))`],
+    ['meta', String.raw`<![^>]*>|<\?[\s\S]*?\?>`],
+    ['keyword', String.raw`<\/?[\w:-]+|\/?>`],
+    ['property', String.raw`\b[\w:-]+(?==)`],
+    ['string', String.raw`"[^"]*"?|'[^']*'?`],
+  ],
+};
+
+const EXTENSION_LANGUAGES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', ts: 'javascript', tsx: 'javascript', mts: 'javascript', cts: 'javascript',
+  py: 'python', pyi: 'python',
+  go: 'go',
+  rs: 'rust',
+  c: 'clike', h: 'clike', cc: 'clike', cpp: 'clike', cxx: 'clike', hpp: 'clike', java: 'clike', cs: 'clike', kt: 'clike', kts: 'clike', swift: 'clike', scala: 'clike', dart: 'clike', php: 'clike',
+  rb: 'ruby',
+  sh: 'shell', bash: 'shell', zsh: 'shell',
+  css: 'css', scss: 'css', less: 'css',
+  json: 'json', jsonc: 'javascript',
+  yml: 'yaml', yaml: 'yaml',
+  html: 'markup', htm: 'markup', xml: 'markup', svg: 'markup', vue: 'markup', svelte: 'markup',
+};
+
+const compiled = new Map();
+
+const compileLanguage = (language) => {
+  if (!compiled.has(language)) {
+    const rules = LANGUAGES[language];
+    const source = rules.map(([, re]) => `(${re})`).join('|');
+    compiled.set(language, { types: rules.map(([type]) => type), regex: new RegExp(source, 'gm') });
+  }
+  return compiled.get(language);
+};
+
+/**
+ * Picks a highlighter language from a file path's extension.
+ * @returns {string|null} Language id, or null if unsupported
+ */
+export const detectLanguage = (path) => {
+  if (!path) return null;
+  const filename = path.split('/').pop().toLowerCase();
+  const ext = filename.includes('.') ? filename.split('.').pop() : filename;
+  return EXTENSION_LANGUAGES[ext] || null;
+};
+
+/**
+ * Tokenizes a whole file and returns, for every line (0-based), an array of
+ * { start, end, type } ranges in line-local character offsets. Plain text is omitted.
+ * @returns {Array<Array<{start: number, end: number, type: string}>>|null} null when the file isn't highlighted
+ */
+export const highlightLines = (text, language) => {
+  if (!text || !language || !LANGUAGES[language] || text.length > MAX_HIGHLIGHT_CHARS) return null;
+
+  // Line start offsets for mapping absolute token positions back onto lines
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+  const lines = lineStarts.map(() => []);
+
+  const { types, regex } = compileLanguage(language);
+  regex.lastIndex = 0;
+  let line = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    let group = 1;
+    while (match[group] === undefined) group++;
+    const type = types[group - 1];
+
+    const start = match.index;
+    const end = start + match[0].length;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= start) line++;
+
+    // Slice tokens that span newlines into one range per line
+    let l = line;
+    let pos = start;
+    while (pos < end) {
+      const lineEnd = l + 1 < lineStarts.length ? lineStarts[l + 1] - 1 : text.length;
+      const sliceEnd = Math.min(end, lineEnd);
+      if (sliceEnd > pos) lines[l].push({ start: pos - lineStarts[l], end: sliceEnd - lineStarts[l], type });
+      pos = lineEnd + 1;
+      l++;
+    }
+  }
+  return lines;
+};
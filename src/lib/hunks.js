@@ -0,0 +1,181 @@
+import { myersDiff, internSequences } from './myers';
+import { makeCompareKey, DEFAULT_DIFF_OPTIONS } from './diff';
+import { isBinaryFile, getBinaryBytes } from './binary';
+import { toRepoPath } from './patch';
+
+// --- HUNK DECISIONS ---
+// Every change chunk of a diff (a run of removed and added lines, as chunkifyDiff groups them) can be
+// accepted (take the target lines) or rejected (keep the base lines). Per pair, decisions are
+// { [hunkKey]: 'accept' | 'reject' }. Keys come from the chunk's content, so a decision survives
+// reloads and option changes that leave its chunk alone. Pairs without line hunks (added, deleted,
+// binary, renamed without changes) take a single decision under FILE_DECISION.
+// Nothing is applied without a decision: undecided hunks, and differences the diff options hide,
+// keep the base text.
+
+export const FILE_DECISION = 'file';
+
+// FNV-1a, 32 bit: short keys for arbitrarily long hunks
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Keys for hunks given as { removed, added } line lists; a change repeated in one file gets an ordinal
+const keyHunks = (hunks) => {
+  const seen = new Map();
+  return hunks.map(({ removed, added }) => {
+    const hash = hashText(`${removed.join('\n')}\u0000${added.join('\n')}`);
+    const n = seen.get(hash) || 0;
+    seen.set(hash, n + 1);
+    return n ? `${hash}-${n}` : hash;
+  });
+};
+
+const isChangeChunk = (chunk) => chunk.type === 'added' || chunk.type === 'removed';
+
+/**
+ * Hunk keys of chunkifyDiff chunks, by chunk index; null for chunks that aren't changes.
+ */
+export const getChunkKeys = (chunks) => {
+  const keys = keyHunks(chunks.filter(isChangeChunk).map(chunk => ({
+    removed: chunk.lines.filter(line => line.type === 'removed').map(line => line.content),
+    added: chunk.lines.filter(line => line.type === 'added').map(line => line.content),
+  })));
+  let next = 0;
+  return chunks.map(chunk => (isChangeChunk(chunk) ? keys[next++] : null));
+};
+
+/**
+ * Splits two texts into runs of base lines that stay and hunks, grouped the way calculateDiff
+ * and chunkifyDiff group them (blank-line-only changes are no hunks when the options ignore them).
+ * @param {Function} [onLine] Called with each line's diff type ('equal', 'removed' or 'added')
+ * @returns {Array<{ same: string[] } | { removed: string[], added: string[] }>}
+ */
+const segmentTexts = (oldText, newText, options, onLine) => {
+  const oldLines = (oldText || '').split('\n');
+  const newLines = (newText || '').split('\n');
+  const [a, b] = internSequences(oldLines, newLines, makeCompareKey(options));
+  const segments = [];
+  let change = null;
+  const closeChange = () => {
+    if (!change) return;
+    if (options.ignoreBlankLines && [...change.removed, ...change.added].every(line => line.trim() === '')) segments.push({ same: change.removed });
+    else segments.push(change);
+    change = null;
+  };
+  myersDiff(a, b, (type, i, j) => {
+    onLine?.(type);
+    if (type === 'equal') {
+      closeChange();
+      segments.push({ same: [oldLines[i]] });
+      return;
+    }
+    if (!change) change = { removed: [], added: [] };
+    if (type === 'removed') change.removed.push(oldLines[i]);
+    else change.added.push(newLines[j]);
+  });
+  closeChange();
+  return segments;
+};
+
+/**
+ * Added/removed line counts and hunk keys of two texts from a single line diff, without building
+ * the full diff (no pairing or word segments). Used for sidebar rollups, where every pair needs
+ * numbers but nobody looks at the lines. `hunks` are in order, the same keys `getChunkKeys` gives
+ * their diff; the counts include blank-line changes the options hide.
+ * @returns {{ added: number, removed: number, hunks: string[] }}
+ */
+export const summarizeChanges = (oldText, newText, options = DEFAULT_DIFF_OPTIONS) => {
+  let added = 0;
+  let removed = 0;
+  const segments = segmentTexts(oldText, newText, options, (type) => {
+    if (type === 'added') added++;
+    else if (type === 'removed') removed++;
+  });
+  return { added, removed, hunks: keyHunks(segments.filter(seg => seg.added)) };
+};
+
+/**
+ * What a pair's decisions apply to: 'hunks', 'file', or null when there is nothing to decide
+ * (unchanged files, and pairs from a patch, which have no contents).
+ */
+export const getDecisionScope = (pair) => {
+  if (pair.patch) return null;
+  if (!pair.v1 || !pair.v2 || isBinaryFile(pair.v1) || isBinaryFile(pair.v2)) return pair.type === 'unchanged' && !pair.isRename ? null : 'file';
+  if (pair.type === 'unchanged') return pair.isRename ? 'file' : null;
+  return 'hunks';
+};
+
+/**
+ * Applies hunk decisions to a text pair: accepted hunks take the target lines, everything else keeps the base.
+ * @returns {{ content: string, accepted: number, undecided: number }}
+ */
+export const applyHunkDecisions = (oldText, newText, decisions = {}, options = DEFAULT_DIFF_OPTIONS) => {
+  const segments = segmentTexts(oldText, newText, options);
+  const keys = keyHunks(segments.filter(seg => seg.added));
+  let next = 0;
+  let accepted = 0;
+  let undecided = 0;
+  const lines = segments.flatMap(seg => {
+    if (seg.same) return seg.same;
+    const decision = decisions[keys[next++]];
+    if (!decision) undecided++;
+    if (decision !== 'accept') return seg.removed;
+    accepted++;
+    return seg.added;
+  });
+  return { content: lines.join('\n'), accepted, undecided };
+};
+
+/**
+ * The file a pair turns into under its decisions.
+ * @returns {{ path: string|null, content: string|null, file: Object|null, undecided: number }} `path` is null
+ *   when the file is left out; otherwise either `content` (text) or `file` (a binary entry) is set
+ */
+export const buildDecidedFile = (pair, decisions = {}, options = DEFAULT_DIFF_OPTIONS) => {
+  const basePath = pair.v1 ? toRepoPath(pair.v1.path) : null;
+  const fileOf = (file, path) => (isBinaryFile(file)
+    ? { path, content: null, file }
+    : { path, content: file.content, file: null });
+  const scope = getDecisionScope(pair);
+
+  if (scope === null) return { ...fileOf(pair.v1, pair.path), undecided: 0 };
+  if (scope === 'file') {
+    const decision = decisions[FILE_DECISION];
+    const undecided = decision ? 0 : 1;
+    if (decision === 'accept') return pair.v2 ? { ...fileOf(pair.v2, pair.path), undecided } : { path: null, content: null, file: null, undecided };
+    // A rejected rename keeps the base path
+    return pair.v1 ? { ...fileOf(pair.v1, basePath), undecided } : { path: null, content: null, file: null, undecided };
+  }
+  const { content, accepted, undecided } = applyHunkDecisions(pair.v1.content, pair.v2.content, decisions, options);
+  // A renamed file moves once any of its changes is taken
+  return { path: accepted > 0 ? pair.path : basePath, content, file: null, undecided };
+};
+
+/**
+ * Files of the decided tree for download.
+ * @param {Object} decisionsByPair pair id -> decisions
+ * @returns {{ entries: Array<{ path, data: string|Uint8Array }>, undecided: number, skipped: Array<string> }}
+ *   `skipped` lists binary files whose bytes were not kept when the folder was read
+ */
+export const buildDecidedTree = (pairs, decisionsByPair = {}, options = DEFAULT_DIFF_OPTIONS) => {
+  const entries = [];
+  const skipped = [];
+  let undecided = 0;
+  pairs.forEach(pair => {
+    const result = buildDecidedFile(pair, decisionsByPair[pair.id], options);
+    undecided += result.undecided;
+    if (result.path === null) return;
+    if (result.content !== null) entries.push({ path: result.path, data: result.content });
+    else {
+      const bytes = getBinaryBytes(result.file);
+      if (bytes) entries.push({ path: result.path, data: bytes });
+      else skipped.push(result.path);
+    }
+  });
+  return { entries, undecided, skipped };
+};
@@ -0,0 +1,217 @@
+import { toRepoPath } from './patch';
+
+// --- IGNORE RULES (gitignore semantics) ---
+
+export const IGNORE_FILE_NAMES = ['.gitignore', '.ignore'];
+
+// Bare extensions from the old suffix-matching policy ("png" meant "*.png")
+const LEGACY_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'svg', 'ico', 'pdf', 'zip', 'tar', 'gz',
+  'exe', 'dll', 'so', 'dylib', 'bin', 'woff', 'woff2', 'ttf', 'eot',
+]);
+
+/**
+ * Rewrites patterns saved by the old suffix-matching policy into gitignore globs.
+ */
+export const upgradeLegacyPatterns = (patterns) => patterns.map(p => (LEGACY_EXTENSIONS.has(p) ? `*.${p}` : p));
+
+const escapeRegex = (c) => c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Translates a gitignore glob body (no "!", no trailing "/") into a regex source.
+ * "**" spans directories, "*" and "?" stay inside one path segment, [...] is a character class.
+ */
+const globToRegex = (glob) => {
+  let out = '';
+  let i = 0;
+  while (i < glob.length) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      if (atStart && glob[i + 2] === '/') {
+        out += '(?:.*/)?';
+        i += 3;
+        continue;
+      }
+      if (atStart && atEnd) {
+        out += '.*';
+        i += 2;
+        continue;
+      }
+      // "a**b" is just two stars inside a segment
+      out += '[^/]*';
+      i += 2;
+    } else if (c === '*') {
+      out += '[^/]*';
+      i++;
+    } else if (c === '?') {
+      out += '[^/]';
+      i++;
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        out += '\\[';
+        i++;
+        continue;
+      }
+      let body = glob.slice(i + 1, close);
+      if (body[0] === '!') body = `^${body.slice(1)}`;
+      out += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = close + 1;
+    } else if (c === '\\' && i + 1 < glob.length) {
+      out += escapeRegex(glob[i + 1]);
+      i += 2;
+    } else {
+      out += escapeRegex(c);
+      i++;
+    }
+  }
+  return out;
+};
+
+/**
+ * Compiles one gitignore line. Returns null for blank lines and comments.
+ * Ignore files match case-sensitively, as git does. Workspace policy patterns stay case-insensitive,
+ * as the policy always was, so "*.png" also drops "LOGO.PNG".
+ * @param {string} line Raw pattern text
+ * @param {{ base?: string, source?: string, lineNo?: number }} origin `base` is the
+ *   repository-relative directory the pattern applies to ('' for the whole tree)
+ */
+export const compileIgnoreRule = (line, { base = '', source = 'policy', lineNo = null } = {}) => {
+  // Trailing spaces are dropped unless escaped
+  const text = line.replace(/(?<!\\)\s+$/, '');
+  if (!text || text.startsWith('#')) return null;
+
+  let body = text;
+  let negate = false;
+  if (body.startsWith('!')) {
+    negate = true;
+    body = body.slice(1);
+  } else if (body.startsWith('\\!') || body.startsWith('\\#')) {
+    body = body.slice(1);
+  }
+
+  let dirOnly = false;
+  if (body.endsWith('/')) {
+    dirOnly = true;
+    body = body.replace(/\/+$/, '');
+  }
+  if (!body) return null;
+
+  // A slash anywhere but the end anchors the pattern to `base`; otherwise it matches at any depth
+  const anchored = body.includes('/');
+  body = body.replace(/^\//, '');
+  let regex;
+  try {
+    regex = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globToRegex(body)}$`, source === 'policy' ? 'i' : '');
+  } catch {
+    // Like git, a malformed pattern (e.g. a reversed range "[z-a]") simply never matches
+    return null;
+  }
+
+  return {
+    id: source === 'policy' ? `policy:${text}` : `${source}:${lineNo}`,
+    pattern: text,
+    negate,
+    dirOnly,
+    base,
+    source,
+    lineNo,
+    regex,
+  };
+};
+
+/**
+ * Compiles the lines of a .gitignore/.ignore file found at `path` (repository-relative).
+ */
+export const parseIgnoreFile = (text, path) => {
+  const slash = path.lastIndexOf('/');
+  const base = slash === -1 ? '' : path.slice(0, slash);
+  return text.split(/\r?\n/)
+    .map((line, idx) => compileIgnoreRule(line, { base, source: path, lineNo: idx + 1 }))
+    .filter(Boolean);
+};
+
+const depthOf = (path) => path.split('/').length;
+
+/**
+ * Orders all rules for last-match-wins evaluation, lowest precedence first, as git does:
+ * the workspace policy (like core.excludesFile), then ignore files from the root down,
+ * with .ignore overriding .gitignore in the same directory.
+ * @param {string[]} policyPatterns
+ * @param {Array<{ path: string, text: string }>} ignoreFiles Repository-relative paths
+ */
+export const buildIgnoreRules = (policyPatterns, ignoreFiles = []) => {
+  const policy = policyPatterns.map(p => compileIgnoreRule(p)).filter(Boolean);
+  const sorted = [...ignoreFiles].sort((a, b) => depthOf(a.path) - depthOf(b.path)
+    || IGNORE_FILE_NAMES.indexOf(a.path.split('/').pop()) - IGNORE_FILE_NAMES.indexOf(b.path.split('/').pop()));
+  return [...policy, ...sorted.flatMap(f => parseIgnoreFile(f.text, f.path))];
+};
+
+const lastMatch = (rules, path, isDir) => {
+  let found = null;
+  rules.forEach(rule => {
+    if (rule.dirOnly && !isDir) return;
+    let relative = path;
+    if (rule.base) {
+      if (!path.startsWith(`${rule.base}/`)) return;
+      relative = path.slice(rule.base.length + 1);
+    }
+    if (rule.regex.test(relative)) found = rule;
+  });
+  return found;
+};
+
+/**
+ * Builds a matcher over repository-relative paths. The matcher returns the rule that decides
+ * the path (a negated rule means it was explicitly re-included), or null when no rule matches.
+ * As in git, a file inside an excluded directory cannot be re-included.
+ * @returns {(path: string) => Object|null}
+ */
+export const createIgnoreMatcher = (rules) => {
+  const dirCache = new Map();
+  const excludedDir = (dir) => {
+    if (!dirCache.has(dir)) {
+      const slash = dir.lastIndexOf('/');
+      const parent = slash === -1 ? null : excludedDir(dir.slice(0, slash));
+      const rule = parent || lastMatch(rules, dir, true);
+      dirCache.set(dir, rule && !rule.negate ? rule : null);
+    }
+    return dirCache.get(dir);
+  };
+
+  return (path) => {
+    const slash = path.lastIndexOf('/');
+    const parentRule = slash === -1 ? null : excludedDir(path.slice(0, slash));
+    return parentRule || lastMatch(rules, path, false);
+  };
+};
+
+export const isExcludedBy = (rule) => !!rule && !rule.negate;
+
+/**
+ * Human-readable origin of a rule: "Workspace Policy" or "src/.gitignore:3".
+ */
+export const describeRuleSource = (rule) => (rule.source === 'policy' ? 'Workspace Policy' : `${rule.source}:${rule.lineNo}`);
+
+/**
+ * Reads the .gitignore/.ignore files of a picked directory, top-down, skipping files that
+ * sit inside directories already excluded by the policy or a higher ignore file.
+ * @param {Array<{ path: string, file: File }>} entries Paths as given by the directory picker
+ * @returns {Promise<Array<{ path: string, text: string }>>} Repository-relative paths
+ */
+export const loadIgnoreFiles = async (entries, policyPatterns) => {
+  const candidates = entries
+    .map(entry => ({ ...entry, path: toRepoPath(entry.path) }))
+    .filter(entry => IGNORE_FILE_NAMES.includes(entry.path.split('/').pop()))
+    .sort((a, b) => depthOf(a.path) - depthOf(b.path));
+
+  const loaded = [];
+  for (const entry of candidates) {
+    const matcher = createIgnoreMatcher(buildIgnoreRules(policyPatterns, loaded));
+    if (isExcludedBy(matcher(entry.path))) continue;
+    loaded.push({ path: entry.path, text: await entry.file.text() });
+  }
+  return loaded;
+};
@@ -0,0 +1,172 @@
+// --- INFLATE (zlib, RFC 1950 / 1951) ---
+// Git stores every object zlib-compressed. Browsers only offer DecompressionStream, which is
+// async per stream and rejects trailing bytes, so objects are inflated here synchronously.
+// Huffman decoding follows zlib's "puff" reference decoder: canonical codes, one bit at a time.
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order in which a dynamic block lists its code length code lengths
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const MAX_BITS = 15;
+
+/**
+ * A canonical Huffman code from its code lengths: how many codes each length has, and the
+ * symbols in code order.
+ */
+const buildHuffman = (lengths) => {
+  const counts = new Uint16Array(MAX_BITS + 1);
+  lengths.forEach(len => { counts[len]++; });
+  counts[0] = 0;
+  const offsets = new Uint16Array(MAX_BITS + 1);
+  for (let len = 1; len < MAX_BITS; len++) offsets[len + 1] = offsets[len] + counts[len];
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((len, symbol) => {
+    if (len) symbols[offsets[len]++] = symbol;
+  });
+  return { counts, symbols };
+};
+
+let fixedTables = null;
+const getFixedTables = () => {
+  if (!fixedTables) {
+    const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+    fixedTables = { lit: buildHuffman(lengths), dist: buildHuffman(new Array(30).fill(5)) };
+  }
+  return fixedTables;
+};
+
+/**
+ * Inflates a zlib stream. Bytes after the end of the stream are ignored.
+ * @param {Uint8Array} input
+ * @param {number} [sizeHint] Expected output size, when known, to avoid regrowing the buffer
+ * @returns {Uint8Array}
+ * @throws {Error} When the data isn't a valid zlib stream
+ */
+export const inflate = (input, sizeHint = 0) => {
+  if (input.length < 2 || (input[0] & 0x0f) !== 8 || ((input[0] << 8) | input[1]) % 31 !== 0) throw new Error('Not a zlib stream');
+  if (input[1] & 0x20) throw new Error('Preset zlib dictionaries are not supported');
+
+  let pos = 2;
+  let bitBuf = 0;
+  let bitCount = 0;
+  let out = new Uint8Array(Math.max(sizeHint, 1024));
+  let outLen = 0;
+
+  const need = (extra) => {
+    if (outLen + extra <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, outLen + extra));
+    grown.set(out.subarray(0, outLen));
+    out = grown;
+  };
+
+  const bits = (n) => {
+    while (bitCount < n) {
+      if (pos >= input.length) throw new Error('Unexpected end of compressed data');
+      bitBuf |= input[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCount -= n;
+    return value;
+  };
+
+  const decode = (table) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len <= MAX_BITS; len++) {
+      code |= bits(1);
+      const count = table.counts[len];
+      if (code - count < first) return table.symbols[index + (code - first)];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid Huffman code');
+  };
+
+  const storedBlock = () => {
+    // Stored blocks start on a byte boundary; fewer than 8 buffered bits are left over at this point
+    bitBuf = 0;
+    bitCount = 0;
+    if (pos + 4 > input.length) throw new Error('Unexpected end of compressed data');
+    const len = input[pos] | (input[pos + 1] << 8);
+    const nlen = input[pos + 2] | (input[pos + 3] << 8);
+    if (len !== (~nlen & 0xffff)) throw new Error('Invalid stored block length');
+    pos += 4;
+    if (pos + len > input.length) throw new Error('Unexpected end of compressed data');
+    need(len);
+    out.set(input.subarray(pos, pos + len), outLen);
+    outLen += len;
+    pos += len;
+  };
+
+  const dynamicTables = () => {
+    const litCount = bits(5) + 257;
+    const distCount = bits(5) + 1;
+    const codeCount = bits(4) + 4;
+    const codeLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeCount; i++) codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+    const codeTable = buildHuffman(codeLengths);
+
+    const lengths = [];
+    while (lengths.length < litCount + distCount) {
+      const symbol = decode(codeTable);
+      if (symbol < 16) {
+        lengths.push(symbol);
+        continue;
+      }
+      let repeat;
+      let value = 0;
+      if (symbol === 16) {
+        if (lengths.length === 0) throw new Error('Repeated code length without a previous length');
+        value = lengths[lengths.length - 1];
+        repeat = 3 + bits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + bits(3);
+      } else {
+        repeat = 11 + bits(7);
+      }
+      if (lengths.length + repeat > litCount + distCount) throw new Error('Too many code lengths');
+      for (let i = 0; i < repeat; i++) lengths.push(value);
+    }
+    return { lit: buildHuffman(lengths.slice(0, litCount)), dist: buildHuffman(lengths.slice(litCount)) };
+  };
+
+  const codesBlock = ({ lit, dist }) => {
+    for (;;) {
+      const symbol = decode(lit);
+      if (symbol < 256) {
+        need(1);
+        out[outLen++] = symbol;
+      } else if (symbol === 256) {
+        return;
+      } else {
+        const lengthIdx = symbol - 257;
+        if (lengthIdx >= LENGTH_BASE.length) throw new Error('Invalid length code');
+        const length = LENGTH_BASE[lengthIdx] + bits(LENGTH_EXTRA[lengthIdx]);
+        const distIdx = decode(dist);
+        if (distIdx >= DIST_BASE.length) throw new Error('Invalid distance code');
+        const distance = DIST_BASE[distIdx] + bits(DIST_EXTRA[distIdx]);
+        if (distance > outLen) throw new Error('Distance too far back');
+        need(length);
+        // Byte by byte: the copy may overlap the bytes it produces
+        for (let i = 0; i < length; i++, outLen++) out[outLen] = out[outLen - distance];
+      }
+    }
+  };
+
+  let isFinal = false;
+  while (!isFinal) {
+    isFinal = bits(1) === 1;
+    const type = bits(2);
+    if (type === 0) storedBlock();
+    else if (type === 1) codesBlock(getFixedTables());
+    else if (type === 2) codesBlock(dynamicTables());
+    else throw new Error('Invalid block type');
+  }
+  return out.subarray(0, outLen);
+};
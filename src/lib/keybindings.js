@@ -0,0 +1,98 @@
+// --- KEYBOARD SHORTCUTS ---
+// A combo is a string such as 'j', 'Mod+k', 'Alt+ArrowDown' or 'Shift+F3'. 'Mod' is Cmd on macOS and Ctrl
+// elsewhere. Printable keys are stored as typed (so 'E' is Shift+e and '?' needs no Shift); Shift is only
+// spelled out for named keys and alongside Mod/Alt.
+
+export const COMMANDS = [
+  { id: 'palette.open', label: 'Open Command Palette', group: 'General', keys: ['Mod+k'] },
+  { id: 'help.open', label: 'Show Keyboard Shortcuts', group: 'General', keys: ['?'] },
+  { id: 'settings.open', label: 'Open Workspace Policy', group: 'General', keys: ['Mod+,'] },
+  { id: 'diffOptions.open', label: 'Open Diff Options', group: 'General', keys: ['Mod+.'] },
+  { id: 'sidebar.toggle', label: 'Toggle Sidebar', group: 'General', keys: ['Mod+b'] },
+  { id: 'search.focus', label: 'Search File Contents', group: 'General', keys: ['/'] },
+  { id: 'file.next', label: 'Next File', group: 'Files', keys: [']', 'Alt+ArrowDown'] },
+  { id: 'file.prev', label: 'Previous File', group: 'Files', keys: ['[', 'Alt+ArrowUp'] },
+  { id: 'hunk.next', label: 'Next Change', group: 'Diff', keys: ['j', 'n'] },
+  { id: 'hunk.prev', label: 'Previous Change', group: 'Diff', keys: ['k', 'p'] },
+  { id: 'match.next', label: 'Next Search Match', group: 'Diff', keys: ['F3'] },
+  { id: 'match.prev', label: 'Previous Search Match', group: 'Diff', keys: ['Shift+F3'] },
+  { id: 'folds.expand', label: 'Expand All Unchanged Lines', group: 'Diff', keys: ['e'] },
+  { id: 'folds.collapse', label: 'Collapse All Unchanged Lines', group: 'Diff', keys: ['E'] },
+  { id: 'view.toggleSplit', label: 'Toggle Unified / Split View', group: 'Diff', keys: ['s'] },
+  { id: 'view.toggleWhitespace', label: 'Show / Hide Whitespace', group: 'Diff', keys: ['w'] },
+  { id: 'filter.toggleChanged', label: 'Toggle Changed Files Only', group: 'Files', keys: [] },
+  { id: 'report.exportHtml', label: 'Export HTML Report', group: 'Export', keys: [] },
+  { id: 'patch.exportAll', label: 'Export All as .patch', group: 'Export', keys: [] },
+  { id: 'review.exportMarkdown', label: 'Export Review Notes (Markdown)', group: 'Export', keys: [] },
+  { id: 'merge.downloadTree', label: 'Download Merged Tree', group: 'Export', keys: [] },
+  { id: 'decisions.downloadTree', label: 'Download Result Tree (Accepted Hunks)', group: 'Export', keys: [] },
+];
+
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+
+const MODIFIER_KEYS = new Set(['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock']);
+
+/**
+ * The combo for a keydown event, or null for a bare modifier press.
+ */
+export const eventToCombo = (e) => {
+  if (MODIFIER_KEYS.has(e.key)) return null;
+  const parts = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+  if (e.altKey) parts.push('Alt');
+  const isPrintable = e.key.length === 1;
+  const hasModifier = parts.length > 0;
+  if (e.shiftKey && (!isPrintable || hasModifier)) parts.push('Shift');
+  let key = e.key === ' ' ? 'Space' : e.key;
+  // With Mod or Alt held, use the physical letter: the character may be shifted, or replaced (Alt on macOS)
+  if (isPrintable && hasModifier) key = /^Key[A-Z]$/.test(e.code) ? e.code.slice(3).toLowerCase() : key.toLowerCase();
+  parts.push(key);
+  return parts.join('+');
+};
+
+const MODIFIER_LABELS = { Mod: ['Ctrl', '⌘'], Alt: ['Alt', '⌥'], Shift: ['Shift', '⇧'] };
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+};
+
+/**
+ * Human-readable combo, e.g. 'Mod+k' → '⌘K' on macOS and 'Ctrl+K' elsewhere.
+ */
+export const formatCombo = (combo) => {
+  const parts = combo.split('+');
+  // A '+' key leaves an empty last part
+  const key = parts.pop() || '+';
+  const mods = parts.filter(Boolean);
+  // A typed capital letter means Shift was held
+  if (/^[A-Z]$/.test(key)) mods.push('Shift');
+  const labels = mods.map(mod => MODIFIER_LABELS[mod][IS_MAC ? 1 : 0]);
+  const keyLabel = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+  return IS_MAC ? `${labels.join('')}${keyLabel}` : [...labels, keyLabel].join('+');
+};
+
+/**
+ * Effective bindings: the defaults with the user's saved overrides applied.
+ * @param {Object<string, Array<string>>} overrides Command id → combos (an empty array unbinds)
+ * @returns {Map<string, Array<string>>}
+ */
+export const resolveBindings = (overrides = {}) => new Map(COMMANDS.map(cmd => [cmd.id, Array.isArray(overrides[cmd.id]) ? overrides[cmd.id] : cmd.keys]));
+
+/**
+ * The command bound to a combo, or null.
+ */
+export const findCommand = (bindings, combo) => {
+  for (const [id, combos] of bindings) {
+    if (combos.includes(combo)) return id;
+  }
+  return null;
+};
+
+// Typing in a field must not trigger single-key shortcuts
+export const isEditableTarget = (target) => !!target && (
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+);
@@ -0,0 +1,208 @@
+import { toRepoPath } from './patch';
+import { isBinaryFile } from './binary';
+
+// --- FILE MATCHING & RENAME DETECTION ---
+
+// Minimum content similarity (0-100) for two differently named files to count as a rename, like git's -M50%
+export const DEFAULT_RENAME_THRESHOLD = 50;
+
+// Lines that occur in more files than this ("}", "import React ...") say little about identity and don't shortlist candidates
+const COMMON_LINE_FILE_LIMIT = 50;
+
+// Weight of content vs. path closeness when ranking rename candidates
+const CONTENT_WEIGHT = 0.8;
+const PATH_WEIGHT = 0.2;
+
+export const getFileSlug = (path) => {
+  const segments = path.split('/');
+  const filename = segments[segments.length - 1];
+  return filename
+    .toLowerCase()
+    .replace(/[._-]v?\d+(\.\d+)*/g, '')
+    .replace(/[._-](legacy|modern|old|new|final|latest)/g, '')
+    .replace(/\.[^/.]+$/, "")
+    .trim();
+};
+
+/**
+ * Stable identity for a pair, unique even when several files share a slug.
+ */
+export const getPairId = (pair) => `${pair.v1?.path ?? ''}→${pair.v2?.path ?? ''}`;
+
+/**
+ * Line multiset of a file with each line weighted by its byte length, so
+ * similarity roughly tracks how much of the file is shared (git uses bytes too).
+ */
+const buildSignature = (content) => {
+  const counts = new Map();
+  let size = 0;
+  (content || '').split('\n').forEach(raw => {
+    const line = raw.trim();
+    if (!line) return;
+    counts.set(line, (counts.get(line) || 0) + 1);
+    size += line.length + 1;
+  });
+  return { counts, size };
+};
+
+/**
+ * Similarity of two signatures as a percentage: shared bytes over the larger file.
+ */
+const signatureSimilarity = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 100;
+  const [smaller, larger] = a.counts.size <= b.counts.size ? [a, b] : [b, a];
+  let common = 0;
+  smaller.counts.forEach((count, line) => {
+    const other = larger.counts.get(line);
+    if (other) common += Math.min(count, other) * (line.length + 1);
+  });
+  return Math.round((common / Math.max(a.size, b.size)) * 100);
+};
+
+/**
+ * Content similarity of two texts as a percentage, git style: shared bytes over the larger file.
+ */
+export const contentSimilarity = (oldContent, newContent) => signatureSimilarity(buildSignature(oldContent), buildSignature(newContent));
+
+const binarySimilarity = (a, b) => (a.binary?.hash && a.binary.hash === b.binary?.hash ? 100 : 0);
+
+const fileSimilarity = (a, b) => (isBinaryFile(a) || isBinaryFile(b) ? binarySimilarity(a, b) : contentSimilarity(a.content, b.content));
+
+/**
+ * How close two paths are, 0..1: same file name (or, with `useSlugs`, the same slug) and shared
+ * leading directories score higher.
+ */
+const pathCloseness = (oldPath, newPath, useSlugs) => {
+  const a = toRepoPath(oldPath).split('/');
+  const b = toRepoPath(newPath).split('/');
+  const sameSlug = useSlugs && getFileSlug(oldPath) === getFileSlug(newPath);
+  const nameScore = a[a.length - 1] === b[b.length - 1] ? 1 : sameSlug ? 0.7 : 0;
+  const dirsA = a.slice(0, -1);
+  const dirsB = b.slice(0, -1);
+  let shared = 0;
+  while (shared < dirsA.length && shared < dirsB.length && dirsA[shared] === dirsB[shared]) shared++;
+  const dirScore = Math.max(dirsA.length, dirsB.length) === 0 ? 1 : shared / Math.max(dirsA.length, dirsB.length);
+  return (nameScore + dirScore) / 2;
+};
+
+// Identity of a file's exact contents; empty files have none, as in git they say nothing about a rename
+const contentKey = (file) => {
+  if (isBinaryFile(file)) return file.binary?.hash ? `binary:${file.binary.hash}` : null;
+  return file.content ? `text:${file.content}` : null;
+};
+
+/**
+ * Pairs base and target files one-to-one.
+ * 1. Files at the same repository-relative path are paired directly.
+ * 2. Files with exactly the same contents are paired next, closest paths first (git's exact renames).
+ *    Binary files only ever pair this way.
+ * 3. For the remaining text files, lines shared with few other files shortlist the candidates, which
+ *    are then scored on their whole contents. Those whose similarity reaches `renameThreshold` are
+ *    ranked by that similarity plus path closeness and paired greedily. A shared slug (the fuzzy
+ *    "same file, new version" identity) only adds to path closeness, so it breaks ties between
+ *    candidates but never pairs files that are too different.
+ * 4. Whatever is left becomes an add or a delete. No file is ever dropped.
+ * With `useSlugs: false` (trees read from git, where paths are exact) slugs aren't considered,
+ * as in git's own rename detection.
+ * @param {{ useSlugs?: boolean }} [options]
+ * @returns {Array<{ v1, v2, slug, similarity: number|null, isRename: boolean }>}
+ */
+export const matchFiles = (v1Files, v2Files, renameThreshold = DEFAULT_RENAME_THRESHOLD, { useSlugs = true } = {}) => {
+  const pairs = [];
+  const byPath = new Map(v2Files.map(f => [toRepoPath(f.path), f]));
+  const unmatchedOld = [];
+
+  v1Files.forEach(f => {
+    const match = byPath.get(toRepoPath(f.path));
+    if (match) {
+      byPath.delete(toRepoPath(f.path));
+      pairs.push({ v1: f, v2: match, isRename: false });
+    } else {
+      unmatchedOld.push(f);
+    }
+  });
+  const unmatchedNew = Array.from(byPath.values());
+
+  const usedOld = new Set();
+  const usedNew = new Set();
+  // Greedy one-to-one assignment, best score first
+  const assign = (candidates) => {
+    candidates.sort((a, b) => b.score - a.score);
+    candidates.forEach(({ i, j, similarity }) => {
+      if (usedOld.has(i) || usedNew.has(j)) return;
+      usedOld.add(i);
+      usedNew.add(j);
+      pairs.push({ v1: unmatchedOld[i], v2: unmatchedNew[j], similarity, isRename: true });
+    });
+  };
+
+  const newByContent = new Map();
+  unmatchedNew.forEach((f, j) => {
+    const key = contentKey(f);
+    if (!key) return;
+    if (!newByContent.has(key)) newByContent.set(key, []);
+    newByContent.get(key).push(j);
+  });
+  const exact = [];
+  unmatchedOld.forEach((f, i) => {
+    const key = contentKey(f);
+    ((key && newByContent.get(key)) || []).forEach(j => {
+      exact.push({ i, j, similarity: 100, score: pathCloseness(f.path, unmatchedNew[j].path, useSlugs) });
+    });
+  });
+  assign(exact);
+
+  // Inverted index over the rest of the target side: line -> [[fileIndex, count]]
+  const newSignatures = unmatchedNew.map((f, j) => (usedNew.has(j) || isBinaryFile(f) ? null : buildSignature(f.content)));
+  const postings = new Map();
+  newSignatures.forEach((sig, j) => {
+    sig?.counts.forEach((count, line) => {
+      if (!postings.has(line)) postings.set(line, []);
+      postings.get(line).push(j);
+    });
+  });
+
+  const newBySlug = new Map();
+  unmatchedNew.forEach((f, j) => {
+    if (!newSignatures[j]) return;
+    const slug = getFileSlug(f.path);
+    if (!newBySlug.has(slug)) newBySlug.set(slug, []);
+    newBySlug.get(slug).push(j);
+  });
+
+  const candidates = [];
+  unmatchedOld.forEach((f, i) => {
+    if (usedOld.has(i) || isBinaryFile(f)) return;
+    const sig = buildSignature(f.content);
+    const shortlist = new Set((useSlugs && newBySlug.get(getFileSlug(f.path))) || []);
+    sig.counts.forEach((count, line) => {
+      const list = postings.get(line);
+      if (list && list.length <= COMMON_LINE_FILE_LIMIT) list.forEach(j => shortlist.add(j));
+    });
+
+    shortlist.forEach(j => {
+      const other = newSignatures[j];
+      // Files too different in size can't reach the threshold, whatever they share
+      const larger = Math.max(sig.size, other.size);
+      if (larger > 0 && (Math.min(sig.size, other.size) / larger) * 100 < renameThreshold) return;
+      const similarity = signatureSimilarity(sig, other);
+      if (similarity < renameThreshold) return;
+      const score = CONTENT_WEIGHT * (similarity / 100) + PATH_WEIGHT * pathCloseness(f.path, unmatchedNew[j].path, useSlugs);
+      candidates.push({ i, j, similarity, score });
+    });
+  });
+  assign(candidates);
+
+  unmatchedOld.forEach((f, i) => {
+    if (!usedOld.has(i)) pairs.push({ v1: f, v2: null, isRename: false });
+  });
+  unmatchedNew.forEach((f, j) => {
+    if (!usedNew.has(j)) pairs.push({ v1: null, v2: f, isRename: false });
+  });
+
+  return pairs.map(pair => ({
+    ...pair,
+    slug: getFileSlug((pair.v2 || pair.v1).path),
+    similarity: pair.v1 && pair.v2 ? (pair.similarity ?? fileSimilarity(pair.v1, pair.v2)) : null,
+  }));
+};
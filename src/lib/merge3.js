@@ -0,0 +1,209 @@
+import { myersDiff, internSequences } from './myers';
+import { isBinaryFile, getBinaryBytes } from './binary';
+
+// --- THREE-WAY MERGE ---
+// "Ours" is the Base folder (e.g. our patched fork), "theirs" the Target folder (e.g. the vendor's update),
+// both compared against the common Ancestor.
+
+const splitLines = (text) => (text ? text.split('\n') : []);
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Changed regions of `side` against `ancestor`, in line indices: { oStart, oEnd, xStart, xEnd } (end exclusive).
+ */
+const changeHunks = (ancestor, side) => {
+  const [a, b] = internSequences(ancestor, side);
+  const hunks = [];
+  let current = null;
+  let o = 0;
+  let x = 0;
+  myersDiff(a, b, (type, i, j) => {
+    if (type === 'equal') {
+      if (current) hunks.push(current);
+      current = null;
+      o = i + 1;
+      x = j + 1;
+      return;
+    }
+    if (!current) current = { oStart: o, oEnd: o, xStart: x, xEnd: x };
+    if (type === 'removed') {
+      o = i + 1;
+      current.oEnd = o;
+    } else {
+      x = j + 1;
+      current.xEnd = x;
+    }
+  });
+  if (current) hunks.push(current);
+  return hunks;
+};
+
+/**
+ * diff3-style merge of two texts that share an ancestor.
+ * Changes from each side are located against the ancestor; hunks that overlap (or touch) are grouped.
+ * A group changed by one side, or changed identically by both, merges cleanly; otherwise it is a conflict.
+ * @returns {{ regions: Array<Object>, conflictCount: number }} Regions in order:
+ *   { type: 'stable' | 'ours' | 'theirs' | 'both', lines } or { type: 'conflict', id, ancestor, ours, theirs }
+ */
+export const mergeThreeWay = (ancestorText, oursText, theirsText) => {
+  const ancestor = splitLines(ancestorText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+
+  const hunks = [
+    ...changeHunks(ancestor, ours).map(h => ({ ...h, side: 'ours' })),
+    ...changeHunks(ancestor, theirs).map(h => ({ ...h, side: 'theirs' })),
+  ].sort((a, b) => a.oStart - b.oStart || a.oEnd - b.oEnd);
+
+  const regions = [];
+  let conflictCount = 0;
+  let oPos = 0;
+  let k = 0;
+
+  // A side's lines for the ancestor range [oLo, oHi), or null when it made no change there
+  const sideLines = (group, side, lines, oLo, oHi) => {
+    const own = group.filter(h => h.side === side);
+    if (own.length === 0) return null;
+    const first = own[0];
+    const last = own[own.length - 1];
+    return lines.slice(first.xStart - (first.oStart - oLo), last.xEnd + (oHi - last.oEnd));
+  };
+
+  while (k < hunks.length) {
+    const group = [hunks[k]];
+    let oLo = hunks[k].oStart;
+    let oHi = hunks[k].oEnd;
+    k++;
+    while (k < hunks.length && hunks[k].oStart <= oHi) {
+      oHi = Math.max(oHi, hunks[k].oEnd);
+      group.push(hunks[k]);
+      k++;
+    }
+    oLo = Math.min(...group.map(h => h.oStart));
+
+    if (oLo > oPos) regions.push({ type: 'stable', lines: ancestor.slice(oPos, oLo) });
+    const oursLines = sideLines(group, 'ours', ours, oLo, oHi);
+    const theirsLines = sideLines(group, 'theirs', theirs, oLo, oHi);
+    if (!theirsLines) regions.push({ type: 'ours', lines: oursLines });
+    else if (!oursLines) regions.push({ type: 'theirs', lines: theirsLines });
+    else if (sameLines(oursLines, theirsLines)) regions.push({ type: 'both', lines: oursLines });
+    else {
+      regions.push({ type: 'conflict', id: `c${conflictCount}`, ancestor: ancestor.slice(oLo, oHi), ours: oursLines, theirs: theirsLines });
+      conflictCount++;
+    }
+    oPos = oHi;
+  }
+  if (oPos < ancestor.length) regions.push({ type: 'stable', lines: ancestor.slice(oPos) });
+
+  return { regions, conflictCount };
+};
+
+/**
+ * Merges one matched pair (with its `ancestor` file, if any) at file level.
+ * @returns {Object} One of
+ *   { kind: 'text', regions, conflictCount }
+ *   { kind: 'deleted' }                                    deleted on one side, untouched on the other
+ *   { kind: 'deleteConflict', side, conflictCount: 1 }      modified on `side`, deleted on the other
+ *   { kind: 'binary', file, conflictCount: 0 | 1 }          `file` is the clean result, null on conflict
+ */
+export const mergePair = (pair) => {
+  const { v1: ours, v2: theirs, ancestor } = pair;
+
+  if (!ours || !theirs) {
+    const present = ours || theirs;
+    const side = ours ? 'ours' : 'theirs';
+    if (!ancestor) return isBinaryFile(present) ? { kind: 'binary', file: present, conflictCount: 0 } : { kind: 'text', regions: [{ type: side, lines: splitLines(present.content) }], conflictCount: 0 };
+    const unchanged = isBinaryFile(present) ? present.binary.hash === ancestor.binary?.hash : present.content === ancestor.content;
+    return unchanged ? { kind: 'deleted' } : { kind: 'deleteConflict', side, conflictCount: 1 };
+  }
+
+  if (isBinaryFile(ours) || isBinaryFile(theirs) || isBinaryFile(ancestor)) {
+    const key = (f) => (f ? (f.binary ? f.binary.hash : f.content) : null);
+    if (key(ours) === key(theirs)) return { kind: 'binary', file: theirs, conflictCount: 0 };
+    if (ancestor && key(ours) === key(ancestor)) return { kind: 'binary', file: theirs, conflictCount: 0 };
+    if (ancestor && key(theirs) === key(ancestor)) return { kind: 'binary', file: ours, conflictCount: 0 };
+    return { kind: 'binary', file: null, conflictCount: 1 };
+  }
+
+  return { kind: 'text', ...mergeThreeWay(ancestor?.content ?? '', ours.content, theirs.content) };
+};
+
+/**
+ * Lines chosen for a conflict. Resolutions are { choice: 'ours' | 'theirs' | 'both' | 'edit', text? }.
+ */
+export const resolveConflict = (conflict, resolution) => {
+  if (resolution.choice === 'ours') return conflict.ours;
+  if (resolution.choice === 'theirs') return conflict.theirs;
+  if (resolution.choice === 'both') return [...conflict.ours, ...conflict.theirs];
+  return splitLines(resolution.text ?? '');
+};
+
+const conflictMarkers = (conflict) => [
+  '<<<<<<< ours',
+  ...conflict.ours,
+  '||||||| ancestor',
+  ...conflict.ancestor,
+  '=======',
+  ...conflict.theirs,
+  '>>>>>>> theirs',
+];
+
+/**
+ * Final content of a merged file under the given resolutions (conflict id -> resolution; the
+ * file-level conflicts use the id 'file'). Unresolved text conflicts keep diff3-style markers.
+ * @returns {{ content: string|null, file: Object|null, unresolved: number }} `content` is null when
+ *   the file is deleted or binary; `file` holds the chosen binary file
+ */
+export const buildMergedFile = (pair, merge, resolutions = {}) => {
+  if (merge.kind === 'deleted') return { content: null, file: null, unresolved: 0 };
+
+  if (merge.kind === 'deleteConflict') {
+    const resolution = resolutions.file;
+    const kept = merge.side === 'ours' ? pair.v1 : pair.v2;
+    if (!resolution || resolution.choice === 'delete') return { content: null, file: null, unresolved: resolution ? 0 : 1 };
+    return isBinaryFile(kept) ? { content: null, file: kept, unresolved: 0 } : { content: kept.content, file: null, unresolved: 0 };
+  }
+
+  if (merge.kind === 'binary') {
+    if (merge.file) return { content: null, file: merge.file, unresolved: 0 };
+    const resolution = resolutions.file;
+    if (!resolution) return { content: null, file: null, unresolved: 1 };
+    const chosen = resolution.choice === 'ours' ? pair.v1 : pair.v2;
+    return isBinaryFile(chosen) ? { content: null, file: chosen, unresolved: 0 } : { content: chosen.content, file: null, unresolved: 0 };
+  }
+
+  let unresolved = 0;
+  const lines = merge.regions.flatMap(region => {
+    if (region.type !== 'conflict') return region.lines;
+    const resolution = resolutions[region.id];
+    if (resolution) return resolveConflict(region, resolution);
+    unresolved++;
+    return conflictMarkers(region);
+  });
+  return { content: lines.join('\n'), file: null, unresolved };
+};
+
+/**
+ * Files of the merged tree for download, keyed by repo-relative path.
+ * @param {Array} pairs Matched pairs with their `ancestor` attached
+ * @param {Object} resolutionsByPair pair id -> (conflict id -> resolution)
+ * @returns {{ entries: Array<{ path, data: string|Uint8Array }>, unresolved: number, skipped: Array<string> }}
+ *   `skipped` lists binary files whose bytes were not kept when the folder was read
+ */
+export const buildMergedTree = (pairs, resolutionsByPair = {}) => {
+  const entries = [];
+  const skipped = [];
+  let unresolved = 0;
+  pairs.forEach(pair => {
+    const result = buildMergedFile(pair, mergePair(pair), resolutionsByPair[pair.id]);
+    unresolved += result.unresolved;
+    if (result.content !== null) entries.push({ path: pair.path, data: result.content });
+    else if (result.file) {
+      const bytes = getBinaryBytes(result.file);
+      if (bytes) entries.push({ path: pair.path, data: bytes });
+      else skipped.push(pair.path);
+    }
+  });
+  return { entries, unresolved, skipped };
+};
@@ -0,0 +1,138 @@
+// --- MYERS DIFF (LINEAR SPACE) ---
+
+/**
+ * Finds the middle snake of the shortest edit script between
+ * a[aLo..aHi) and b[bLo..bHi) (Myers 1986, section 4b).
+ * `vf`/`vb` are scratch buffers shared by the whole run, so memory stays O(n + m).
+ * Returns the snake as [startX, startY, endX, endY] relative to aLo/bLo.
+ */
+const findMiddleSnake = (a, aLo, aHi, b, bLo, bHi, vf, vb, offset) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const maxD = Math.ceil((n + m) / 2);
+
+  vf[offset + 1] = 0;
+  vb[offset + 1] = 0;
+
+  for (let d = 0; d <= maxD; d++) {
+    // Forward pass
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1]))
+        ? vf[offset + k + 1]
+        : vf[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x, y0 = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) { x++; y++; }
+      vf[offset + k] = x;
+
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + vb[offset + c] >= n) {
+        return [x0, y0, x, y];
+      }
+    }
+
+    // Backward pass (on the reversed sequences)
+    for (let c = -d; c <= d; c += 2) {
+      let x = (c === -d || (c !== d && vb[offset + c - 1] < vb[offset + c + 1]))
+        ? vb[offset + c + 1]
+        : vb[offset + c - 1] + 1;
+      let y = x - c;
+      const x0 = x, y0 = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) { x++; y++; }
+      vb[offset + c] = x;
+
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + vf[offset + k] >= n) {
+        return [n - x, m - y, n - x0, m - y0];
+      }
+    }
+  }
+
+  // Unreachable for well-formed input: the paths always meet by maxD.
+  return [0, 0, 0, 0];
+};
+
+/**
+ * Computes an edit script between two arrays of integers (usually interned lines or tokens).
+ * Uses the divide-and-conquer variant of Myers' algorithm: O((n + m) * D) time, O(n + m) space.
+ *
+ * @param {ArrayLike<number>} a - Old sequence
+ * @param {ArrayLike<number>} b - New sequence
+ * @param {Function} emit - Called in order as (type, aIndex, bIndex) with type 'equal' | 'removed' | 'added'
+ * @param {Function} [onProgress] - Called with the fraction (0..1) of both inputs consumed so far
+ */
+export const myersDiff = (a, b, emit, onProgress) => {
+  const total = a.length + b.length;
+  const offset = total + 1;
+  const vf = new Int32Array(2 * total + 3);
+  const vb = new Int32Array(2 * total + 3);
+  let consumed = 0;
+  let lastReported = 0;
+
+  const advance = (count) => {
+    consumed += count;
+    if (onProgress && total > 0 && consumed - lastReported >= total / 100) {
+      lastReported = consumed;
+      onProgress(consumed / total);
+    }
+  };
+
+  const walk = (aLo, aHi, bLo, bHi) => {
+    // Common prefix
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      emit('equal', aLo, bLo);
+      aLo++; bLo++;
+      advance(2);
+    }
+    // Common suffix is emitted after the middle section, so remember it first
+    let suffix = 0;
+    while (aLo < aHi - suffix && bLo < bHi - suffix && a[aHi - 1 - suffix] === b[bHi - 1 - suffix]) suffix++;
+    aHi -= suffix;
+    bHi -= suffix;
+
+    if (aLo === aHi) {
+      for (let j = bLo; j < bHi; j++) emit('added', null, j);
+      advance(bHi - bLo);
+    } else if (bLo === bHi) {
+      for (let i = aLo; i < aHi; i++) emit('removed', i, null);
+      advance(aHi - aLo);
+    } else {
+      const [sx, sy, ex, ey] = findMiddleSnake(a, aLo, aHi, b, bLo, bHi, vf, vb, offset);
+      walk(aLo, aLo + sx, bLo, bLo + sy);
+      for (let s = 0; s < ex - sx; s++) emit('equal', aLo + sx + s, bLo + sy + s);
+      advance(2 * (ex - sx));
+      walk(aLo + ex, aHi, bLo + ey, bHi);
+    }
+
+    for (let s = 0; s < suffix; s++) emit('equal', aHi + s, bHi + s);
+    advance(2 * suffix);
+  };
+
+  walk(0, a.length, 0, b.length);
+  if (onProgress) onProgress(1);
+};
+
+/**
+ * Maps each value to a small integer so the diff loop compares numbers instead of strings.
+ * Both sides share one table so equal values get equal ids.
+ * @param {Function} [keyOf] - Optional normalizer; values with the same key compare equal
+ */
+export const internSequences = (oldArr, newArr, keyOf = (v) => v) => {
+  const ids = new Map();
+  const intern = (arr) => {
+    const out = new Int32Array(arr.length);
+    for (let i = 0; i < arr.length; i++) {
+      const key = keyOf(arr[i]);
+      let id = ids.get(key);
+      if (id === undefined) {
+        id = ids.size;
+        ids.set(key, id);
+      }
+      out[i] = id;
+    }
+    return out;
+  };
+  return [intern(oldArr), intern(newArr)];
+};
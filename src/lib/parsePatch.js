@@ -0,0 +1,237 @@
+import { assembleDiff, DEFAULT_DIFF_OPTIONS } from './diff';
+
+// --- UNIFIED / GIT PATCH PARSER ---
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+const DEV_NULL = '/dev/null';
+
+/**
+ * Decodes a path as written in a patch header: drops a trailing timestamp and
+ * unquotes C-style quoted names. Returns null for /dev/null.
+ */
+const parsePath = (raw) => {
+  let path = raw.split('\t')[0].trim();
+  if (path.startsWith('"') && path.endsWith('"')) {
+    path = path.slice(1, -1).replace(/\\([\\"tn])/g, (_, c) => ({ t: '\t', n: '\n' }[c] || c));
+  }
+  return path === DEV_NULL ? null : path;
+};
+
+/**
+ * Removes the leading directory the way `patch -p1` does: git's a/ and b/ prefixes,
+ * or the old/new root folder names of a plain `diff -ru`.
+ */
+const stripPrefix = (path, gitPrefix) => {
+  if (!path) return path;
+  if (gitPrefix) return path.startsWith(gitPrefix) ? path.slice(gitPrefix.length) : path;
+  const slash = path.indexOf('/');
+  return slash === -1 ? path : path.slice(slash + 1);
+};
+
+/**
+ * Best-effort split of "diff --git a/x b/y". Only used when no ---/+++ or rename lines follow,
+ * because names containing " b/" are ambiguous here.
+ */
+const parseGitHeaderPaths = (line) => {
+  const rest = line.slice('diff --git '.length);
+  const quoted = rest.match(/^"(.*?)" "(.*?)"$/);
+  if (quoted) return [parsePath(`"${quoted[1]}"`), parsePath(`"${quoted[2]}"`)];
+  const mid = rest.indexOf(' b/');
+  if (mid === -1) return [null, null];
+  return [parsePath(rest.slice(0, mid)), parsePath(rest.slice(mid + 1))];
+};
+
+const newFileEntry = () => ({
+  isGit: false,
+  oldPath: null,
+  newPath: null,
+  isNew: false,
+  isDeleted: false,
+  isRename: false,
+  isBinary: false,
+  similarity: null,
+  oldMode: null,
+  newMode: null,
+  hunks: [],
+  raw: '',
+});
+
+/**
+ * Parses a unified diff (plain `diff -u` or `git diff` output, one or more files).
+ * Handles git extended headers: new/deleted file modes, mode changes, renames/copies,
+ * similarity index and binary markers.
+ * @returns {Array<Object>} One entry per file with `hunks: [{ oldStart, oldCount, newStart, newCount, section, lines }]`;
+ *   hunk lines are { type: ' ' | '-' | '+', content, noNewline? }
+ */
+export const parsePatch = (text) => {
+  const lines = (text || '').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  const files = [];
+  let file = null;
+  let fileStart = 0;
+  // [old, new] paths from each header kind, null until that header is seen; a null entry means /dev/null
+  let gitPaths = null;
+  let headerPaths = null;
+  let renamePaths = null;
+
+  const finish = (end) => {
+    if (!file) return;
+    const [gitOld, gitNew] = file.isGit ? ['a/', 'b/'] : [null, null];
+    const fromHeaders = headerPaths && [stripPrefix(headerPaths[0], gitOld), stripPrefix(headerPaths[1], gitNew)];
+    const fromGitLine = gitPaths && [stripPrefix(gitPaths[0], 'a/'), stripPrefix(gitPaths[1], 'b/')];
+    const pick = (idx) => renamePaths?.[idx] ?? (fromHeaders ? fromHeaders[idx] : fromGitLine?.[idx] ?? null);
+    file.oldPath = file.isNew ? null : pick(0);
+    file.newPath = file.isDeleted ? null : pick(1);
+    file.raw = lines.slice(fileStart, end).join('\n') + '\n';
+    if (file.oldPath || file.newPath) files.push(file);
+    file = null;
+    gitPaths = null;
+    headerPaths = null;
+    renamePaths = null;
+  };
+
+  const start = (idx) => {
+    finish(idx);
+    file = newFileEntry();
+    fileStart = idx;
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git ')) {
+      start(i);
+      file.isGit = true;
+      gitPaths = parseGitHeaderPaths(line);
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      // A plain unified diff has no "diff --git" line; a new ---/+++ pair after hunks starts the next file
+      if (!file || file.hunks.length > 0) start(i);
+      headerPaths = [parsePath(line.slice(4)), parsePath(lines[i + 1].slice(4))];
+      if (!headerPaths[0]) file.isNew = true;
+      if (!headerPaths[1]) file.isDeleted = true;
+      i += 2;
+      continue;
+    }
+
+    const hunkMatch = file && line.match(HUNK_HEADER);
+    if (hunkMatch) {
+      const hunk = {
+        oldStart: Number(hunkMatch[1]),
+        oldCount: hunkMatch[2] === undefined ? 1 : Number(hunkMatch[2]),
+        newStart: Number(hunkMatch[3]),
+        newCount: hunkMatch[4] === undefined ? 1 : Number(hunkMatch[4]),
+        section: hunkMatch[5],
+        lines: [],
+      };
+      let oldLeft = hunk.oldCount;
+      let newLeft = hunk.newCount;
+      i++;
+      // Read exactly as many lines as the header announces; trailing text is not part of the hunk
+      while (i < lines.length && (oldLeft > 0 || newLeft > 0 || lines[i].startsWith('\\'))) {
+        const body = lines[i];
+        const marker = body[0];
+        if (marker === '\\') {
+          const last = hunk.lines[hunk.lines.length - 1];
+          if (last) last.noNewline = true;
+        } else if (marker === '-' && oldLeft > 0) {
+          hunk.lines.push({ type: '-', content: body.slice(1) });
+          oldLeft--;
+        } else if (marker === '+' && newLeft > 0) {
+          hunk.lines.push({ type: '+', content: body.slice(1) });
+          newLeft--;
+        } else if ((marker === ' ' || body === '') && oldLeft > 0 && newLeft > 0) {
+          // Some tools strip the space from blank context lines
+          hunk.lines.push({ type: ' ', content: body.slice(1) });
+          oldLeft--;
+          newLeft--;
+        } else {
+          break;
+        }
+        i++;
+      }
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (file) {
+      if (line.startsWith('new file mode ')) {
+        file.isNew = true;
+        file.newMode = line.slice(14).trim();
+      } else if (line.startsWith('deleted file mode ')) {
+        file.isDeleted = true;
+        file.oldMode = line.slice(18).trim();
+      } else if (line.startsWith('old mode ')) {
+        file.oldMode = line.slice(9).trim();
+      } else if (line.startsWith('new mode ')) {
+        file.newMode = line.slice(9).trim();
+      } else if (line.startsWith('rename from ') || line.startsWith('copy from ')) {
+        file.isRename = true;
+        renamePaths = [parsePath(line.slice(line.indexOf(' from ') + 6)), renamePaths?.[1]];
+      } else if (line.startsWith('rename to ') || line.startsWith('copy to ')) {
+        file.isRename = true;
+        renamePaths = [renamePaths?.[0], parsePath(line.slice(line.indexOf(' to ') + 4))];
+      } else if (line.startsWith('similarity index ')) {
+        file.similarity = parseInt(line.slice(17), 10);
+      } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+        file.isBinary = true;
+        const names = !headerPaths && line.match(/^Binary files (.+) and (.+) differ$/);
+        if (names) {
+          headerPaths = [parsePath(names[1]), parsePath(names[2])];
+          if (!headerPaths[0]) file.isNew = true;
+          if (!headerPaths[1]) file.isDeleted = true;
+        }
+      }
+    }
+    i++;
+  }
+  finish(lines.length);
+
+  files.forEach(f => {
+    if (!f.isRename && f.oldPath && f.newPath && f.oldPath !== f.newPath) f.isRename = true;
+  });
+  return files;
+};
+
+/**
+ * Rebuilds a renderable diff from a parsed file's hunks.
+ * Lines between hunks are not in the patch, so they become 'gap' entries.
+ */
+export const diffFromPatch = (file, options = DEFAULT_DIFF_OPTIONS) => {
+  const ops = [];
+  let nextOld = 1;
+  let nextNew = 1;
+  file.hunks.forEach(hunk => {
+    // An empty side's range starts at the line before it (e.g. "-0,0")
+    const oldStart = hunk.oldCount === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+    const newStart = hunk.newCount === 0 ? hunk.newStart + 1 : hunk.newStart;
+    if (oldStart > nextOld) {
+      ops.push({ type: 'gap', count: oldStart - nextOld, oldIdx: nextOld, newIdx: nextNew });
+    }
+    let oldIdx = oldStart;
+    let newIdx = newStart;
+    hunk.lines.forEach(line => {
+      if (line.type === ' ') ops.push({ type: 'unchanged', oldIdx: oldIdx++, newIdx: newIdx++, content: line.content });
+      else if (line.type === '-') ops.push({ type: 'removed', oldIdx: oldIdx++, newIdx: null, content: line.content });
+      else ops.push({ type: 'added', oldIdx: null, newIdx: newIdx++, content: line.content });
+    });
+    nextOld = oldIdx;
+    nextNew = newIdx;
+  });
+  return assembleDiff(ops, options);
+};
+
+/**
+ * Added/removed line totals of a parsed file, straight from its hunks.
+ */
+export const countPatchChanges = (file) => file.hunks.reduce((acc, hunk) => {
+  hunk.lines.forEach(line => {
+    if (line.type === '+') acc.added++;
+    else if (line.type === '-') acc.removed++;
+  });
+  return acc;
+}, { added: 0, removed: 0 });
@@ -0,0 +1,136 @@
+import { myersDiff, internSequences } from './myers';
+import { CONTEXT_LINES } from './diff';
+import { isBinaryFile, isSameBinary } from './binary';
+import { compareTextFormats, encodingLabel } from './textFormat';
+
+// --- UNIFIED PATCH EXPORT ---
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Splits text into lines that keep their '\n' terminator, so a missing final newline
+ * makes the last line compare unequal, exactly as diff/patch see it.
+ */
+const splitKeepingNewlines = (text) => (text ? text.match(/[^\n]*\n|[^\n]+$/g) : []);
+
+/**
+ * Drops the top-level folder that directory pickers prefix onto every path
+ * ("my-project/src/app.js" -> "src/app.js"), giving repository-relative paths.
+ */
+export const toRepoPath = (path) => {
+  const segments = path.split('/');
+  return segments.length > 1 ? segments.slice(1).join('/') : path;
+};
+
+const formatRange = (start, count) => {
+  // git omits the count when it is 1; an empty range starts at the line before it
+  if (count === 1) return `${start}`;
+  return `${count === 0 ? start - 1 : start},${count}`;
+};
+
+const formatLine = (prefix, line) => (line.endsWith('\n')
+  ? `${prefix}${line}`
+  : `${prefix}${line}\n${NO_NEWLINE_MARKER}\n`);
+
+/**
+ * Builds the @@ hunks between two texts.
+ * @returns {string} Hunk text, empty when the texts are identical
+ */
+export const buildHunks = (oldText, newText, context = CONTEXT_LINES) => {
+  const oldLines = splitKeepingNewlines(oldText);
+  const newLines = splitKeepingNewlines(newText);
+  const [a, b] = internSequences(oldLines, newLines);
+
+  const ops = [];
+  myersDiff(a, b, (type, i, j) => ops.push({ type, i, j }));
+
+  // Group changes whose gap of unchanged lines is small enough to share context
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, idx) => {
+    if (op.type === 'equal') return;
+    if (current && idx - current.end <= context * 2) {
+      current.end = idx + 1;
+    } else {
+      current = { start: idx, end: idx + 1 };
+      hunks.push(current);
+    }
+  });
+
+  let out = '';
+  hunks.forEach(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length, end + context);
+    const slice = ops.slice(from, to);
+
+    // Line numbers of the first line in each side (1-based), counting ops before the hunk
+    let oldStart = 1, newStart = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].type !== 'added') oldStart++;
+      if (ops[k].type !== 'removed') newStart++;
+    }
+    const oldCount = slice.filter(op => op.type !== 'added').length;
+    const newCount = slice.filter(op => op.type !== 'removed').length;
+
+    out += `@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@\n`;
+    slice.forEach(op => {
+      if (op.type === 'equal') out += formatLine(' ', oldLines[op.i]);
+      else if (op.type === 'removed') out += formatLine('-', oldLines[op.i]);
+      else out += formatLine('+', newLines[op.j]);
+    });
+  });
+  return out;
+};
+
+// Patches are UTF-8 text, so only UTF-8 files can be written into one byte for byte
+const isPatchable = (file) => !file || isBinaryFile(file) || (file.encoding || 'utf-8') === 'utf-8';
+
+// A UTF-8 BOM is written back as the start of the first line, so adding or removing it is part of the hunks
+const patchText = (file) => (file ? `${file.bom && (file.encoding || 'utf-8') === 'utf-8' ? '\uFEFF' : ''}${file.content || ''}` : '');
+
+/**
+ * Renders one matched pair as a git-style unified diff.
+ * Added/deleted files use /dev/null; pairs whose paths differ get rename headers.
+ * File format changes (encoding, BOM, line endings, final newline) are noted on a `#` line before
+ * the file's header, which git apply and patch skip like any text between files. Files in other
+ * encodings than UTF-8 are left out with such a note, as their hunks wouldn't match the bytes on disk.
+ * @returns {string} Patch text, empty when there is nothing to apply
+ */
+export const createFilePatch = (pair) => {
+  // Pairs loaded from a patch file re-export their original text
+  if (pair.patch) return pair.patch.raw;
+  const oldPath = pair.v1 ? toRepoPath(pair.v1.path) : null;
+  const newPath = pair.v2 ? toRepoPath(pair.v2.path) : null;
+  const isRename = oldPath && newPath && oldPath !== newPath;
+  const isBinary = isBinaryFile(pair.v1) || isBinaryFile(pair.v2);
+  if (!isPatchable(pair.v1) || !isPatchable(pair.v2)) {
+    const encodings = new Set([pair.v1, pair.v2].filter(f => !isPatchable(f)).map(f => encodingLabel(f.encoding)));
+    return `# ${newPath || oldPath}: not included, ${[...encodings].join(' and ')} text can't be written into a UTF-8 patch\n`;
+  }
+  const hunks = isBinary ? '' : buildHunks(patchText(pair.v1), patchText(pair.v2));
+  const formatChanges = compareTextFormats(pair.v1, pair.v2);
+  const note = formatChanges.length > 0 ? `# ${newPath}: ${formatChanges.join(', ')}\n` : '';
+
+  if (isBinary && isSameBinary(pair.v1, pair.v2) && !isRename) return '';
+  // An encoding change alone leaves nothing to apply, but is still worth a note
+  if (!isBinary && !hunks && pair.v1 && pair.v2 && !isRename) return note;
+
+  let header = `${note}diff --git a/${oldPath || newPath} b/${newPath || oldPath}\n`;
+  if (!pair.v1) header += 'new file mode 100644\n';
+  if (!pair.v2) header += 'deleted file mode 100644\n';
+  if (isRename) header += `rename from ${oldPath}\nrename to ${newPath}\n`;
+  // Like `git diff` without --binary: the change is recorded but carries no data
+  if (isBinary && !isSameBinary(pair.v1, pair.v2)) {
+    return `${header}Binary files ${oldPath ? `a/${oldPath}` : '/dev/null'} and ${newPath ? `b/${newPath}` : '/dev/null'} differ\n`;
+  }
+  if (!hunks) return header;
+
+  header += `--- ${oldPath ? `a/${oldPath}` : '/dev/null'}\n`;
+  header += `+++ ${newPath ? `b/${newPath}` : '/dev/null'}\n`;
+  return header + hunks;
+};
+
+/**
+ * Concatenates the patches of every pair into one applyable file.
+ */
+export const createWorkspacePatch = (pairs) => pairs.map(createFilePatch).join('');
@@ -0,0 +1,236 @@
+import { chunkifyDiff, CONTEXT_LINES } from './diff';
+import { buildDiffRows } from './diffRows';
+
+// --- HTML REPORT ---
+// One self-contained page for people who won't install anything: summary, a file index grouped by
+// directory and every pair's unified diff with the viewer's folding, word highlights and colours.
+// Folds and files are <details> elements, so the page needs no script to read; the inline script
+// only adds expand/collapse-all buttons and opens everything while printing.
+
+const NO_FOLDS = new Set();
+
+const TYPE_LABELS = { modified: 'MOD', added: 'ADD', deleted: 'DEL', unchanged: 'SAME' };
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+const lineClass = (line) => {
+  if (line.ignored) return 'ign';
+  if (line.moved) return `mv-${line.moved.role}`;
+  return { added: 'add', removed: 'del', unchanged: 'ctx' }[line.type];
+};
+
+const prefix = (line) => (line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ');
+
+// Mirrors LineContent: changed segments are highlighted, and only the segments of this line's own type are shown
+const renderContent = (line) => {
+  if (!line.segments) {
+    const text = line.type === 'added' && line.newContent !== undefined ? line.newContent : line.content;
+    return escapeHtml(text);
+  }
+  return line.segments
+    .filter(segment => segment.type === 'equal' || segment.type === line.type)
+    .map(segment => {
+      const text = line.type === 'added' && segment.newValue !== undefined ? segment.newValue : segment.value;
+      return segment.type === 'equal' || segment.ignored ? escapeHtml(text) : `<mark class="${line.type === 'added' ? 'a' : 'r'}">${escapeHtml(text)}</mark>`;
+    })
+    .join('');
+};
+
+const renderMoved = (line, diff) => {
+  const partner = line.moved && diff[line.moved.partner];
+  if (!partner) return '';
+  const label = line.moved.role === 'from' ? `moved to L${partner.newLine}` : `moved from L${partner.oldLine}`;
+  return `<span class="badge">${label}${line.moved.edited ? ' · edited' : ''}</span>`;
+};
+
+const renderLine = (line, diff) => (
+  `<div class="l ${lineClass(line)}"><span class="n">${line.oldLine || ''}</span><span class="n">${line.newLine || ''}</span>`
+  + `<span class="c"><span class="p">${prefix(line)}</span>${renderContent(line)}</span>${renderMoved(line, diff)}</div>`
+);
+
+/**
+ * The diff body of one file: the rows buildDiffRows produces with nothing expanded, where each
+ * fold holds its hidden lines in a closed <details>.
+ */
+const renderDiff = (diff) => {
+  const chunks = chunkifyDiff(diff);
+  const { rows } = buildDiffRows(chunks, 'unified', NO_FOLDS);
+  return rows.map(row => {
+    if (row.kind === 'line') return renderLine(row.line, diff);
+    if (row.kind === 'gap') return `<div class="gap">${row.count} line${row.count === 1 ? '' : 's'} not included in the patch</div>`;
+    const hidden = chunks[row.chunkIndex].lines.slice(CONTEXT_LINES, -CONTEXT_LINES);
+    return `<details class="fold"><summary>Expand ${row.count} Unchanged Lines</summary>${hidden.map(line => renderLine(line, diff)).join('')}</details>`;
+  }).join('');
+};
+
+const countLines = (diff) => diff.reduce((acc, line) => {
+  if (line.type === 'added') acc.added++;
+  else if (line.type === 'removed') acc.removed++;
+  return acc;
+}, { added: 0, removed: 0 });
+
+const lineTotals = ({ added, removed }) => `<span class="plus">+${added}</span> <span class="minus">−${removed}</span>`;
+
+const dirOf = (path) => path.split('/').slice(0, -1).join('/');
+
+const STYLES = `
+*{box-sizing:border-box}
+body{margin:0;background:#010409;color:#cbd5e1;font:14px/1.5 system-ui,-apple-system,"Segoe UI",sans-serif}
+main{max-width:1200px;margin:0 auto;padding:32px 24px}
+h1{font-size:20px;color:#fff;margin:0 0 4px}
+h2{font-size:12px;text-transform:uppercase;letter-spacing:.1em;color:#64748b;margin:32px 0 12px}
+.meta{color:#64748b;font-size:12px}
+.pills{display:flex;flex-wrap:wrap;gap:8px;margin:16px 0}
+.pill{padding:4px 10px;border-radius:999px;font-size:11px;font-weight:800;border:1px solid}
+.pill.modified{color:#60a5fa;background:rgba(59,130,246,.1);border-color:rgba(59,130,246,.2)}
+.pill.added{color:#34d399;background:rgba(16,185,129,.1);border-color:rgba(16,185,129,.2)}
+.pill.deleted{color:#fb7185;background:rgba(244,63,94,.1);border-color:rgba(244,63,94,.2)}
+.pill.unchanged{color:#94a3b8;background:rgba(100,116,139,.1);border-color:rgba(100,116,139,.2)}
+.pill.lines{color:#cbd5e1;border-color:rgba(255,255,255,.1)}
+.plus{color:#34d399;font-weight:700}.minus{color:#fb7185;font-weight:700}
+.toolbar{display:flex;gap:8px}
+button{background:#1e293b;color:#e2e8f0;border:1px solid rgba(255,255,255,.1);border-radius:8px;padding:4px 10px;font-size:12px;cursor:pointer}
+button:hover{background:#334155}
+summary{cursor:pointer}
+.index details{margin:2px 0}
+.index summary{color:#94a3b8;font-size:12px;font-family:ui-monospace,SFMono-Regular,Menlo,monospace}
+.index ul{list-style:none;margin:4px 0 8px;padding-left:20px}
+.index li{display:flex;gap:8px;align-items:center;font-size:12px;padding:1px 0}
+.index a{color:#e2e8f0;text-decoration:none;font-family:ui-monospace,SFMono-Regular,Menlo,monospace}
+.index a:hover{color:#60a5fa}
+.type{font-size:9px;font-weight:800;padding:0 5px;border-radius:4px}
+.type.modified{color:#60a5fa;background:rgba(59,130,246,.15)}
+.type.added{color:#34d399;background:rgba(16,185,129,.15)}
+.type.deleted{color:#fb7185;background:rgba(244,63,94,.15)}
+.type.unchanged{color:#94a3b8;background:rgba(100,116,139,.15)}
+.file{margin:16px 0;border:1px solid rgba(255,255,255,.1);border-radius:12px;overflow:hidden;background:#0d1117}
+.file>summary{display:flex;gap:10px;align-items:center;padding:10px 16px;background:#161b22;border-bottom:1px solid rgba(255,255,255,.05)}
+.file>summary .path{flex:1;color:#fff;font-weight:700;font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:13px;word-break:break-all}
+.file>summary .from{color:#64748b;font-weight:400}
+.file>summary .fmt{color:#fbbf24;font-weight:400;font-size:11px}
+.note{padding:16px;color:#64748b;font-size:12px}
+.body{overflow-x:auto;padding:8px 0}
+.l{display:flex;font:13px/24px ui-monospace,SFMono-Regular,Menlo,monospace;white-space:pre;border-left:4px solid transparent;min-width:max-content}
+.n{width:40px;text-align:right;padding-right:12px;color:#475569;flex-shrink:0;user-select:none}
+.n+.n{border-right:1px solid rgba(255,255,255,.05)}
+.c{padding:0 16px;flex:1}
+.p{display:inline-block;width:16px;margin-right:12px;opacity:.3;user-select:none}
+.ctx{color:#94a3b8}
+.add{background:rgba(16,185,129,.1);color:#6ee7b7;border-left-color:#10b981}
+.del{background:rgba(244,63,94,.1);color:#fda4af;border-left-color:#f43f5e}
+mark.a{background:rgba(52,211,153,.3);color:#d1fae5;font-weight:700;border-radius:2px}
+mark.r{background:rgba(251,113,133,.3);color:#ffe4e6;font-weight:700;border-radius:2px}
+.mv-from{background:rgba(139,92,246,.1);color:#c4b5fd;border-left-color:#8b5cf6}
+.mv-to{background:rgba(6,182,212,.1);color:#67e8f9;border-left-color:#06b6d4}
+.ign{color:#94a3b8;border-left-color:rgba(245,158,11,.3);background:rgba(245,158,11,.03)}
+.badge{margin-left:12px;padding:0 6px;border-radius:4px;font:700 10px/16px system-ui,sans-serif;align-self:center;opacity:.7;background:rgba(255,255,255,.08)}
+.fold>summary,.gap{list-style:none;text-align:center;padding:6px;margin:2px 0;font-size:11px;font-weight:700;text-transform:uppercase;letter-spacing:.05em;color:#64748b;background:rgba(30,41,59,.3);border-block:1px solid rgba(255,255,255,.05)}
+.fold>summary::-webkit-details-marker{display:none}
+.fold>summary:hover{color:#60a5fa;background:rgba(59,130,246,.1)}
+.fold[open]>summary{display:none}
+@media print{
+  body{background:#fff;color:#1e293b}
+  main{max-width:none;padding:0}
+  h1{color:#000}
+  .toolbar{display:none}
+  .file{break-inside:auto;border-color:#cbd5e1;background:#fff}
+  .file>summary{background:#f1f5f9;border-color:#cbd5e1}
+  .file>summary .path,.index a{color:#0f172a}
+  .l{white-space:pre-wrap;word-break:break-all;min-width:0;font-size:10px;line-height:16px}
+  .ctx,.ign{color:#334155}
+  .add{background:#e6ffec;color:#14532d}
+  .del{background:#ffebe9;color:#7f1d1d}
+  mark.a{background:#abf2bc;color:inherit}
+  mark.r{background:#ffc1bc;color:inherit}
+  .mv-from{background:#f3e8ff;color:#4c1d95}
+  .mv-to{background:#cffafe;color:#164e63}
+  .fold>summary{display:none}
+  .pill,.type{border-color:#cbd5e1}
+}
+`;
+
+// Expand/collapse all, and open everything for printing so no folded lines are lost on paper
+const SCRIPT = `
+(function(){
+  var all=function(){return document.querySelectorAll('details')};
+  var set=function(open){all().forEach(function(d){d.open=open})};
+  document.getElementById('expand').onclick=function(){set(true)};
+  document.getElementById('collapse').onclick=function(){document.querySelectorAll('details.fold,details.file').forEach(function(d){d.open=false})};
+  var closed=[];
+  window.addEventListener('beforeprint',function(){closed=[].filter.call(all(),function(d){return !d.open});set(true)});
+  window.addEventListener('afterprint',function(){closed.forEach(function(d){d.open=false});closed=[]});
+})();
+`;
+
+/**
+ * Builds the report page.
+ * @param {Object} report
+ * @param {string} report.title
+ * @param {Date} report.generatedAt
+ * @param {Array<{ path, type, oldPath?, binary?: boolean, formatChanges?: string[], diff: Array|null }>} report.files In sidebar order;
+ *   `diff` is the calculateDiff (or diffFromPatch) output, null for unchanged and binary files; `formatChanges`
+ *   are compareTextFormats notes such as "LF → CRLF"
+ * @returns {string} HTML with all CSS and JS inlined
+ */
+export const buildHtmlReport = ({ title, generatedAt, files }) => {
+  const counts = { modified: 0, added: 0, deleted: 0, unchanged: 0 };
+  const totals = { added: 0, removed: 0 };
+  const lines = files.map(file => {
+    counts[file.type]++;
+    const fileTotals = file.diff ? countLines(file.diff) : { added: 0, removed: 0 };
+    totals.added += fileTotals.added;
+    totals.removed += fileTotals.removed;
+    return fileTotals;
+  });
+
+  const byDir = new Map();
+  files.forEach((file, idx) => {
+    const dir = dirOf(file.path);
+    byDir.set(dir, [...(byDir.get(dir) || []), idx]);
+  });
+  const index = [...byDir.keys()].sort().map(dir => `
+<details open><summary>${escapeHtml(dir || '(root)')} · ${byDir.get(dir).length}</summary><ul>${byDir.get(dir).map(idx => {
+    const file = files[idx];
+    return `<li><span class="type ${file.type}">${TYPE_LABELS[file.type]}</span><a href="#f${idx}">${escapeHtml(file.path.split('/').pop())}</a>${file.diff ? lineTotals(lines[idx]) : ''}</li>`;
+  }).join('')}</ul></details>`).join('');
+
+  const sections = files.map((file, idx) => {
+    let body;
+    if (file.binary) body = '<p class="note">Binary file; contents are not shown.</p>';
+    else if (!file.diff || file.type === 'unchanged') body = '<p class="note">No changes.</p>';
+    else body = `<div class="body">${renderDiff(file.diff)}</div>`;
+    const from = file.oldPath && file.oldPath !== file.path ? ` <span class="from">(from ${escapeHtml(file.oldPath)})</span>` : '';
+    const format = file.formatChanges?.length ? ` <span class="fmt">${escapeHtml(file.formatChanges.join(' · '))}</span>` : '';
+    return `
+<details class="file" id="f${idx}"${file.type === 'unchanged' ? '' : ' open'}><summary><span class="type ${file.type}">${TYPE_LABELS[file.type]}</span><span class="path">${escapeHtml(file.path)}${from}${format}</span>${file.diff ? lineTotals(lines[idx]) : ''}</summary>${body}</details>`;
+  }).join('');
+
+  const pills = ['modified', 'added', 'deleted', 'unchanged']
+    .filter(type => type !== 'unchanged' || counts.unchanged > 0)
+    .map(type => `<span class="pill ${type}">${TYPE_LABELS[type]}: ${counts[type]}</span>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(generatedAt.toLocaleString())} · ${files.length} file${files.length === 1 ? '' : 's'}</p>
+<div class="pills">${pills}<span class="pill lines">${lineTotals(totals)} lines</span></div>
+<div class="toolbar"><button id="expand">Expand all</button><button id="collapse">Collapse all</button></div>
+<h2>Files</h2>
+<nav class="index">${index}</nav>
+<h2>Changes</h2>
+${sections}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,31 @@
+import { calculateDiff, withFileLanguage } from './diff';
+import { diffFromPatch } from './parsePatch';
+import { buildHtmlReport } from './report';
+
+// --- HTML REPORT WORKER ---
+// Message in:  { jobs: [{ path, type, oldPath, binary, formatChanges, oldText, newText, patch }], options, title, generatedAt }
+// Messages out: { type: 'progress', done, total } | { type: 'result', html } | { type: 'error', message }
+
+const PROGRESS_INTERVAL_MS = 100;
+
+self.onmessage = (event) => {
+  const { jobs, options, title, generatedAt } = event.data;
+  let lastPost = 0;
+  try {
+    const files = jobs.map((job, idx) => {
+      const now = performance.now();
+      if (now - lastPost >= PROGRESS_INTERVAL_MS) {
+        lastPost = now;
+        self.postMessage({ type: 'progress', done: idx, total: jobs.length });
+      }
+      let diff = null;
+      const fileOptions = withFileLanguage(options, job.path);
+      if (job.patch) diff = diffFromPatch(job.patch, fileOptions);
+      else if (!job.binary && job.type !== 'unchanged') diff = calculateDiff(job.oldText, job.newText, fileOptions);
+      return { path: job.path, type: job.type, oldPath: job.oldPath, binary: job.binary, formatChanges: job.formatChanges, diff };
+    });
+    self.postMessage({ type: 'result', html: buildHtmlReport({ title, generatedAt, files }) });
+  } catch (e) {
+    self.postMessage({ type: 'error', message: e.message });
+  }
+};
@@ -0,0 +1,172 @@
+// --- REVIEW COMMENTS ---
+// A thread is attached to a line range on one side of a file:
+//   { id, path, side: 'old' | 'new', startLine, endLine, anchor: { lines, before, after }, resolved, createdAt,
+//     comments: [{ id, body, createdAt }] }
+// `path` is repo-relative so threads survive reloading the folders; `anchor` holds the commented lines
+// and a little context around them, used to find the range again when the file has changed.
+
+const ANCHOR_CONTEXT = 2;
+
+export const SIDE_LABELS = { old: 'base', new: 'target' };
+
+const createId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+// Trailing whitespace (including a CR) doesn't break an anchor
+const normalize = (line) => (line === undefined ? undefined : line.trimEnd());
+
+/**
+ * Starts a thread on lines startLine..endLine (1-based, inclusive) of one side.
+ * @param {Function} getLine (lineNo) => text, or undefined when the line isn't known (e.g. outside a patch's hunks)
+ */
+export const createThread = ({ path, side, startLine, endLine, getLine, body }) => {
+  const range = (from, to) => {
+    const lines = [];
+    for (let n = from; n <= to; n++) lines.push(getLine(n));
+    return lines;
+  };
+  const now = Date.now();
+  return {
+    id: createId(),
+    path,
+    side,
+    startLine,
+    endLine,
+    anchor: {
+      lines: range(startLine, endLine),
+      before: range(Math.max(1, startLine - ANCHOR_CONTEXT), startLine - 1),
+      after: range(endLine + 1, endLine + ANCHOR_CONTEXT),
+    },
+    resolved: false,
+    createdAt: now,
+    comments: [{ id: createId(), body, createdAt: now }],
+  };
+};
+
+export const addReply = (thread, body) => ({
+  ...thread,
+  comments: [...thread.comments, { id: createId(), body, createdAt: Date.now() }],
+});
+
+const matchesAt = (fileLines, start, lines) => (
+  start >= 0 && start + lines.length <= fileLines.length
+  && lines.every((line, i) => line === undefined || normalize(fileLines[start + i]) === normalize(line))
+);
+
+const contextScore = (fileLines, start, anchor) => {
+  let score = 0;
+  anchor.before.forEach((line, i) => {
+    if (line !== undefined && normalize(fileLines[start - anchor.before.length + i]) === normalize(line)) score++;
+  });
+  const end = start + anchor.lines.length;
+  anchor.after.forEach((line, i) => {
+    if (line !== undefined && normalize(fileLines[end + i]) === normalize(line)) score++;
+  });
+  return score;
+};
+
+/**
+ * Places a thread in the current version of its file. If the anchored lines are still at the
+ * recorded position nothing moves; otherwise the closest exact match wins, preferring matches whose
+ * surrounding lines also agree. Without any match the thread keeps its numbers and is marked `outdated`.
+ * @param {Array<string>|null} fileLines Lines of the thread's side, or null when the content isn't available
+ */
+export const reanchorThread = (thread, fileLines) => {
+  if (!fileLines) return { ...thread, outdated: false };
+  const { lines } = thread.anchor;
+  const original = thread.startLine - 1;
+  if (matchesAt(fileLines, original, lines)) return { ...thread, outdated: false };
+
+  const first = lines.findIndex(line => line !== undefined);
+  let best = null;
+  for (let i = 0; i + lines.length <= fileLines.length; i++) {
+    if (first >= 0 && normalize(fileLines[i + first]) !== normalize(lines[first])) continue;
+    if (!matchesAt(fileLines, i, lines)) continue;
+    const candidate = { start: i, score: contextScore(fileLines, i, thread.anchor), distance: Math.abs(i - original) };
+    if (!best || candidate.score > best.score || (candidate.score === best.score && candidate.distance < best.distance)) best = candidate;
+  }
+  if (!best) return { ...thread, outdated: true };
+  return { ...thread, startLine: best.start + 1, endLine: best.start + lines.length, outdated: false };
+};
+
+/**
+ * Re-anchors every thread against the loaded files.
+ * @param {Array} threads
+ * @param {Map<string, Object>} pairsByPath Matched pairs keyed by repo path
+ */
+export const reanchorThreads = (threads, pairsByPath) => {
+  const linesCache = new Map();
+  const linesOf = (path, side) => {
+    const key = `${side}:${path}`;
+    if (!linesCache.has(key)) {
+      const pair = pairsByPath.get(path);
+      const file = pair && (side === 'old' ? pair.v1 : pair.v2);
+      linesCache.set(key, typeof file?.content === 'string' ? file.content.split('\n') : null);
+    }
+    return linesCache.get(key);
+  };
+  return threads.map(thread => reanchorThread(thread, linesOf(thread.path, thread.side)));
+};
+
+/**
+ * Thread counts per repo path: { total, unresolved }.
+ */
+export const countThreads = (threads) => {
+  const counts = new Map();
+  threads.forEach(thread => {
+    const entry = counts.get(thread.path) || { total: 0, unresolved: 0 };
+    entry.total++;
+    if (!thread.resolved) entry.unresolved++;
+    counts.set(thread.path, entry);
+  });
+  return counts;
+};
+
+const sortThreads = (threads) => [...threads].sort((a, b) => (
+  a.path.localeCompare(b.path) || a.startLine - b.startLine || a.side.localeCompare(b.side) || a.createdAt - b.createdAt
+));
+
+const formatLines = (thread) => (thread.startLine === thread.endLine ? `L${thread.startLine}` : `L${thread.startLine}-L${thread.endLine}`);
+
+const formatTime = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 16);
+
+/**
+ * Review notes as Markdown: one section per file, each thread with its location, status,
+ * the commented code and the comments in order.
+ */
+export const exportReviewMarkdown = (threads, title = 'Review notes') => {
+  const out = [`# ${title}`, '', `Exported ${formatTime(Date.now())} · ${threads.length} thread${threads.length === 1 ? '' : 's'}, ${threads.filter(t => !t.resolved).length} unresolved`, ''];
+  let currentPath = null;
+  sortThreads(threads).forEach(thread => {
+    if (thread.path !== currentPath) {
+      currentPath = thread.path;
+      out.push(`## ${thread.path}`, '');
+    }
+    const status = thread.resolved ? 'Resolved' : 'Unresolved';
+    out.push(`### \`${thread.path}:${formatLines(thread)}\` (${SIDE_LABELS[thread.side]}) · ${status}${thread.outdated ? ' · outdated' : ''}`, '');
+    const code = thread.anchor.lines.map(line => line ?? '');
+    const fence = code.some(line => line.includes('```')) ? '````' : '```';
+    out.push(fence, ...code, fence, '');
+    thread.comments.forEach(comment => {
+      out.push(`- **${formatTime(comment.createdAt)}**: ${comment.body.replace(/\n/g, '\n  ')}`);
+    });
+    out.push('');
+  });
+  return out.join('\n');
+};
+
+/**
+ * Review notes as JSON, with the same content as the Markdown export.
+ */
+export const exportReviewJson = (threads) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  threads: sortThreads(threads).map(thread => ({
+    path: thread.path,
+    side: SIDE_LABELS[thread.side],
+    startLine: thread.startLine,
+    endLine: thread.endLine,
+    resolved: thread.resolved,
+    outdated: !!thread.outdated,
+    code: thread.anchor.lines,
+    comments: thread.comments.map(c => ({ body: c.body, createdAt: new Date(c.createdAt).toISOString() })),
+  })),
+}, null, 2);
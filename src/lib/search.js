@@ -0,0 +1,111 @@
+import { myersDiff, internSequences } from './myers';
+import { makeCompareKey } from './diff';
+import { diffFromPatch } from './parsePatch';
+
+// --- WORKSPACE CONTENT SEARCH ---
+
+// Scopes: which lines of each pair are searched
+export const SEARCH_SCOPES = [
+  { scope: 'changed', label: 'Changed' },
+  { scope: 'new', label: 'Target' },
+  { scope: 'old', label: 'Base' },
+];
+
+// Caps keep a query like "e" from flooding the sidebar on a large workspace
+export const MAX_HITS_PER_FILE = 200;
+export const MAX_TOTAL_HITS = 5000;
+
+const MAX_SNIPPET_LENGTH = 240;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the global RegExp for a query.
+ * @param {{ text: string, isRegex: boolean, caseSensitive: boolean }} query
+ * @returns {{ regex: RegExp|null, error: string|null }} `regex` is null for an empty query
+ */
+export const compileQuery = ({ text, isRegex, caseSensitive }) => {
+  if (!text) return { regex: null, error: null };
+  try {
+    return { regex: new RegExp(isRegex ? text : escapeRegExp(text), caseSensitive ? 'g' : 'gi'), error: null };
+  } catch (e) {
+    return { regex: null, error: e.message };
+  }
+};
+
+/**
+ * Match ranges of a global regex in one line, as [start, end] pairs. Empty matches are skipped.
+ */
+export const findMatches = (regex, text) => {
+  const ranges = [];
+  if (!regex || !text) return ranges;
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+/**
+ * The lines of a pair that a scope covers, as { side: 'old' | 'new', lineNo, text } in file order.
+ * 'changed' runs a line diff, so it covers the added and removed lines only.
+ * @param {{ oldText?: string, newText?: string, patch?: Object }} job Pairs from a patch carry their hunks instead of contents
+ */
+export const linesInScope = (job, scope, options) => {
+  if (job.patch) {
+    return diffFromPatch(job.patch, options)
+      .filter(line => line.type !== 'gap')
+      .filter(line => (scope === 'changed' ? line.type !== 'unchanged' : scope === 'old' ? line.oldLine : line.newLine))
+      .map(line => {
+        const side = scope === 'changed' ? (line.type === 'removed' ? 'old' : 'new') : scope;
+        const text = side === 'new' && line.newContent !== undefined ? line.newContent : line.content;
+        return { side, lineNo: side === 'old' ? line.oldLine : line.newLine, text };
+      });
+  }
+
+  const oldLines = job.oldText != null ? job.oldText.split('\n') : [];
+  const newLines = job.newText != null ? job.newText.split('\n') : [];
+  if (scope === 'old') return oldLines.map((text, i) => ({ side: 'old', lineNo: i + 1, text }));
+  if (scope === 'new') return newLines.map((text, i) => ({ side: 'new', lineNo: i + 1, text }));
+
+  const lines = [];
+  const [a, b] = internSequences(oldLines, newLines, makeCompareKey(options));
+  myersDiff(a, b, (type, i, j) => {
+    if (type === 'removed') lines.push({ side: 'old', lineNo: i + 1, text: oldLines[i] });
+    else if (type === 'added') lines.push({ side: 'new', lineNo: j + 1, text: newLines[j] });
+  });
+  return lines;
+};
+
+// Long lines are cut around the first match so the snippet stays readable
+const toSnippet = (text, ranges) => {
+  if (text.length <= MAX_SNIPPET_LENGTH) return { text, ranges, offset: 0 };
+  const offset = Math.max(0, Math.min(ranges[0][0] - 40, text.length - MAX_SNIPPET_LENGTH));
+  const end = offset + MAX_SNIPPET_LENGTH;
+  return {
+    text: text.slice(offset, end),
+    ranges: ranges.filter(([s]) => s < end).map(([s, e]) => [s - offset, Math.min(e, end) - offset]),
+    offset,
+  };
+};
+
+/**
+ * Searches one pair.
+ * @returns {{ hits: Array<{ side, lineNo, snippet: { text, ranges, offset }, matchCount }>, truncated: boolean }}
+ */
+export const searchPair = (job, regex, scope, options, maxHits = MAX_HITS_PER_FILE) => {
+  const hits = [];
+  const lines = linesInScope(job, scope, options);
+  for (const line of lines) {
+    const ranges = findMatches(regex, line.text);
+    if (ranges.length === 0) continue;
+    if (hits.length >= maxHits) return { hits, truncated: true };
+    hits.push({ side: line.side, lineNo: line.lineNo, snippet: toSnippet(line.text, ranges), matchCount: ranges.length });
+  }
+  return { hits, truncated: false };
+};
@@ -0,0 +1,34 @@
+import { compileQuery, searchPair, MAX_TOTAL_HITS } from './search';
+
+// --- CONTENT SEARCH WORKER ---
+// Message in:  { jobs: [{ id, oldText?, newText?, patch? }], query, scope, options }
+// Messages out: { results: [{ id, hits, truncated }], done, limited } — files with hits only, posted in
+// batches; `limited` is set on the last message when the total hit cap stopped the search early.
+
+const BATCH_INTERVAL_MS = 100;
+
+self.onmessage = (event) => {
+  const { jobs, query, scope, options } = event.data;
+  const { regex } = compileQuery(query);
+  let results = [];
+  let total = 0;
+  let lastPost = performance.now();
+
+  for (const job of jobs) {
+    if (total >= MAX_TOTAL_HITS) {
+      self.postMessage({ results, done: true, limited: true });
+      return;
+    }
+    const result = searchPair(job, regex, scope, options);
+    if (result.hits.length > 0) {
+      results.push({ id: job.id, ...result });
+      total += result.hits.length;
+    }
+    if (performance.now() - lastPost >= BATCH_INTERVAL_MS) {
+      self.postMessage({ results, done: false, limited: false });
+      results = [];
+      lastPost = performance.now();
+    }
+  }
+  self.postMessage({ results, done: true, limited: false });
+};
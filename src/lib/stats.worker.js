@@ -0,0 +1,23 @@
+import { summarizeChanges } from './hunks';
+
+// --- CHANGE STATS WORKER ---
+// Message in:  { jobs: [{ id, oldText, newText }], options }
+// Messages out: { results: [{ id, added, removed, hunks }], done } — posted in batches so the sidebar fills in progressively.
+
+const BATCH_INTERVAL_MS = 100;
+
+self.onmessage = (event) => {
+  const { jobs, options } = event.data;
+  let results = [];
+  let lastPost = performance.now();
+
+  jobs.forEach(job => {
+    results.push({ id: job.id, ...summarizeChanges(job.oldText, job.newText, options) });
+    if (performance.now() - lastPost >= BATCH_INTERVAL_MS) {
+      self.postMessage({ results, done: false });
+      results = [];
+      lastPost = performance.now();
+    }
+  });
+  self.postMessage({ results, done: true });
+};
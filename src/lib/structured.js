@@ -0,0 +1,176 @@
+import { myersDiff, internSequences } from './myers';
+import { parseYaml } from './yaml';
+import { parseToml } from './toml';
+
+// --- STRUCTURAL DIFF (JSON / YAML / TOML) ---
+// Both sides are parsed and compared by key path, so key order and formatting don't count as changes.
+// Changes: { kind: 'added' | 'removed' | 'changed', path: Array<string | number>, oldValue?, newValue? }
+
+export const STRUCTURED_FORMATS = { json: 'JSON', yaml: 'YAML', toml: 'TOML' };
+
+const FORMAT_BY_EXTENSION = {
+  json: 'json', jsonc: 'json', webmanifest: 'json', 'code-workspace': 'json', babelrc: 'json', eslintrc: 'json', prettierrc: 'json',
+  yaml: 'yaml', yml: 'yaml',
+  toml: 'toml',
+};
+
+// Lockfiles and manifests without a telling extension
+const FORMAT_BY_NAME = { 'cargo.lock': 'toml', 'poetry.lock': 'toml', 'uv.lock': 'toml', pipfile: 'toml' };
+
+/**
+ * The structured format of a path, or null.
+ */
+export const detectStructuredFormat = (path) => {
+  const name = (path || '').split('/').pop().toLowerCase();
+  if (FORMAT_BY_NAME[name]) return FORMAT_BY_NAME[name];
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? null : FORMAT_BY_EXTENSION[name.slice(dot + 1)] || null;
+};
+
+// JSONC (tsconfig, VS Code settings): comments and trailing commas are removed before JSON.parse
+const stripJsonComments = (text) => text
+  .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+  .replace(/("(?:\\.|[^"\\])*")|,(\s*[}\]])/g, (match, string, close) => string || close);
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    try {
+      return JSON.parse(stripJsonComments(text));
+    } catch {
+      throw e;
+    }
+  }
+};
+
+const PARSERS = { json: parseJson, yaml: parseYaml, toml: parseToml };
+
+/**
+ * Parses a text in one of the structured formats.
+ * @returns {{ value: any, error: string|null }}
+ */
+export const parseStructured = (text, format) => {
+  try {
+    return { value: PARSERS[format](text.replace(/^\uFEFF/, '')), error: null };
+  } catch (e) {
+    return { value: undefined, error: e.message };
+  }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * A canonical string for a value, with object keys sorted, so equal values compare equal
+ * whatever their key order.
+ */
+export const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (isObject(value)) return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return JSON.stringify(value) ?? 'undefined';
+};
+
+const compareArrays = (oldArr, newArr, path, changes, options) => {
+  let a = oldArr;
+  let b = newArr;
+  if (options.sortArrays) {
+    const byKey = (x, y) => (x.key < y.key ? -1 : x.key > y.key ? 1 : 0);
+    a = oldArr.map(value => ({ value, key: canonicalize(value) })).sort(byKey).map(item => item.value);
+    b = newArr.map(value => ({ value, key: canonicalize(value) })).sort(byKey).map(item => item.value);
+  }
+  const [ia, ib] = internSequences(a, b, canonicalize);
+
+  // Runs of removed and added elements pair up index by index, so an edited element shows as the
+  // changes inside it instead of a removal and an addition
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k++) compareValues(a[removed[k]], b[added[k]], [...path, added[k]], changes, options);
+    removed.slice(paired).forEach(idx => changes.push({ kind: 'removed', path: [...path, idx], oldValue: a[idx] }));
+    added.slice(paired).forEach(idx => changes.push({ kind: 'added', path: [...path, idx], newValue: b[idx] }));
+    removed = [];
+    added = [];
+  };
+  myersDiff(ia, ib, (type, i, j) => {
+    if (type === 'removed') removed.push(i);
+    else if (type === 'added') added.push(j);
+    else flush();
+  });
+  flush();
+};
+
+const compareValues = (oldValue, newValue, path, changes, options) => {
+  if (isObject(oldValue) && isObject(newValue)) {
+    const keys = [...new Set([...Object.keys(oldValue), ...Object.keys(newValue)])].sort();
+    keys.forEach(key => {
+      const childPath = [...path, key];
+      if (!Object.hasOwn(newValue, key)) changes.push({ kind: 'removed', path: childPath, oldValue: oldValue[key] });
+      else if (!Object.hasOwn(oldValue, key)) changes.push({ kind: 'added', path: childPath, newValue: newValue[key] });
+      else compareValues(oldValue[key], newValue[key], childPath, changes, options);
+    });
+    return;
+  }
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    compareArrays(oldValue, newValue, path, changes, options);
+    return;
+  }
+  if (canonicalize(oldValue) !== canonicalize(newValue)) changes.push({ kind: 'changed', path, oldValue, newValue });
+};
+
+/**
+ * Compares two parsed documents by key path. Object keys are compared whatever their order;
+ * arrays by element, optionally after sorting both sides.
+ * A missing side (an added or deleted file) counts as an empty document of the other side's type.
+ * @param {{ sortArrays?: boolean }} [options]
+ * @returns {Array<Object>} Changes in path order
+ */
+export const diffStructured = (oldValue, newValue, options = {}) => {
+  const emptyLike = (value) => (Array.isArray(value) ? [] : isObject(value) ? {} : undefined);
+  const changes = [];
+  compareValues(oldValue === undefined ? emptyLike(newValue) : oldValue, newValue === undefined ? emptyLike(oldValue) : newValue, [], changes, options);
+  return changes;
+};
+
+/**
+ * Parses and compares the two sides of a pair.
+ * @returns {{ format, changes: Array|null, errors: { old: string|null, new: string|null } }} `changes` is
+ *   null when either side fails to parse
+ */
+export const compareStructured = (oldText, newText, format, options) => {
+  const parsedOld = oldText == null ? { value: undefined, error: null } : parseStructured(oldText, format);
+  const parsedNew = newText == null ? { value: undefined, error: null } : parseStructured(newText, format);
+  const errors = { old: parsedOld.error, new: parsedNew.error };
+  if (errors.old || errors.new) return { format, changes: null, errors };
+  return { format, changes: diffStructured(parsedOld.value, parsedNew.value, options), errors };
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$-]*$/;
+
+/**
+ * A change path as text, e.g. `dependencies.react`, `jobs.build.steps[2].run` or `paths["@/*"]`.
+ */
+export const formatPath = (path) => {
+  if (path.length === 0) return '(root)';
+  return path.map((part, idx) => {
+    if (typeof part === 'number') return `[${part}]`;
+    if (IDENTIFIER.test(part)) return idx === 0 ? part : `.${part}`;
+    return `[${JSON.stringify(part)}]`;
+  }).join('');
+};
+
+const MAX_VALUE_LENGTH = 120;
+
+/**
+ * A short display form of a value: strings as-is (quoted when empty or padded), everything else as JSON.
+ */
+export const formatValue = (value) => {
+  let text;
+  if (typeof value === 'string') text = value === '' || value.trim() !== value ? JSON.stringify(value) : value;
+  else if (value === undefined) text = 'undefined';
+  else if (typeof value === 'number' && !Number.isFinite(value)) text = String(value);
+  // JSON.stringify gives undefined for values JSON can't hold, such as functions
+  else text = JSON.stringify(value) ?? String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+};
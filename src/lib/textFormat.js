@@ -0,0 +1,211 @@
+// --- TEXT FORMAT: ENCODING, BOM, LINE ENDINGS ---
+// Files are decoded once when read: a byte order mark decides the encoding outright, then strict
+// UTF-8 is tried, and text that isn't valid UTF-8 falls back to Windows-1252 (a superset of Latin-1)
+// instead of being treated as binary. `content` never includes the BOM and keeps its line endings
+// as they are; the entry records `encoding` and `bom` so the user can pick another encoding later
+// and so format changes can be reported alongside the line diff.
+
+// Like git, only the start of a file is scanned for NUL bytes
+const SNIFF_BYTES = 8000;
+
+export const ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8', group: 'Unicode' },
+  { id: 'utf-16le', label: 'UTF-16 LE', group: 'Unicode' },
+  { id: 'utf-16be', label: 'UTF-16 BE', group: 'Unicode' },
+  { id: 'windows-1252', label: 'Windows-1252', group: 'Western' },
+  { id: 'iso-8859-15', label: 'ISO-8859-15', group: 'Western' },
+  { id: 'iso-8859-2', label: 'ISO-8859-2', group: 'Central European' },
+  { id: 'windows-1251', label: 'Windows-1251', group: 'Cyrillic' },
+  { id: 'koi8-r', label: 'KOI8-R', group: 'Cyrillic' },
+  { id: 'shift_jis', label: 'Shift_JIS', group: 'Japanese' },
+  { id: 'euc-jp', label: 'EUC-JP', group: 'Japanese' },
+  { id: 'gbk', label: 'GBK', group: 'Chinese (Simplified)' },
+  { id: 'big5', label: 'Big5', group: 'Chinese (Traditional)' },
+  { id: 'euc-kr', label: 'EUC-KR', group: 'Korean' },
+];
+
+const ENCODING_LABELS = Object.fromEntries(ENCODINGS.map(({ id, label }) => [id, label]));
+
+export const encodingLabel = (encoding) => ENCODING_LABELS[encoding] || encoding;
+
+const BOMS = {
+  'utf-8': [0xef, 0xbb, 0xbf],
+  'utf-16le': [0xff, 0xfe],
+  'utf-16be': [0xfe, 0xff],
+};
+
+const startsWithBom = (bytes, encoding) => !!BOMS[encoding] && BOMS[encoding].every((b, i) => bytes[i] === b);
+
+/**
+ * UTF-16 without a BOM: mostly-ASCII text has a zero in every other byte, and only there.
+ */
+const sniffUtf16 = (sample) => {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs === 0) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.02) return 'utf-16le';
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.02) return 'utf-16be';
+  return null;
+};
+
+// Control characters other than tab, line breaks, form feed and escape are rare in text of any single-byte encoding
+const looksLikeSingleByteText = (sample) => {
+  let controls = 0;
+  sample.forEach(b => {
+    if (b < 0x20 && b !== 0x09 && b !== 0x0a && b !== 0x0d && b !== 0x0c && b !== 0x1b) controls++;
+  });
+  return controls <= sample.length * 0.01;
+};
+
+/**
+ * Decodes file bytes, detecting the encoding unless one is given.
+ * @param {Uint8Array} bytes
+ * @param {string} [encoding] A TextDecoder label to decode with instead of detecting
+ * @returns {{ content: string, encoding: string, bom: boolean }|null} null when the bytes look binary
+ */
+export const decodeBytes = (bytes, encoding = null) => {
+  const decode = (enc, bom) => ({
+    content: new TextDecoder(enc, { ignoreBOM: true }).decode(bom ? bytes.subarray(BOMS[enc].length) : bytes),
+    encoding: enc,
+    bom,
+  });
+  if (encoding) return decode(encoding, startsWithBom(bytes, encoding));
+
+  const withBom = Object.keys(BOMS).find(enc => startsWithBom(bytes, enc));
+  if (withBom) return decode(withBom, true);
+
+  const sample = bytes.subarray(0, SNIFF_BYTES);
+  if (sample.includes(0)) {
+    const utf16 = sniffUtf16(sample);
+    return utf16 ? decode(utf16, false) : null;
+  }
+  try {
+    return { content: new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes), encoding: 'utf-8', bom: false };
+  } catch {
+    return looksLikeSingleByteText(sample) ? decode('windows-1252', false) : null;
+  }
+};
+
+// Windows-1252 maps every byte to one code point, so decoded text can be turned back into its bytes
+let windows1252Bytes = null;
+const getWindows1252Bytes = () => {
+  if (!windows1252Bytes) {
+    const chars = new TextDecoder('windows-1252').decode(Uint8Array.from({ length: 256 }, (_, i) => i));
+    windows1252Bytes = new Map(Array.from(chars, (char, byte) => [char, byte]));
+  }
+  return windows1252Bytes;
+};
+
+/**
+ * The bytes a decoded file was read from. Works for the encodings detection picks; `?` stands in
+ * for characters the encoding can't hold.
+ */
+const encodeText = (content, encoding, bom) => {
+  const prefix = bom && BOMS[encoding] ? BOMS[encoding] : [];
+  if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+    const bytes = new Uint8Array(prefix.length + content.length * 2);
+    bytes.set(prefix);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < content.length; i++) view.setUint16(prefix.length + i * 2, content.charCodeAt(i), encoding === 'utf-16le');
+    return bytes;
+  }
+  if (encoding === 'windows-1252') {
+    const table = getWindows1252Bytes();
+    return Uint8Array.from(content, char => table.get(char) ?? 0x3f);
+  }
+  const encoded = new TextEncoder().encode(content);
+  if (prefix.length === 0) return encoded;
+  const bytes = new Uint8Array(prefix.length + encoded.length);
+  bytes.set(prefix);
+  bytes.set(encoded, prefix.length);
+  return bytes;
+};
+
+/**
+ * A text file entry decoded again with another encoding. Entries read before encodings were
+ * recorded count as UTF-8 without a BOM. Binary entries are returned as they are.
+ */
+export const reinterpretText = (file, encoding) => {
+  if (file.content === null || file.binary) return file;
+  const detected = file.detectedEncoding || file.encoding || 'utf-8';
+  if (encoding === (file.encoding || 'utf-8')) return file;
+  const decoded = decodeBytes(encodeText(file.content, file.encoding || 'utf-8', !!file.bom), encoding);
+  return { ...file, ...decoded, detectedEncoding: detected };
+};
+
+/**
+ * Applies per-path encoding overrides ({ [path]: encoding }) to one side's files.
+ */
+export const applyEncodingOverrides = (files, overrides) => {
+  if (!overrides || Object.keys(overrides).length === 0) return files;
+  return files.map(file => (overrides[file.path] ? reinterpretText(file, overrides[file.path]) : file));
+};
+
+export const EOL_LABELS = { lf: 'LF', crlf: 'CRLF', cr: 'CR', mixed: 'Mixed' };
+
+/**
+ * Line ending style of a text: 'lf', 'crlf', 'cr', 'mixed', or null when it has no line breaks.
+ */
+export const detectLineEndings = (content) => {
+  const crlf = (content.match(/\r\n/g) || []).length;
+  const lf = (content.match(/\n/g) || []).length - crlf;
+  const cr = (content.match(/\r/g) || []).length - crlf;
+  const kinds = [['lf', lf], ['crlf', crlf], ['cr', cr]].filter(([, count]) => count > 0);
+  if (kinds.length === 0) return null;
+  return kinds.length === 1 ? kinds[0][0] : 'mixed';
+};
+
+/**
+ * Format of a text file entry, or null for missing and binary files.
+ * @returns {{ encoding: string, bom: boolean, eol: string|null, finalNewline: boolean }|null}
+ */
+export const describeTextFormat = (file) => {
+  if (!file || file.content === null || file.content === undefined || file.binary) return null;
+  const { content } = file;
+  return {
+    encoding: file.encoding || 'utf-8',
+    bom: !!file.bom,
+    eol: detectLineEndings(content),
+    // An empty file has no last line to terminate
+    finalNewline: content === '' || content.endsWith('\n') || content.endsWith('\r'),
+  };
+};
+
+/**
+ * Short label such as "UTF-8 BOM · CRLF".
+ */
+export const formatTextFormat = (format) => [
+  `${encodingLabel(format.encoding)}${format.bom ? ' BOM' : ''}`,
+  ...(format.eol ? [EOL_LABELS[format.eol]] : []),
+  ...(format.finalNewline ? [] : ['no newline at end']),
+].join(' · ');
+
+/**
+ * File-level changes between two versions that a line diff doesn't show well, e.g. "LF → CRLF",
+ * "BOM removed" or "No newline at end of file". Empty unless both sides are text.
+ */
+export const compareTextFormats = (oldFile, newFile) => {
+  const before = describeTextFormat(oldFile);
+  const after = describeTextFormat(newFile);
+  if (!before || !after) return [];
+  const changes = [];
+  if (before.encoding !== after.encoding) changes.push(`${encodingLabel(before.encoding)} → ${encodingLabel(after.encoding)}`);
+  if (before.bom !== after.bom) changes.push(after.bom ? 'BOM added' : 'BOM removed');
+  if (before.eol && after.eol && before.eol !== after.eol) changes.push(`${EOL_LABELS[before.eol]} → ${EOL_LABELS[after.eol]}`);
+  if (before.finalNewline !== after.finalNewline) changes.push(after.finalNewline ? 'Newline at end of file added' : 'No newline at end of file');
+  return changes;
+};
+
+/**
+ * Whether two text files differ in encoding or BOM, which leave the decoded lines alike.
+ */
+export const hasEncodingChange = (oldFile, newFile) => {
+  const before = describeTextFormat(oldFile);
+  const after = describeTextFormat(newFile);
+  return !!before && !!after && (before.encoding !== after.encoding || before.bom !== after.bom);
+};
@@ -0,0 +1,72 @@
+// --- INTRA-LINE TOKENIZERS ---
+// Split a changed line into the units its word segments are diffed by. 'char' diffs code points,
+// 'word' splits at whitespace and word boundaries, and 'token' lexes the line the way the file's
+// language does: identifiers, numbers, multi-character operators and escape sequences stay whole,
+// so `userName` → `username` or `0x1f` → `0x2f` highlight one token rather than their neighbours.
+
+export const INTRA_LINE_GRANULARITIES = [
+  { id: 'char', label: 'Character' },
+  { id: 'word', label: 'Word' },
+  { id: 'token', label: 'Token' },
+];
+
+const NUMBER = String.raw`0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?[\p{L}%]*|\.\d[\d_]*(?:[eE][+-]?\d+)?`;
+const IDENTIFIER = String.raw`[\p{L}_][\p{L}\p{N}_]*`;
+
+const C_OPERATORS = ['<<=', '>>=', '...', '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '::'];
+
+// Per language: what an identifier looks like, and the operators longer than one character
+const LANGUAGE_TOKENS = {
+  javascript: {
+    identifier: String.raw`[\p{L}_$][\p{L}\p{N}_$]*`,
+    operators: [...C_OPERATORS, '>>>=', '>>>', '===', '!==', '**=', '??=', '&&=', '||=', '=>', '**', '??', '?.'],
+  },
+  python: {
+    identifier: IDENTIFIER,
+    operators: ['**=', '//=', '>>=', '<<=', '...', '**', '//', '->', ':=', '==', '!=', '<=', '>=', '<<', '>>', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@='],
+  },
+  go: { identifier: IDENTIFIER, operators: [...C_OPERATORS, '&^=', '&^', ':=', '<-'] },
+  rust: { identifier: String.raw`'?[\p{L}_][\p{L}\p{N}_]*!?`, operators: [...C_OPERATORS, '..=', '=>', '..'] },
+  clike: { identifier: IDENTIFIER, operators: C_OPERATORS },
+  ruby: {
+    identifier: String.raw`(?:@@?|\$|:(?=[\p{L}_]))?[\p{L}_][\p{L}\p{N}_]*[?!]?`,
+    operators: ['<=>', '===', '**=', '||=', '&&=', '...', '**', '=~', '!~', '..', '::', '->', '=>', '==', '!=', '<=', '>=', '<<', '>>', '&&', '||', '+=', '-=', '*=', '/='],
+  },
+  shell: {
+    identifier: String.raw`\$\{[^}\s]*\}|\$(?:[\p{L}_][\p{L}\p{N}_]*|[@*#?$!0-9])|[\p{L}_][\p{L}\p{N}_-]*`,
+    operators: ['<<<', '<<-', '$((', '&&', '||', ';;', '<<', '>>', '|&', '>&', '<&', '$(', '=='],
+  },
+  css: { identifier: String.raw`-*[\p{L}_][\p{L}\p{N}_-]*`, operators: ['::', '~=', '|=', '^=', '$=', '*='] },
+  json: { identifier: IDENTIFIER, operators: [] },
+  yaml: { identifier: String.raw`[\p{L}_][\p{L}\p{N}_-]*`, operators: ['---', '...'] },
+  markup: { identifier: String.raw`[\p{L}_][\p{L}\p{N}_:.-]*`, operators: ['<!--', '-->', '</', '/>', '<?', '?>'] },
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compiled = new Map();
+
+const tokenRegex = (language) => {
+  const key = LANGUAGE_TOKENS[language] ? language : 'clike';
+  if (!compiled.has(key)) {
+    const { identifier, operators } = LANGUAGE_TOKENS[key];
+    // Longest operators first so `===` isn't lexed as `==` and `=`
+    const ops = [...operators].sort((a, b) => b.length - a.length).map(escapeRegex);
+    // Whitespace runs, numbers, identifiers, escape sequences inside strings, operators, then any single character
+    const source = [String.raw`\s+`, NUMBER, identifier, String.raw`\\[\s\S]`, ...ops, String.raw`[\s\S]`].join('|');
+    compiled.set(key, new RegExp(source, 'gu'));
+  }
+  return compiled.get(key);
+};
+
+/**
+ * Splits a line into diff units; joining them gives the line back.
+ * @param {'char'|'word'|'token'} granularity
+ * @param {string|null} [language] Highlighter language id (see detectLanguage); 'token' falls back to C-like rules
+ * @returns {string[]}
+ */
+export const tokenizeLine = (text, granularity = 'word', language = null) => {
+  if (granularity === 'char') return Array.from(text);
+  if (granularity === 'token') return text.match(tokenRegex(language)) || [];
+  return text.split(/(\s+|\b)/).filter(Boolean);
+};
@@ -0,0 +1,264 @@
+// --- TOML PARSER ---
+// TOML 1.0: tables, arrays of tables, dotted and quoted keys, inline tables, multi-line arrays,
+// all four string forms and the number formats. Dates and times are kept as their source text,
+// which is all a comparison needs. Errors say which line they are on.
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+
+const DATETIME = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?/;
+
+// Tables have no prototype, so keys such as `__proto__` or `toString` are plain keys
+const newTable = () => Object.create(null);
+
+const isTable = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parses a TOML document into prototype-less objects and arrays.
+ * @throws {Error} With the line number when the text isn't valid TOML
+ */
+export const parseToml = (text) => {
+  const src = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  let pos = 0;
+
+  const fail = (message) => {
+    const line = src.slice(0, pos).split('\n').length;
+    throw new Error(`Line ${line}: ${message}`);
+  };
+
+  const skipSpace = () => {
+    while (src[pos] === ' ' || src[pos] === '\t') pos++;
+  };
+  const skipComment = () => {
+    if (src[pos] === '#') while (pos < src.length && src[pos] !== '\n') pos++;
+  };
+  // Whitespace, newlines and comments, as allowed between array items
+  const skipBlank = () => {
+    for (;;) {
+      skipSpace();
+      skipComment();
+      if (src[pos] !== '\n') return;
+      pos++;
+    }
+  };
+  const expectLineEnd = () => {
+    skipSpace();
+    skipComment();
+    if (pos < src.length && src[pos] !== '\n') fail(`Unexpected "${src[pos]}"`);
+  };
+
+  const readBasic = (multiline) => {
+    let out = '';
+    const quote = multiline ? '"""' : '"';
+    pos += quote.length;
+    // A newline right after the opening delimiter is trimmed
+    if (multiline && src[pos] === '\n') pos++;
+    for (;;) {
+      if (pos >= src.length) fail('Unterminated string');
+      if (src.startsWith(quote, pos)) {
+        // Up to two quotes may sit right before the closing delimiter
+        let end = pos + quote.length;
+        while (multiline && src[end] === '"' && end - pos < 5) end++;
+        out += src.slice(pos, end - quote.length);
+        pos = end;
+        return out;
+      }
+      const ch = src[pos];
+      if (ch === '\n' && !multiline) fail('Newline in string');
+      if (ch !== '\\') {
+        out += ch;
+        pos++;
+        continue;
+      }
+      const next = src[pos + 1];
+      if (multiline && /[ \t\n]/.test(next)) {
+        // Line-ending backslash: drop the newline and the whitespace that follows
+        let p = pos + 1;
+        while (src[p] === ' ' || src[p] === '\t') p++;
+        if (src[p] !== '\n') fail('Invalid escape');
+        while (/[ \t\n]/.test(src[p] || '')) p++;
+        pos = p;
+      } else if (next === 'u' || next === 'U') {
+        const len = next === 'u' ? 4 : 8;
+        const hex = src.slice(pos + 2, pos + 2 + len);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) fail(`Invalid escape \\${next}${hex}`);
+        out += String.fromCodePoint(parseInt(hex, 16));
+        pos += 2 + len;
+      } else if (next in ESCAPES) {
+        out += ESCAPES[next];
+        pos += 2;
+      } else {
+        fail(`Invalid escape \\${next}`);
+      }
+    }
+  };
+
+  const readLiteral = (multiline) => {
+    const quote = multiline ? "'''" : "'";
+    pos += quote.length;
+    if (multiline && src[pos] === '\n') pos++;
+    const close = src.indexOf(quote, pos);
+    if (close === -1) fail('Unterminated string');
+    let end = close + quote.length;
+    while (multiline && src[end] === "'" && end - close < 5) end++;
+    const value = src.slice(pos, end - quote.length);
+    if (!multiline && value.includes('\n')) fail('Newline in string');
+    pos = end;
+    return value;
+  };
+
+  const readKeyPart = () => {
+    skipSpace();
+    if (src[pos] === '"') return readBasic(false);
+    if (src[pos] === "'") return readLiteral(false);
+    const start = pos;
+    while (pos < src.length && BARE_KEY.test(src[pos])) pos++;
+    if (pos === start) fail(`Expected a key, found "${src[pos] ?? 'end of file'}"`);
+    return src.slice(start, pos);
+  };
+
+  const readKey = () => {
+    const parts = [readKeyPart()];
+    skipSpace();
+    while (src[pos] === '.') {
+      pos++;
+      parts.push(readKeyPart());
+      skipSpace();
+    }
+    return parts;
+  };
+
+  const readNumberOrDate = () => {
+    const rest = src.slice(pos, pos + 64);
+    const date = DATETIME.exec(rest);
+    if (date) {
+      pos += date[0].length;
+      return date[0];
+    }
+    const match = /^[+-]?(?:inf|nan|0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[0-9_]+(?:\.[0-9_]+)?(?:[eE][+-]?[0-9_]+)?)/.exec(rest);
+    if (!match) fail(`Invalid value "${rest.split(/[\s,\]}]/)[0]}"`);
+    pos += match[0].length;
+    const token = match[0].replace(/_/g, '');
+    if (/inf$/.test(token)) return token.startsWith('-') ? -Infinity : Infinity;
+    if (/nan$/.test(token)) return NaN;
+    const sign = token.startsWith('-') ? -1 : 1;
+    const unsigned = token.replace(/^[+-]/, '');
+    if (/^0[xob]/.test(unsigned)) return sign * parseInt(unsigned.slice(2), { x: 16, o: 8, b: 2 }[unsigned[1]]);
+    const n = Number(token);
+    // Integers beyond double precision keep their digits
+    return /^[+-]?\d+$/.test(token) && !Number.isSafeInteger(n) ? token : n;
+  };
+
+  const setPath = (table, keys, value) => {
+    let target = table;
+    keys.slice(0, -1).forEach(key => {
+      if (!Object.hasOwn(target, key)) target[key] = newTable();
+      else if (!isTable(target[key])) fail(`"${key}" is not a table`);
+      target = target[key];
+    });
+    const last = keys[keys.length - 1];
+    if (Object.hasOwn(target, last)) fail(`Duplicate key "${keys.join('.')}"`);
+    target[last] = value;
+  };
+
+  const readValue = () => {
+    skipSpace();
+    const ch = src[pos];
+    if (src.startsWith('"""', pos)) return readBasic(true);
+    if (src.startsWith("'''", pos)) return readLiteral(true);
+    if (ch === '"') return readBasic(false);
+    if (ch === "'") return readLiteral(false);
+    if (src.startsWith('true', pos) && !BARE_KEY.test(src[pos + 4] || '')) {
+      pos += 4;
+      return true;
+    }
+    if (src.startsWith('false', pos) && !BARE_KEY.test(src[pos + 5] || '')) {
+      pos += 5;
+      return false;
+    }
+    if (ch === '[') {
+      pos++;
+      const items = [];
+      for (;;) {
+        skipBlank();
+        if (src[pos] === ']') break;
+        items.push(readValue());
+        skipBlank();
+        if (src[pos] === ',') pos++;
+        else if (src[pos] !== ']') fail('Expected "," or "]" in array');
+      }
+      pos++;
+      return items;
+    }
+    if (ch === '{') {
+      pos++;
+      const table = newTable();
+      skipSpace();
+      if (src[pos] === '}') {
+        pos++;
+        return table;
+      }
+      for (;;) {
+        const keys = readKey();
+        if (src[pos] !== '=') fail('Expected "=" after key');
+        pos++;
+        setPath(table, keys, readValue());
+        skipSpace();
+        if (src[pos] === ',') pos++;
+        else if (src[pos] === '}') {
+          pos++;
+          return table;
+        } else fail('Expected "," or "}" in inline table');
+      }
+    }
+    if (ch === undefined || ch === '\n') fail('Missing value');
+    return readNumberOrDate();
+  };
+
+  const root = newTable();
+  let current = root;
+
+  // Walks to a table header's table, creating tables on the way; arrays of tables continue from their last entry
+  const resolveTable = (keys) => {
+    let target = root;
+    keys.forEach(key => {
+      if (!Object.hasOwn(target, key)) target[key] = newTable();
+      let next = target[key];
+      if (Array.isArray(next)) next = next[next.length - 1];
+      if (!isTable(next)) fail(`"${key}" is not a table`);
+      target = next;
+    });
+    return target;
+  };
+
+  for (;;) {
+    skipBlank();
+    if (pos >= src.length) break;
+    if (src.startsWith('[[', pos)) {
+      pos += 2;
+      const keys = readKey();
+      if (!src.startsWith(']]', pos)) fail('Expected "]]"');
+      pos += 2;
+      const parent = resolveTable(keys.slice(0, -1));
+      const last = keys[keys.length - 1];
+      if (!Object.hasOwn(parent, last)) parent[last] = [];
+      if (!Array.isArray(parent[last])) fail(`"${keys.join('.')}" is not an array of tables`);
+      current = newTable();
+      parent[last].push(current);
+    } else if (src[pos] === '[') {
+      pos++;
+      const keys = readKey();
+      if (src[pos] !== ']') fail('Expected "]"');
+      pos++;
+      current = resolveTable(keys);
+    } else {
+      const keys = readKey();
+      if (src[pos] !== '=') fail('Expected "=" after key');
+      pos++;
+      setPath(current, keys, readValue());
+    }
+    expectLineEnd();
+  }
+  return root;
+};
@@ -0,0 +1,193 @@
+import { hashBytes } from './binary';
+
+// --- WORKSPACE STORE (IndexedDB) ---
+// Two object stores:
+//   blobs:      { hash, content, binary?, encoding?, bom? }  file contents, stored once per SHA-256
+//   workspaces: { id, name, createdAt, updatedAt, v1, v2, ancestor?, data }  v1/v2/ancestor are [{ path, size, hash }] manifests
+// The current, unsaved comparison lives in the workspace with id SESSION_ID.
+
+const DB_NAME = 'versionLens';
+const DB_VERSION = 1;
+const BLOBS = 'blobs';
+const WORKSPACES = 'workspaces';
+
+export const SESSION_ID = 'session';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+});
+
+let dbPromise = null;
+const getDb = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(BLOBS)) db.createObjectStore(BLOBS, { keyPath: 'hash' });
+      if (!db.objectStoreNames.contains(WORKSPACES)) db.createObjectStore(WORKSPACES, { keyPath: 'id' });
+    };
+    dbPromise = requestToPromise(request).catch(e => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+};
+
+// Writes run one after another so a slow save can't overwrite a newer one
+let writeQueue = Promise.resolve();
+const enqueue = (task) => {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+// Hashes computed for files that arrive without one (patch and git sources), so repeated saves don't rehash them
+const computedHashes = new WeakMap();
+const hashOf = (file) => {
+  if (file.hash || file.binary?.hash) return file.hash || file.binary.hash;
+  if (!computedHashes.has(file)) computedHashes.set(file, hashBytes(new TextEncoder().encode(file.content || '')));
+  return computedHashes.get(file);
+};
+
+const toManifest = async (files) => Promise.all(files.map(async f => ({ path: f.path, size: f.size, hash: await hashOf(f) })));
+
+const manifestHashes = (record) => [...record.v1, ...record.v2, ...(record.ancestor || [])].map(f => f.hash);
+
+const sameManifest = (a, b) => a.length === b.length && a.every((f, idx) => f.path === b[idx].path && f.hash === b[idx].hash && f.size === b[idx].size);
+
+/**
+ * Deletes blobs no workspace refers to. With `candidates` only those hashes are checked, which
+ * avoids reading every key in the blob store.
+ */
+const removeUnreferencedBlobs = async (db, candidates = null) => {
+  const workspaces = await requestToPromise(db.transaction(WORKSPACES).objectStore(WORKSPACES).getAll());
+  const referenced = new Set(workspaces.flatMap(manifestHashes));
+  const tx = db.transaction(BLOBS, 'readwrite');
+  const keys = candidates || await requestToPromise(tx.objectStore(BLOBS).getAllKeys());
+  keys.forEach(hash => {
+    if (!referenced.has(hash)) tx.objectStore(BLOBS).delete(hash);
+  });
+  await transactionDone(tx);
+};
+
+/**
+ * Saves a comparison under `id`, creating or replacing it. File contents go to the blob store
+ * keyed by hash, so files shared between workspaces (or unchanged between versions) are stored once.
+ * When the file lists are the same as in the stored record only the record itself is rewritten,
+ * and otherwise only contents not yet in the blob store are written.
+ * @param {string} id
+ * @param {string|null} name Display name; null for the session
+ * @param {{ v1Files: Array, v2Files: Array, ancestorFiles?: Array }} state Everything else in `state` must be JSON-serializable
+ */
+export const saveWorkspace = (id, name, { v1Files, v2Files, ancestorFiles = [], ...data }) => enqueue(async () => {
+  const db = await getDb();
+  const [v1, v2, ancestor] = await Promise.all([toManifest(v1Files), toManifest(v2Files), toManifest(ancestorFiles)]);
+
+  const existing = await requestToPromise(db.transaction(WORKSPACES).objectStore(WORKSPACES).get(id));
+  const now = Date.now();
+  const record = { id, name, createdAt: existing?.createdAt ?? now, updatedAt: now, v1, v2, ancestor, data };
+  const filesChanged = !existing || !sameManifest(existing.v1, v1) || !sameManifest(existing.v2, v2) || !sameManifest(existing.ancestor || [], ancestor);
+
+  if (!filesChanged) {
+    const tx = db.transaction(WORKSPACES, 'readwrite');
+    tx.objectStore(WORKSPACES).put(record);
+    await transactionDone(tx);
+    return { id, name, createdAt: record.createdAt, updatedAt: now };
+  }
+
+  // Contents the previous record referred to are stored already; any other hash is looked up first
+  const previous = new Set(existing ? manifestHashes(existing) : []);
+  const unseen = new Map();
+  [[v1Files, v1], [v2Files, v2], [ancestorFiles, ancestor]].forEach(([files, manifest]) => {
+    files.forEach((f, idx) => {
+      const { hash } = manifest[idx];
+      if (!previous.has(hash) && !unseen.has(hash)) unseen.set(hash, f);
+    });
+  });
+  const lookup = db.transaction(BLOBS).objectStore(BLOBS);
+  const stored = await Promise.all(Array.from(unseen.keys(), hash => requestToPromise(lookup.getKey(hash))));
+
+  const tx = db.transaction([BLOBS, WORKSPACES], 'readwrite');
+  const blobs = tx.objectStore(BLOBS);
+  Array.from(unseen).forEach(([hash, f], idx) => {
+    if (stored[idx] !== undefined) return;
+    const blob = { hash, content: f.content };
+    if (f.binary) blob.binary = f.binary;
+    if (f.encoding) Object.assign(blob, { encoding: f.encoding, bom: !!f.bom });
+    blobs.put(blob);
+  });
+  tx.objectStore(WORKSPACES).put(record);
+  await transactionDone(tx);
+
+  const current = new Set(manifestHashes(record));
+  const dropped = Array.from(previous).filter(hash => !current.has(hash));
+  if (dropped.length > 0) await removeUnreferencedBlobs(db, dropped);
+  return { id, name, createdAt: record.createdAt, updatedAt: now };
+});
+
+/**
+ * Loads a workspace with its file contents resolved from the blob store.
+ * @returns {Promise<Object|null>} { id, name, v1Files, v2Files, ancestorFiles, ...data }, or null if there is none
+ */
+export const loadWorkspace = async (id) => {
+  const db = await getDb();
+  const tx = db.transaction([BLOBS, WORKSPACES]);
+  const record = await requestToPromise(tx.objectStore(WORKSPACES).get(id));
+  if (!record) return null;
+  const blobs = tx.objectStore(BLOBS);
+  const resolve = (manifest) => Promise.all(manifest.map(async ({ path, size, hash }) => {
+    const blob = await requestToPromise(blobs.get(hash));
+    const file = { path, size, hash, content: blob ? blob.content : '' };
+    if (blob?.binary) file.binary = blob.binary;
+    if (blob?.encoding) Object.assign(file, { encoding: blob.encoding, bom: blob.bom });
+    return file;
+  }));
+  // Records saved before three-way merges have no ancestor manifest
+  const [v1Files, v2Files, ancestorFiles] = await Promise.all([resolve(record.v1), resolve(record.v2), resolve(record.ancestor || [])]);
+  return { id: record.id, name: record.name, ...record.data, v1Files, v2Files, ancestorFiles };
+};
+
+/**
+ * Named workspaces, most recently saved first (the session is not listed).
+ * @returns {Promise<Array<{ id, name, createdAt, updatedAt, fileCount }>>}
+ */
+export const listWorkspaces = async () => {
+  const db = await getDb();
+  const records = await requestToPromise(db.transaction(WORKSPACES).objectStore(WORKSPACES).getAll());
+  return records
+    .filter(r => r.id !== SESSION_ID)
+    .map(r => ({ id: r.id, name: r.name, createdAt: r.createdAt, updatedAt: r.updatedAt, fileCount: r.v1.length + r.v2.length + (r.ancestor?.length || 0) }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const deleteWorkspace = (id) => enqueue(async () => {
+  const db = await getDb();
+  const tx = db.transaction(WORKSPACES, 'readwrite');
+  tx.objectStore(WORKSPACES).delete(id);
+  await transactionDone(tx);
+  await removeUnreferencedBlobs(db);
+});
+
+/**
+ * Storage consumption: the browser's estimate for this origin (when supported) plus
+ * the number and total size of stored file contents.
+ * @returns {Promise<{ usage: number|null, quota: number|null, blobCount: number, blobBytes: number }>}
+ */
+export const getStorageUsage = async () => {
+  const db = await getDb();
+  const blobs = await requestToPromise(db.transaction(BLOBS).objectStore(BLOBS).getAll());
+  const blobBytes = blobs.reduce((sum, b) => sum + (b.content?.length || 0) + (b.binary?.dataUrl?.length || 0), 0);
+  const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+  return { usage: estimate.usage ?? null, quota: estimate.quota ?? null, blobCount: blobs.length, blobBytes };
+};
+
+export const createWorkspaceId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
@@ -0,0 +1,464 @@
+// --- YAML PARSER ---
+// Enough YAML for configuration files: block mappings and sequences, flow collections, plain,
+// quoted and block (| >) scalars, comments, anchors/aliases with `<<` merge keys and multiple
+// documents. Scalars resolve with the YAML 1.2 core schema; tags are skipped. Complex (`?`) keys are
+// not supported. Errors say which line they are on.
+
+const fail = (message, lineIndex) => {
+  throw new Error(lineIndex === undefined ? message : `Line ${lineIndex + 1}: ${message}`);
+};
+
+/**
+ * The line without its comment. A '#' starts a comment at the start of the line or after whitespace,
+ * outside quotes.
+ */
+const stripComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      // Quotes only open a quoted scalar at the start of a token
+      if (i === 0 || /[\s[{,:-]/.test(line[i - 1])) quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line.trimEnd();
+};
+
+const NULLS = new Set(['', '~', 'null', 'Null', 'NULL']);
+const TRUES = new Set(['true', 'True', 'TRUE']);
+const FALSES = new Set(['false', 'False', 'FALSE']);
+
+/**
+ * Resolves a plain scalar (YAML 1.2 core schema). Integers too large to be exact stay strings.
+ */
+export const resolvePlain = (text) => {
+  if (NULLS.has(text)) return null;
+  if (TRUES.has(text)) return true;
+  if (FALSES.has(text)) return false;
+  if (/^[-+]?[0-9]+$/.test(text)) {
+    const n = Number(text);
+    return Number.isSafeInteger(n) ? n : text;
+  }
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+};
+
+const ESCAPES = { 0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: ' ', P: ' ' };
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+
+const unescapeDouble = (text, lineIndex) => {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '\\') {
+      out += text[i];
+      continue;
+    }
+    const ch = text[++i];
+    if (HEX_ESCAPES[ch]) {
+      const hex = text.slice(i + 1, i + 1 + HEX_ESCAPES[ch]);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== HEX_ESCAPES[ch]) fail(`Invalid escape \\${ch}${hex}`, lineIndex);
+      out += String.fromCodePoint(parseInt(hex, 16));
+      i += HEX_ESCAPES[ch];
+    } else if (ch in ESCAPES) {
+      out += ESCAPES[ch];
+    } else {
+      fail(`Invalid escape \\${ch}`, lineIndex);
+    }
+  }
+  return out;
+};
+
+// Line breaks inside a quoted scalar fold to a space; blank lines become newlines
+const foldQuotedLines = (lines) => lines.reduce((out, line, idx) => {
+  const text = idx === 0 ? line.trimEnd() : idx === lines.length - 1 ? line.trimStart() : line.trim();
+  if (idx === 0) return text;
+  if (text === '') return `${out}\n`;
+  return out.endsWith('\n') || out === '' ? out + text : `${out} ${text}`;
+}, '');
+
+/**
+ * Reads a quoted scalar at text[start] (a quote). Returns the value and the index after the closing quote.
+ */
+const readQuoted = (text, start, lineIndex) => {
+  const quote = text[start];
+  let i = start + 1;
+  while (i < text.length) {
+    if (quote === '"' && text[i] === '\\') i += 2;
+    else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") i += 2;
+      else break;
+    } else i++;
+  }
+  if (i >= text.length) fail('Unterminated quoted string', lineIndex);
+  const raw = foldQuotedLines(text.slice(start + 1, i).split('\n'));
+  const value = quote === '"' ? unescapeDouble(raw, lineIndex) : raw.replace(/''/g, "'");
+  return { value, end: i + 1 };
+};
+
+/**
+ * Parses a flow collection or scalar at text[pos]: `[a, b]`, `{k: v}`, quoted or plain scalars.
+ * @returns {{ value, end: number }}
+ */
+const readFlow = (text, pos, lineIndex, anchors) => {
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const readNode = () => {
+    skipSpace();
+    let anchor = null;
+    while (text[pos] === '&' || text[pos] === '!') {
+      const match = /^[&!][^\s,[\]{}]*/.exec(text.slice(pos));
+      if (text[pos] === '&') anchor = match[0].slice(1);
+      pos += match[0].length;
+      skipSpace();
+    }
+    let value;
+    const ch = text[pos];
+    if (ch === '[' || ch === '{') {
+      const close = ch === '[' ? ']' : '}';
+      const isMap = ch === '{';
+      // Mappings have no prototype, so a `__proto__` key is an ordinary key
+      const collection = isMap ? Object.create(null) : [];
+      pos++;
+      skipSpace();
+      while (text[pos] !== close) {
+        if (pos >= text.length) fail(`Missing "${close}"`, lineIndex);
+        const key = readNode();
+        skipSpace();
+        let entry = null;
+        if (text[pos] === ':') {
+          pos++;
+          skipSpace();
+          entry = text[pos] === ',' || text[pos] === close ? null : readNode();
+          if (!isMap) {
+            collection.push({ [String(key)]: entry });
+          }
+        } else if (!isMap) {
+          collection.push(key);
+        }
+        if (isMap) collection[String(key)] = entry;
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== close) {
+          fail(`Expected "," or "${close}" in flow collection`, lineIndex);
+        }
+      }
+      pos++;
+      value = collection;
+    } else if (ch === '"' || ch === "'") {
+      const quoted = readQuoted(text, pos, lineIndex);
+      pos = quoted.end;
+      value = quoted.value;
+    } else if (ch === '*') {
+      const match = /^\*[^\s,[\]{}]+/.exec(text.slice(pos));
+      const name = match[0].slice(1);
+      if (!anchors.has(name)) fail(`Unknown alias *${name}`, lineIndex);
+      pos += match[0].length;
+      value = anchors.get(name);
+    } else {
+      // A plain scalar ends at a flow indicator or at ': '
+      const start = pos;
+      while (pos < text.length && !/[,[\]{}]/.test(text[pos]) && !(text[pos] === ':' && /[\s,[\]{}]/.test(text[pos + 1] || ' '))) pos++;
+      value = resolvePlain(text.slice(start, pos).trim().replace(/\s*\n\s*/g, ' '));
+    }
+    if (anchor) anchors.set(anchor, value);
+    return value;
+  };
+  const value = readNode();
+  return { value, end: pos };
+};
+
+// Brackets still open in a flow fragment, ignoring quoted text; used to find where a multi-line flow ends
+const flowDepth = (text) => {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '[' || ch === '{') depth++;
+    else if (ch === ']' || ch === '}') depth--;
+  }
+  return depth;
+};
+
+/**
+ * Splits "key: rest" at the first ': ' (or a trailing ':') outside quotes. Returns null when the
+ * line is not a mapping entry.
+ */
+const splitKey = (content, lineIndex) => {
+  if (content[0] === '"' || content[0] === "'") {
+    let quoted;
+    try {
+      quoted = readQuoted(content, 0, lineIndex);
+    } catch {
+      return null;
+    }
+    const after = content.slice(quoted.end).trimStart();
+    if (after[0] !== ':' || (after.length > 1 && after[1] !== ' ')) return null;
+    return { key: quoted.value, rest: after.slice(1).trim() };
+  }
+  if (content[0] === '[' || content[0] === '{' || content.startsWith('- ') || content === '-') return null;
+  if (content[0] === '?') fail('Complex mapping keys ("?") are not supported', lineIndex);
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === ':' && (i + 1 === content.length || content[i + 1] === ' ')) {
+      return { key: content.slice(0, i).trim(), rest: content.slice(i + 1).trim() };
+    }
+  }
+  return null;
+};
+
+const isSequenceItem = (content) => content === '-' || content.startsWith('- ');
+
+const isDocumentMarker = (raw) => /^(---|\.\.\.)(\s|$)/.test(raw);
+
+/**
+ * Parses a YAML text. A single document returns its value; several documents return an array of them.
+ * @throws {Error} With the line number when the text isn't valid (or uses unsupported features)
+ */
+export const parseYaml = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const anchors = new Map();
+  let i = 0;
+
+  // Indent and comment-free content of line n, or null for blank and comment-only lines
+  const lineAt = (n) => {
+    const raw = lines[n];
+    const content = stripComment(raw);
+    if (content.trim() === '') return null;
+    const indent = content.length - content.trimStart().length;
+    if (/^ *\t/.test(content)) fail('Tabs are not allowed for indentation', n);
+    return { indent, content: content.slice(indent) };
+  };
+
+  const skipBlank = () => {
+    while (i < lines.length && lineAt(i) === null) i++;
+  };
+
+  const atEnd = () => {
+    skipBlank();
+    return i >= lines.length || isDocumentMarker(lines[i]);
+  };
+
+  const readBlockScalar = (header, parentIndent) => {
+    const match = /^([|>])([-+]?)([1-9]?)([-+]?)$/.exec(header);
+    if (!match) fail(`Invalid block scalar header "${header}"`, i - 1);
+    const [, style, chomp1, digit, chomp2] = match;
+    const chomp = chomp1 || chomp2;
+    const body = [];
+    let blockIndent = digit ? parentIndent + Number(digit) : null;
+    while (i < lines.length) {
+      const raw = lines[i];
+      if (raw.trim() === '') {
+        body.push('');
+        i++;
+        continue;
+      }
+      const indent = raw.length - raw.trimStart().length;
+      if (blockIndent === null) {
+        if (indent <= parentIndent) break;
+        blockIndent = indent;
+      }
+      if (indent < blockIndent) break;
+      body.push(raw.slice(blockIndent));
+      i++;
+    }
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1].trim() === '') {
+      body.pop();
+      trailing++;
+    }
+    let value;
+    if (style === '|') {
+      value = body.join('\n');
+    } else {
+      value = '';
+      body.forEach((line, idx) => {
+        const prev = body[idx - 1];
+        if (idx === 0) value = line;
+        else if (line === '' || prev === '' || /^\s/.test(line) || /^\s/.test(prev)) value += `\n${line}`;
+        else value += ` ${line}`;
+      });
+      // An empty line between two folded lines stands for one newline, not two
+      value = value.replace(/([^\n])\n\n(?=[^\s\n])/g, '$1\n');
+    }
+    if (body.length === 0) return chomp === '+' ? '\n'.repeat(trailing) : '';
+    if (chomp === '-') return value;
+    if (chomp === '+') return `${value}\n${'\n'.repeat(trailing)}`;
+    return `${value}\n`;
+  };
+
+  // Reads the lines of a multi-line flow collection or quoted scalar, starting with `first`
+  const collectUntil = (first, isComplete, readLine = (raw) => raw) => {
+    let text = first;
+    while (!isComplete(text)) {
+      if (i >= lines.length) fail('Unexpected end of file', i - 1);
+      text += `\n${readLine(lines[i])}`;
+      i++;
+    }
+    return text;
+  };
+
+  /**
+   * The value after "key:" or "- " (the line itself is already consumed). `parentIndent` is the
+   * indent of the mapping or sequence that owns the value; `allowSameIndentSequence` lets a mapping's
+   * value be a sequence at the key's own indent.
+   */
+  const parseValue = (rest, parentIndent, allowSameIndentSequence) => {
+    const lineIndex = i - 1;
+    let anchor = null;
+    while (rest[0] === '&' || rest[0] === '!') {
+      const match = /^[&!]\S*/.exec(rest);
+      if (rest[0] === '&') anchor = match[0].slice(1);
+      rest = rest.slice(match[0].length).trimStart();
+    }
+
+    let value;
+    if (rest === '') {
+      skipBlank();
+      const next = i < lines.length && !isDocumentMarker(lines[i]) ? lineAt(i) : null;
+      if (next && next.indent > parentIndent) value = parseBlock(next.indent);
+      else if (next && allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next.content)) value = parseSequence(parentIndent);
+      else value = null;
+    } else if (rest[0] === '|' || rest[0] === '>') {
+      value = readBlockScalar(rest, parentIndent);
+    } else if (rest[0] === '*') {
+      const name = rest.slice(1);
+      if (!anchors.has(name)) fail(`Unknown alias *${name}`, lineIndex);
+      value = anchors.get(name);
+    } else if (rest[0] === '[' || rest[0] === '{') {
+      const text = collectUntil(rest, (t) => flowDepth(t) <= 0, stripComment);
+      const flow = readFlow(text, 0, lineIndex, anchors);
+      if (stripComment(text.slice(flow.end)).trim() !== '') fail('Unexpected text after flow collection', i - 1);
+      value = flow.value;
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      const text = collectUntil(rest, (t) => {
+        try {
+          readQuoted(t, 0, lineIndex);
+          return true;
+        } catch {
+          return false;
+        }
+      });
+      const quoted = readQuoted(text, 0, lineIndex);
+      if (stripComment(text.slice(quoted.end)).trim() !== '') fail('Unexpected text after quoted string', i - 1);
+      value = quoted.value;
+    } else {
+      // Plain scalars continue on more-indented lines
+      const parts = [rest];
+      while (i < lines.length) {
+        const next = lineAt(i);
+        if (next === null) {
+          let j = i;
+          while (j < lines.length && lineAt(j) === null) j++;
+          const after = j < lines.length ? lineAt(j) : null;
+          if (!after || after.indent <= parentIndent) break;
+          parts.push('\n'.repeat(j - i));
+          i = j;
+          continue;
+        }
+        if (next.indent <= parentIndent || isDocumentMarker(lines[i])) break;
+        if (splitKey(next.content, i) || isSequenceItem(next.content)) fail('Unexpected indentation', i);
+        parts.push(next.content);
+        i++;
+      }
+      value = resolvePlain(parts.reduce((out, part) => (part.startsWith('\n') ? out + part : out && !out.endsWith('\n') ? `${out} ${part}` : out + part), '').trim());
+    }
+    if (anchor) anchors.set(anchor, value);
+    return value;
+  };
+
+  const parseMapping = (indent) => {
+    const map = Object.create(null);
+    const merged = [];
+    while (!atEnd()) {
+      const line = lineAt(i);
+      if (line.indent < indent) break;
+      if (line.indent > indent) fail('Unexpected indentation', i);
+      const entry = splitKey(line.content, i);
+      if (!entry) {
+        if (isSequenceItem(line.content)) break;
+        fail('Expected "key: value"', i);
+      }
+      i++;
+      const value = parseValue(entry.rest, indent, true);
+      if (entry.key === '<<') merged.push(...(Array.isArray(value) ? value : [value]));
+      else map[entry.key] = value;
+    }
+    // Merge keys fill in what the mapping doesn't set itself; earlier sources win
+    merged.forEach(source => {
+      if (!source || typeof source !== 'object' || Array.isArray(source)) fail('"<<" needs a mapping or a list of mappings');
+      Object.keys(source).forEach(key => {
+        if (!Object.hasOwn(map, key)) map[key] = source[key];
+      });
+    });
+    return map;
+  };
+
+  const parseSequence = (indent) => {
+    const items = [];
+    while (!atEnd()) {
+      const line = lineAt(i);
+      if (line.indent < indent || !isSequenceItem(line.content)) break;
+      if (line.indent > indent) fail('Unexpected indentation', i);
+      const rest = line.content.slice(1).trimStart();
+      const itemIndent = indent + line.content.length - rest.length;
+      if (rest !== '' && (isSequenceItem(rest) || (splitKey(rest, i) && !/^[&!*]/.test(rest)))) {
+        // "- key: value" or "- - item": the rest of the line starts a nested block at its own column
+        lines[i] = ' '.repeat(itemIndent) + rest;
+        items.push(parseBlock(itemIndent));
+      } else {
+        i++;
+        items.push(parseValue(rest, indent, false));
+      }
+    }
+    return items;
+  };
+
+  // A block node starting at the current line, which has the given indent
+  const parseBlock = (indent) => {
+    const line = lineAt(i);
+    if (isSequenceItem(line.content)) return parseSequence(indent);
+    if (splitKey(line.content, i)) return parseMapping(indent);
+    i++;
+    return parseValue(line.content, indent - 1, false);
+  };
+
+  const documents = [];
+  skipBlank();
+  while (i < lines.length) {
+    let explicitStart = false;
+    while (i < lines.length && /^%/.test(lines[i])) i++;
+    skipBlank();
+    if (i >= lines.length) break;
+    let inline = '';
+    if (/^---(\s|$)/.test(lines[i])) {
+      explicitStart = true;
+      inline = stripComment(lines[i].slice(3)).trim();
+      i++;
+    }
+    let value = null;
+    if (inline) value = parseValue(inline, -1, false);
+    else if (!atEnd()) value = parseBlock(lineAt(i).indent);
+    skipBlank();
+    if (i < lines.length && !isDocumentMarker(lines[i])) fail('Unexpected content (check the indentation)', i);
+    if (i < lines.length && /^\.\.\.(\s|$)/.test(lines[i])) i++;
+    if (explicitStart || value !== null || documents.length === 0) documents.push(value);
+    skipBlank();
+  }
+  return documents.length <= 1 ? (documents[0] ?? null) : documents;
+};